@@ -0,0 +1,54 @@
+// Accessibility Helpers
+// Screen-reader announcements and keyboard navigation math for the word grid
+
+// Announce a message through the live region in index.html
+export function announce(message) {
+  const region = document.getElementById('srAnnouncer');
+  if (!region) return;
+
+  // Clear first so the same message is read again if repeated
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
+
+// Number of columns the grid is currently laid out in
+export function getGridColumnCount(grid) {
+  const columns = getComputedStyle(grid).gridTemplateColumns;
+  return columns && columns !== 'none' ? columns.split(' ').length : 4;
+}
+
+// Index of the tile an arrow/Home/End key moves to, or null for other keys.
+// In RTL the first tile sits on the right, so ArrowLeft moves forward.
+export function getNextTileIndex(index, key, tileCount, columns, isRtl) {
+  const forward = isRtl ? 'ArrowLeft' : 'ArrowRight';
+  const backward = isRtl ? 'ArrowRight' : 'ArrowLeft';
+  let next;
+
+  switch (key) {
+    case forward:
+      next = index + 1;
+      break;
+    case backward:
+      next = index - 1;
+      break;
+    case 'ArrowDown':
+      next = index + columns;
+      break;
+    case 'ArrowUp':
+      next = index - columns;
+      break;
+    case 'Home':
+      next = 0;
+      break;
+    case 'End':
+      next = tileCount - 1;
+      break;
+    default:
+      return null;
+  }
+
+  // Stay on the current tile at the edges instead of wrapping
+  return next >= 0 && next < tileCount ? next : index;
+}
@@ -0,0 +1,161 @@
+// Achievements
+// Badge rules are checked after every daily game and archive solve. Most rules read
+// the whole history, so badges earned before they existed - or on another device -
+// unlock on the next check. A few only look at the game that just ended (`game`).
+// Unlocks are kept in localStorage with the time they were earned.
+import { daysBetween } from './puzzleDate.js';
+
+// Longest run of consecutive dates whose games all pass `test`
+function getLongestRun(history, test) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  Object.keys(history).sort().forEach(date => {
+    if (!test(history[date])) {
+      run = 0;
+    } else {
+      run = previous && run > 0 && daysBetween(previous, date) === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    }
+    previous = date;
+  });
+  return longest;
+}
+
+const isPerfect = game => game.won && game.mistakes === 0;
+
+// Ordered from easiest to hardest - the hardest one unlocked is shown on the leaderboard.
+// context: { history, games, maxStreak, archiveSolvedCount, game: { won, mistakes, lives, time } | null }
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-win',
+    icon: '🎉',
+    title: 'ניצחון ראשון',
+    description: 'ניצחון בחידה יומית',
+    check: ({ games }) => games.some(game => game.won)
+  },
+  {
+    id: 'perfect-game',
+    icon: '💎',
+    title: 'בלי טעויות',
+    description: 'ניצחון בלי אף טעות',
+    check: ({ games }) => games.some(isPerfect)
+  },
+  {
+    id: 'last-dot',
+    icon: '😅',
+    title: 'על הנקודה האחרונה',
+    description: 'ניצחון כשנשארה נקודת חיים אחת',
+    check: ({ game }) => !!game && game.won && game.lives - game.mistakes === 1
+  },
+  {
+    id: 'archive-10',
+    icon: '📚',
+    title: 'חוקרי ארכיון',
+    description: '10 חידות שנפתרו בארכיון',
+    check: ({ archiveSolvedCount }) => archiveSolvedCount >= 10
+  },
+  {
+    id: 'streak-7',
+    icon: '🔥',
+    title: 'שבוע ברצף',
+    description: 'רצף של 7 ניצחונות',
+    check: ({ maxStreak }) => maxStreak >= 7
+  },
+  {
+    id: 'sub-60',
+    icon: '⚡',
+    title: 'מהירות שיא',
+    description: 'פתרון בפחות מדקה',
+    check: ({ games, game }) => games.some(g => g.won && g.time < 60) || (!!game && game.won && game.time < 60)
+  },
+  {
+    id: 'perfect-week',
+    icon: '🌟',
+    title: 'שבוע מושלם',
+    description: '7 ימים רצופים של ניצחונות בלי טעויות',
+    check: ({ history }) => getLongestRun(history, isPerfect) >= 7
+  },
+  {
+    id: 'archive-50',
+    icon: '🗄️',
+    title: 'שומרי הארכיון',
+    description: '50 חידות שנפתרו בארכיון',
+    check: ({ archiveSolvedCount }) => archiveSolvedCount >= 50
+  },
+  {
+    id: 'streak-30',
+    icon: '🏆',
+    title: 'חודש ברצף',
+    description: 'רצף של 30 ניצחונות',
+    check: ({ maxStreak }) => maxStreak >= 30
+  },
+  {
+    id: 'games-100',
+    icon: '💯',
+    title: 'מאה חידות',
+    description: '100 חידות יומיות',
+    check: ({ games }) => games.length >= 100
+  }
+];
+
+export function getAchievement(id) {
+  return ACHIEVEMENTS.find(achievement => achievement.id === id) || null;
+}
+
+export class AchievementTracker {
+  constructor() {
+    this.storageKey = 'connections_achievements';
+  }
+
+  // { [id]: { unlockedAt } }
+  getUnlocked() {
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.log('Could not read achievements:', error);
+      return {};
+    }
+  }
+
+  // Runs every rule against { history, archiveSolved, maxStreak } (analytics.getSyncSnapshot())
+  // and the game that just ended, if any. Returns the badges this check unlocked.
+  check({ history, archiveSolved, maxStreak }, game = null, now = Date.now()) {
+    const unlocked = this.getUnlocked();
+    const context = {
+      history,
+      games: Object.values(history),
+      maxStreak,
+      archiveSolvedCount: archiveSolved.length,
+      game
+    };
+
+    const newlyUnlocked = ACHIEVEMENTS.filter(achievement => !unlocked[achievement.id] && achievement.check(context));
+    if (newlyUnlocked.length > 0) {
+      newlyUnlocked.forEach(achievement => {
+        unlocked[achievement.id] = { unlockedAt: now };
+      });
+      localStorage.setItem(this.storageKey, JSON.stringify(unlocked));
+    }
+    return newlyUnlocked;
+  }
+
+  // Every badge with its unlock time (null while locked), for the gallery
+  getGallery() {
+    const unlocked = this.getUnlocked();
+    return ACHIEVEMENTS.map(achievement => ({
+      ...achievement,
+      unlockedAt: unlocked[achievement.id]?.unlockedAt || null
+    }));
+  }
+
+  // The hardest badge unlocked so far
+  getFeaturedBadge() {
+    const unlocked = this.getUnlocked();
+    return [...ACHIEVEMENTS].reverse().find(achievement => unlocked[achievement.id]) || null;
+  }
+}
+
+// Export singleton instance
+export const achievements = new AchievementTracker();
@@ -1,30 +1,126 @@
 // Analytics and Statistics Management
+import { getPuzzleDate } from './puzzleDate.js';
+import { rebuildTotals } from './statsSync.js';
+import { computeStreaks } from './streakFreeze.js';
+
+// Bump when the stored shape changes, and add a migration that upgrades from the previous version
+export const ANALYTICS_SCHEMA_VERSION = 2;
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function createEmptyData() {
+  return {
+    version: ANALYTICS_SCHEMA_VERSION,
+    gamesPlayed: 0,
+    gamesWon: 0,
+    currentStreak: 0,
+    maxStreak: 0,
+    lastPlayedDate: null,
+    history: {}, // date: { won, mistakes, time, hints, lives, guesses: [{ groups, colors, correct }], solveOrder, missed }
+    totalMistakes: 0,
+    averageTime: 0,
+    perfectGames: 0 // games won with 0 mistakes
+  };
+}
+
+// Ordered upgrades: each takes data stored at the previous version and returns it at
+// `version`. Data saved before versioning started counts as version 0.
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Fields added over time get their defaults, and history keeps only real games
+    migrate: (data) => {
+      const history = isPlainObject(data.history) ? data.history : {};
+      Object.keys(history).forEach(date => {
+        if (!isPlainObject(history[date]) || typeof history[date].won !== 'boolean') {
+          delete history[date];
+        }
+      });
+      return { ...createEmptyData(), ...data, history };
+    }
+  },
+  {
+    version: 2,
+    // Games from before hints and the guess log were recorded
+    migrate: (data) => {
+      Object.values(data.history).forEach(game => {
+        if (typeof game.hints !== 'number') game.hints = 0;
+        if (!Array.isArray(game.guesses)) game.guesses = [];
+      });
+      return data;
+    }
+  }
+];
+
+function migrateData(data) {
+  const storedVersion = Number.isInteger(data.version) ? data.version : 0;
+  return MIGRATIONS
+    .filter(migration => migration.version > storedVersion)
+    .reduce((migrated, migration) => ({ ...migration.migrate(migrated), version: migration.version }), data);
+}
+
+// Totals are derived from history - any that disagree with it (an interrupted write,
+// an older counting bug) are rebuilt. Returns the names of the totals that were fixed.
+function repairTotals(data) {
+  const wins = Object.values(data.history).filter(game => game.won).length;
+  // A stored record can't be longer than the number of wins
+  const knownMaxStreak = Number.isInteger(data.maxStreak) && data.maxStreak <= wins ? data.maxStreak : 0;
+  const rebuilt = rebuildTotals(data.history, knownMaxStreak);
+
+  const mismatched = Object.keys(rebuilt).filter(key => key === 'averageTime'
+    ? !Number.isFinite(data.averageTime) || Math.abs(data.averageTime - rebuilt.averageTime) > 0.01
+    : data[key] !== rebuilt[key]);
+  Object.assign(data, rebuilt);
+  return mismatched;
+}
+
 export class GameAnalytics {
   constructor() {
     this.storageKey = 'connections_analytics';
     this.init();
   }
 
+  // Runs once per page load: migrate to the current schema and check the totals
   init() {
-    const data = this.getData();
-    if (!data) {
-      this.setData({
-        gamesPlayed: 0,
-        gamesWon: 0,
-        currentStreak: 0,
-        maxStreak: 0,
-        lastPlayedDate: null,
-        history: {}, // date: { won: boolean, mistakes: number, time: number }
-        totalMistakes: 0,
-        averageTime: 0,
-        perfectGames: 0 // games won with 0 mistakes
-      });
+    const stored = this.readStored(this.storageKey, isPlainObject);
+    const data = stored ? migrateData(stored) : createEmptyData();
+    const repaired = repairTotals(data);
+    if (repaired.length > 0) {
+      console.log('Rebuilt analytics totals from history:', repaired.join(', '));
     }
+    this.setData(data);
+  }
+
+  // Parsed JSON from a key, or null when it's missing. Values that don't parse or fail
+  // `isValid` are copied to "<key>_backup" first, so a bad write never blocks the game
+  readStored(key, isValid) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return null;
+    try {
+      const value = JSON.parse(raw);
+      if (isValid(value)) return value;
+    } catch (error) {
+      // Falls through to the backup below
+    }
+    console.log(`Unreadable data in ${key} - starting over, the old value is kept in ${key}_backup`);
+    try {
+      localStorage.setItem(`${key}_backup`, JSON.stringify({ savedAt: Date.now(), raw }));
+    } catch (error) {
+      console.log('Could not back up the unreadable data:', error);
+    }
+    localStorage.removeItem(key);
+    return null;
   }
 
   getData() {
-    const data = localStorage.getItem(this.storageKey);
-    return data ? JSON.parse(data) : null;
+    const data = this.readStored(this.storageKey, isPlainObject);
+    if (data) return data;
+    
+    const fresh = createEmptyData();
+    this.setData(fresh);
+    return fresh;
   }
 
   setData(data) {
@@ -37,43 +133,45 @@ export class GameAnalytics {
     this.setData(data);
   }
 
-  recordGameEnd(won, mistakes, timeInSeconds) {
+  // details: { date, hintsUsed, guessLog, lives, solveOrder, missed } - extra per-game info kept in history.
+  // date is the puzzle's day - a game started before midnight still counts for the day it began.
+  // solveOrder / missed are group colours: found in order, and never found (statsCharts.js)
+  recordGameEnd(won, mistakes, timeInSeconds, details = {}) {
+    const { date = getPuzzleDate(), hintsUsed = 0, guessLog = [], lives = null, solveOrder = [], missed = [] } = details;
     const data = this.getData();
-    const today = new Date().toISOString().split('T')[0];
     
     data.gamesPlayed++;
     
     if (won) {
       data.gamesWon++;
       
-      // Update streak
-      if (this.isConsecutiveDay(data.lastPlayedDate, today)) {
-        data.currentStreak++;
-      } else if (data.lastPlayedDate !== today) {
-        data.currentStreak = 1;
-      }
-      
-      data.maxStreak = Math.max(data.maxStreak, data.currentStreak);
-      
       // Check if perfect game
       if (mistakes === 0) {
         data.perfectGames++;
       }
-    } else {
-      // Lost the game, reset streak
-      data.currentStreak = 0;
     }
     
     // Record history
-    data.history[today] = {
+    data.history[date] = {
       won,
       mistakes,
       time: timeInSeconds,
+      hints: hintsUsed,
+      // Words are left out - the grid only needs which group each tile belonged to
+      lives,
+      guesses: guessLog.map(({ groups, colors, correct }) => ({ groups, colors, correct })),
+      solveOrder,
+      missed,
       timestamp: Date.now()
     };
     
     data.totalMistakes += mistakes;
-    data.lastPlayedDate = today;
+    data.lastPlayedDate = date;
+    
+    // Streaks come from the whole history, so gaps covered by a freeze don't break them
+    const streaks = computeStreaks(data.history);
+    data.currentStreak = streaks.currentStreak;
+    data.maxStreak = Math.max(data.maxStreak, streaks.maxStreak);
     
     // Calculate average time
     const completedGames = Object.values(data.history).filter(h => h.won);
@@ -85,22 +183,16 @@ export class GameAnalytics {
     return data;
   }
 
-  isConsecutiveDay(lastDate, currentDate) {
-    if (!lastDate) return false;
-    const last = new Date(lastDate);
-    const current = new Date(currentDate);
-    const diffTime = current - last;
-    const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-    return diffDays === 1;
-  }
-
   getStats() {
     const data = this.getData();
+    // As of today: days missed since the last game use freezes or end the streak
+    const streaks = computeStreaks(data.history, getPuzzleDate());
     return {
       gamesPlayed: data.gamesPlayed,
       winRate: data.gamesPlayed > 0 ? Math.round((data.gamesWon / data.gamesPlayed) * 100) : 0,
-      currentStreak: data.currentStreak,
+      currentStreak: streaks.currentStreak,
       maxStreak: data.maxStreak,
+      streakFreezes: { tokens: streaks.tokens, earned: streaks.earned, used: streaks.used },
       averageMistakes: data.gamesPlayed > 0 ? (data.totalMistakes / data.gamesPlayed).toFixed(1) : 0,
       averageTime: Math.round(data.averageTime),
       perfectGames: data.perfectGames,
@@ -108,15 +200,14 @@ export class GameAnalytics {
     };
   }
 
-  getTodayStats() {
-    const today = new Date().toISOString().split('T')[0];
+  // date: the puzzle's day, when it isn't today's (a game that ran past midnight)
+  getTodayStats(date = getPuzzleDate()) {
     const data = this.getData();
-    return data.history[today] || null;
+    return data.history[date] || null;
   }
 
-  hasPlayedToday() {
-    const today = new Date().toISOString().split('T')[0];
-    return this.getTodayStats() !== null;
+  hasPlayedToday(date = getPuzzleDate()) {
+    return this.getTodayStats(date) !== null;
   }
 
   // Check if a specific puzzle date was solved (won) - checks both regular and archive solved puzzles
@@ -158,9 +249,60 @@ export class GameAnalytics {
 
   // Get list of archive puzzle dates that were solved
   getArchiveSolvedDates() {
-    const key = 'connections_archive_solved';
-    const data = localStorage.getItem(key);
-    return data ? JSON.parse(data) : [];
+    return this.readStored('connections_archive_solved', Array.isArray) || [];
+  }
+
+  // What follows a signed-in player between devices (see statsSync.js)
+  getSyncSnapshot() {
+    const data = this.getData();
+    return {
+      history: data.history,
+      archiveSolved: this.getArchiveSolvedDates(),
+      maxStreak: data.maxStreak
+    };
+  }
+
+  // Replaces the local history with a merged snapshot and recomputes every total from it
+  applySyncSnapshot(snapshot) {
+    const data = this.getData();
+    this.setData({
+      ...data,
+      history: snapshot.history,
+      ...rebuildTotals(snapshot.history, snapshot.maxStreak)
+    });
+    localStorage.setItem('connections_archive_solved', JSON.stringify(snapshot.archiveSolved));
+  }
+
+  // Marathon runs are kept apart from the daily history so they never touch streaks
+  recordMarathonRun(run) {
+    const key = 'connections_marathon';
+    const bests = this.getMarathonBests();
+    const isNewBest = run.score > bests.bestScore;
+    
+    bests.runs++;
+    bests.bestScore = Math.max(bests.bestScore, run.score);
+    bests.mostBoards = Math.max(bests.mostBoards, run.boardsSolved);
+    bests.mostGroups = Math.max(bests.mostGroups, run.groupsSolved);
+    bests.lastRun = { ...run, timestamp: Date.now() };
+    if (isNewBest) {
+      bests.bestRun = bests.lastRun;
+    }
+    
+    localStorage.setItem(key, JSON.stringify(bests));
+    return { ...bests, isNewBest };
+  }
+
+  // Personal bests for the marathon challenge
+  getMarathonBests() {
+    return {
+      runs: 0,
+      bestScore: 0,
+      mostBoards: 0,
+      mostGroups: 0,
+      bestRun: null,
+      lastRun: null,
+      ...this.readStored('connections_marathon', isPlainObject)
+    };
   }
 
   // Get distribution of results (for visualization)
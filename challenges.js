@@ -0,0 +1,147 @@
+// Head-to-Head Challenges
+// After a win, a player can send a friend a link with the puzzle date and their result
+// (mistakes, time and share grid). The friend plays that puzzle and sees both results
+// side by side. With Firebase, the link also points to challenges/{id}, where each
+// friend who takes it on adds their result - so the challenger keeps a record per friend.
+//
+// challenges/{id}:
+// {
+//   date, challengerId, createdAt,
+//   challenger: { nickname, won, mistakes, time, grid },
+//   responderIds: [uid],
+//   responses: { [uid]: { nickname, won, mistakes, time, grid } }
+// }
+// Results are the players' own (archive games aren't verified) - it's a game between friends.
+// firestore.rules checks the same fields - keep isValidChallengeResult() in step.
+import { toBase64Url, fromBase64Url } from './statsTransfer.js';
+import { MAX_LIVES } from './puzzleShape.js';
+
+const CHALLENGE_LINK_PARAM = 'challenge';
+
+// No board has more lives (validatePuzzleShape), so every finished game fits
+const MAX_CHALLENGE_MISTAKES = MAX_LIVES;
+const MAX_CHALLENGE_TIME = 86400;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const ID_PATTERN = /^[A-Za-z0-9]{1,40}$/;
+// Same rule as NICKNAME_PATTERN in script.js
+const NICKNAME_PATTERN = /^[\p{Script=Hebrew}A-Za-z0-9 _.\-]{1,20}$/u;
+// Rows of the squares buildEmojiGrid (guessLog.js) draws - nothing else reaches the page
+const GRID_PATTERN = /^[🟥🟩🟪🟦🟧🟫🟨⬜]{1,8}(\n[🟥🟩🟪🟦🟧🟫🟨⬜]{1,8}){0,39}$/u;
+
+function isCount(value, max) {
+  return Number.isInteger(value) && value >= 0 && value <= max;
+}
+
+// A result as stored and sent - null when any field is off
+export function cleanChallengeResult(result) {
+  if (!result || typeof result.won !== 'boolean' ||
+      !isCount(result.mistakes, MAX_CHALLENGE_MISTAKES) || !isCount(result.time, MAX_CHALLENGE_TIME)) {
+    return null;
+  }
+  return {
+    nickname: NICKNAME_PATTERN.test(result.nickname) ? result.nickname : 'אנונימי',
+    won: result.won,
+    mistakes: result.mistakes,
+    time: result.time,
+    grid: GRID_PATTERN.test(result.grid) ? result.grid : ''
+  };
+}
+
+// ============================================
+// LINKS
+// ============================================
+
+// Short keys keep the link small enough for a chat message:
+// { i: challenge id or null, u: challenger uid, d: date, n, w, m, t, g: the result }
+export function encodeChallenge({ id, challengerId, date, result }) {
+  const payload = {
+    i: id || null,
+    u: challengerId || null,
+    d: date,
+    n: result.nickname,
+    w: result.won ? 1 : 0,
+    m: result.mistakes,
+    t: result.time,
+    g: result.grid
+  };
+  return toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+}
+
+// { id, challengerId, date, result } - null for a link that was cut short or edited
+export function decodeChallenge(code) {
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(fromBase64Url(code)));
+  } catch (error) {
+    return null;
+  }
+  if (!payload || !DATE_PATTERN.test(payload.d)) return null;
+
+  const result = cleanChallengeResult({ nickname: payload.n, won: payload.w === 1, mistakes: payload.m, time: payload.t, grid: payload.g });
+  if (!result) return null;
+  return {
+    id: ID_PATTERN.test(payload.i) ? payload.i : null,
+    challengerId: ID_PATTERN.test(payload.u) ? payload.u : null,
+    date: payload.d,
+    result
+  };
+}
+
+export function buildChallengeLink(code, base = `${location.origin}${location.pathname}`) {
+  return `${base}#${CHALLENGE_LINK_PARAM}=${code}`;
+}
+
+// The code from a link's hash ("#challenge=...") - null when there is none
+export function getChallengeCodeFromHash(hash) {
+  const match = (hash || '').match(new RegExp(`[#&]${CHALLENGE_LINK_PARAM}=([A-Za-z0-9_-]+)`));
+  return match ? match[1] : null;
+}
+
+// ============================================
+// COMPARISON
+// ============================================
+
+/**
+ * Positive when `a` beat `b`, negative when `b` did, 0 for a tie: a win beats a loss,
+ * then fewer mistakes, then the faster time. Two losses are a tie.
+ */
+export function compareChallengeResults(a, b) {
+  if (a.won !== b.won) return a.won ? 1 : -1;
+  if (!a.won) return 0;
+  if (a.mistakes !== b.mistakes) return b.mistakes - a.mistakes;
+  return b.time - a.time;
+}
+
+/**
+ * The player's record against each friend, from the challenges they sent and the ones
+ * they answered: [{ opponentId, nickname, wins, losses, ties, lastDate }], most played first.
+ */
+export function buildHeadToHead(challenges, uid) {
+  const records = {};
+  const addGame = (opponentId, nickname, date, mine, theirs) => {
+    const record = records[opponentId] || (records[opponentId] = { opponentId, nickname, wins: 0, losses: 0, ties: 0, lastDate: date });
+    const outcome = Math.sign(compareChallengeResults(mine, theirs));
+    if (outcome > 0) record.wins++;
+    else if (outcome < 0) record.losses++;
+    else record.ties++;
+    if (date >= record.lastDate) {
+      record.lastDate = date;
+      record.nickname = nickname;
+    }
+  };
+
+  challenges.forEach(challenge => {
+    const responses = challenge.responses || {};
+    if (challenge.challengerId === uid) {
+      Object.entries(responses).forEach(([responderId, response]) => {
+        addGame(responderId, response.nickname, challenge.date, challenge.challenger, response);
+      });
+    } else if (responses[uid]) {
+      addGame(challenge.challengerId, challenge.challenger.nickname, challenge.date, responses[uid], challenge.challenger);
+    }
+  });
+
+  const games = record => record.wins + record.losses + record.ties;
+  return Object.values(records).sort((a, b) => (games(b) - games(a)) || b.lastDate.localeCompare(a.lastDate));
+}
@@ -18,6 +18,7 @@ import { initializeApp, cert } from 'firebase-admin/app';
 import { getFirestore } from 'firebase-admin/firestore';
 import fs from 'fs';
 import dotenv from 'dotenv';
+import { getPuzzleDate, addDays } from './puzzleDate.js';
 
 // Load environment variables
 dotenv.config();
@@ -92,10 +93,8 @@ async function main() {
   if (dateArg) {
     targetDate = dateArg;
   } else {
-    // Default to tomorrow
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    targetDate = tomorrow.toISOString().split('T')[0];
+    // Default to tomorrow (in the puzzle timezone)
+    targetDate = addDays(getPuzzleDate(), 1);
   }
   
   console.log(`🔍 Checking if puzzle exists for: ${targetDate}`);
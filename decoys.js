@@ -0,0 +1,57 @@
+// Red Herrings & Post-Game Analysis
+// A puzzle can carry optional decoy notes - words that look like they belong together
+// but don't (e.g. "five words that all look like colours"). After the game each wrong
+// guess is broken down by the group every word really belonged to, with the decoy
+// notes that explain the trap.
+
+// Minimum number of guessed words a decoy must share with a guess to be shown for it
+const MIN_DECOY_OVERLAP = 2;
+
+// Keep only well-formed decoys whose words are all on the board
+export function normalizeDecoys(decoys, words = []) {
+  if (!Array.isArray(decoys)) return [];
+
+  return decoys
+    .filter(decoy => decoy && typeof decoy.note === 'string' && decoy.note.trim() && Array.isArray(decoy.words))
+    .map(decoy => ({
+      words: decoy.words.filter(word => words.length === 0 || words.includes(word)),
+      note: decoy.note.trim()
+    }))
+    .filter(decoy => decoy.words.length >= MIN_DECOY_OVERLAP);
+}
+
+// Decoys that share at least two words with a guess, most relevant first
+export function findDecoysForGuess(decoys, guessWords) {
+  return decoys
+    .map(decoy => ({ ...decoy, overlap: decoy.words.filter(word => guessWords.includes(word)) }))
+    .filter(decoy => decoy.overlap.length >= MIN_DECOY_OVERLAP)
+    .sort((a, b) => b.overlap.length - a.overlap.length);
+}
+
+// Walk through the wrong guesses of a finished game.
+// Returns [{ number, words: [{ word, groupIndex, color, explanation }], split, decoys }]
+export function buildGameAnalysis(groups, guessLog, decoys = []) {
+  return guessLog
+    .map((entry, i) => ({ entry, number: i + 1 }))
+    .filter(({ entry }) => !entry.correct && Array.isArray(entry.words))
+    .map(({ entry, number }) => {
+      const words = entry.words.map(word => {
+        const groupIndex = groups.findIndex(group => group.words.includes(word));
+        return {
+          word,
+          groupIndex,
+          color: groups[groupIndex]?.color || null,
+          explanation: groups[groupIndex]?.explanation || ''
+        };
+      });
+
+      // How many groups the guess was spread across, largest share first
+      const counts = {};
+      words.forEach(({ groupIndex }) => {
+        counts[groupIndex] = (counts[groupIndex] || 0) + 1;
+      });
+      const split = Object.values(counts).sort((a, b) => b - a);
+
+      return { number, words, split, decoys: findDecoysForGuess(decoys, entry.words) };
+    });
+}
@@ -0,0 +1,334 @@
+/**
+ * Cloud Functions
+ * The only writer of userDailyGames/{uid}/days/{date} - the leaderboard documents.
+ * Clients call startDailyGame when the daily puzzle opens, getPuzzleHint for hints
+ * and submitDailyResult when it ends; the result is replayed against the stored puzzle
+ * (see resultVerifier.js) and saved with the score worked out here. Security rules stop
+ * clients from writing those documents themselves. Each new result also adds to the anonymous per-puzzle
+ * telemetry in puzzleStats/{date} (see puzzleInsights.js) and to the player's weekly,
+ * monthly and all-time leaderboard entries (see leaderboards.js).
+ *
+ * Friend leagues (see leagues.js) are created, joined and left through the league
+ * functions at the end of this file - the only writers of leagues/{code}.
+ *
+ * Run locally with `npm run serve`, test with `npm test` (both use the emulator).
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { ResultRejectedError, checkResultDate, verifyResult, buildRequestedHint } from './resultVerifier.js';
+import { buildPuzzleStatsUpdate } from './shared/puzzleInsights.js';
+import { getLeaderboardPeriodIds, updateLeaderboardEntry } from './shared/leaderboards.js';
+import {
+  LeagueRequestError, createLeagueCode, normalizeLeagueCode, normalizeLeagueName,
+  checkCanJoinLeague, addLeagueMember, removeLeagueMember, checkCanRemoveMember
+} from './leagues.js';
+
+initializeApp();
+const db = getFirestore();
+
+function requireUid(request) {
+  const uid = request.auth?.uid;
+  if (!uid) {
+    throw new HttpsError('unauthenticated', 'Sign in before submitting a result');
+  }
+  return uid;
+}
+
+// Report rejected requests to the client as HttpsErrors, let anything else surface as internal
+async function handleRejections(action) {
+  try {
+    return await action();
+  } catch (error) {
+    if (error instanceof ResultRejectedError || error instanceof LeagueRequestError) {
+      throw new HttpsError(error.code, error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Load a puzzle with its groups - locked puzzles keep them in puzzleSolutions
+ */
+async function loadPuzzleWithSolution(date) {
+  const [puzzleSnap, solutionSnap] = await db.getAll(
+    db.doc(`puzzles/${date}`),
+    db.doc(`puzzleSolutions/${date}`)
+  );
+  if (!puzzleSnap.exists) return null;
+
+  const puzzle = puzzleSnap.data();
+  const groups = solutionSnap.exists ? solutionSnap.data().groups : puzzle.groups;
+  return Array.isArray(groups) ? { ...puzzle, groups } : null;
+}
+
+/**
+ * Record when a player opened a daily puzzle. Only the first start per day counts (this
+ * or the first hint), so reloading the page can't restart the clock. A start called just
+ * before submitting is caught by the per-guess minimum in verifyResult.
+ */
+export const startDailyGame = onCall(async (request) => {
+  const uid = requireUid(request);
+  const { date } = request.data || {};
+
+  return handleRejections(async () => {
+    checkResultDate(date);
+
+    const startRef = db.doc(`userDailyGames/${uid}/starts/${date}`);
+    const startedAt = await db.runTransaction(async (tx) => {
+      const startSnap = await tx.get(startRef);
+      if (startSnap.exists) return startSnap.data().startedAt;
+
+      const now = Date.now();
+      tx.create(startRef, { startedAt: now });
+      return now;
+    });
+
+    return { startedAt };
+  });
+});
+
+/**
+ * Verify a finished daily game and save it. Only the first result for a day is kept -
+ * later submissions get the stored result back. Hint penalties come from the hints
+ * getPuzzleHint gave this player, not from anything the client sends.
+ *
+ * data: { date, guesses: [[word, ...], ...], nickname }
+ */
+export const submitDailyResult = onCall(async (request) => {
+  const uid = requireUid(request);
+  const { date, guesses, nickname } = request.data || {};
+
+  return handleRejections(async () => {
+    checkResultDate(date);
+
+    const puzzle = await loadPuzzleWithSolution(date);
+    if (!puzzle) {
+      throw new ResultRejectedError('not-found', `No puzzle for ${date}`);
+    }
+
+    const gameRef = db.doc(`userDailyGames/${uid}/days/${date}`);
+    const startRef = db.doc(`userDailyGames/${uid}/starts/${date}`);
+    const hintsRef = db.doc(`userDailyGames/${uid}/hints/${date}`);
+    const puzzleStatsRef = db.doc(`puzzleStats/${date}`);
+    const leaderboardRefs = getLeaderboardPeriodIds(date).map(periodId => db.doc(`leaderboards/${periodId}/players/${uid}`));
+
+    return db.runTransaction(async (tx) => {
+      const [gameSnap, startSnap, hintsSnap] = await tx.getAll(gameRef, startRef, hintsRef);
+      if (gameSnap.exists) {
+        const { won, mistakes, timeElapsed, score } = gameSnap.data();
+        return { won, mistakes, timeElapsed, score, alreadyRecorded: true };
+      }
+
+      const leaderboardSnaps = await tx.getAll(...leaderboardRefs);
+
+      const result = verifyResult({
+        puzzle,
+        date,
+        guesses,
+        hints: hintsSnap.exists ? hintsSnap.data().hints : [],
+        nickname,
+        serverStartedAt: startSnap.exists ? startSnap.data().startedAt : undefined
+      });
+
+      // Results are public (leaderboards, leagues) - the per-tile guess log would give
+      // away today's groups, so only its emoji grid is kept
+      const { guessLog, ...publicResult } = result;
+      tx.create(gameRef, {
+        ...publicResult,
+        odataUri: uid,
+        verified: true,
+        timestamp: FieldValue.serverTimestamp()
+      });
+
+      // Written blind (no read) so concurrent players don't retry each other's transactions
+      tx.set(puzzleStatsRef, {
+        ...buildPuzzleStatsUpdate({ date, groups: puzzle.groups, guessLog, won: result.won }, FieldValue.increment),
+        updatedAt: FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      leaderboardSnaps.forEach((snap, i) => {
+        tx.set(leaderboardRefs[i], {
+          ...updateLeaderboardEntry(snap.exists ? snap.data() : {}, result),
+          updatedAt: FieldValue.serverTimestamp()
+        });
+      });
+
+      const { won, mistakes, timeElapsed, score } = result;
+      return { won, mistakes, timeElapsed, score, alreadyRecorded: false };
+    });
+  });
+});
+
+/**
+ * The next hint of the daily game. Security rules keep today's solution from the browser
+ * until the player's result is recorded, so hints are worked out here and only the hint
+ * goes back. Every hint given is kept in userDailyGames/{uid}/hints/{date} - the next
+ * one is built from that record, and submitDailyResult charges its penalties.
+ *
+ * data: { date, type, guesses: [[word, ...], ...], words }  ->  { hint }
+ */
+export const getPuzzleHint = onCall(async (request) => {
+  const uid = requireUid(request);
+  const { date, ...hintRequest } = request.data || {};
+
+  return handleRejections(async () => {
+    checkResultDate(date);
+
+    const puzzle = await loadPuzzleWithSolution(date);
+    if (!puzzle) {
+      throw new ResultRejectedError('not-found', `No puzzle for ${date}`);
+    }
+
+    const gameRef = db.doc(`userDailyGames/${uid}/days/${date}`);
+    const hintsRef = db.doc(`userDailyGames/${uid}/hints/${date}`);
+    const startRef = db.doc(`userDailyGames/${uid}/starts/${date}`);
+
+    return db.runTransaction(async (tx) => {
+      const [gameSnap, hintsSnap, startSnap] = await tx.getAll(gameRef, hintsRef, startRef);
+      if (gameSnap.exists) {
+        throw new ResultRejectedError('failed-precondition', 'The result of this game is already recorded');
+      }
+
+      const hintsUsed = hintsSnap.exists ? hintsSnap.data().hints : [];
+      const hint = buildRequestedHint(puzzle, hintRequest, hintsUsed);
+      if (hint) {
+        tx.set(hintsRef, { hints: [...hintsUsed, hint], updatedAt: FieldValue.serverTimestamp() });
+      }
+      // The game was under way by now - a later startDailyGame can't move the clock
+      if (!startSnap.exists) {
+        tx.create(startRef, { startedAt: Date.now() });
+      }
+      return { hint };
+    });
+  });
+});
+
+// ============================================
+// FRIEND LEAGUES
+// ============================================
+
+const CODE_ATTEMPTS = 5;
+
+function leaguesOf(uid) {
+  return db.collection('leagues').where('members', 'array-contains', uid);
+}
+
+/**
+ * Load a league inside a transaction, or throw not-found
+ */
+async function getLeague(tx, code) {
+  const leagueRef = db.doc(`leagues/${code}`);
+  const leagueSnap = await tx.get(leagueRef);
+  if (!leagueSnap.exists) {
+    throw new LeagueRequestError('not-found', `No league with code ${code}`);
+  }
+  return { leagueRef, league: leagueSnap.data() };
+}
+
+/**
+ * Start a league with the caller as its owner and only member.
+ *
+ * data: { name }  ->  { leagueId, name }
+ */
+export const createLeague = onCall(async (request) => {
+  const uid = requireUid(request);
+  const { name } = request.data || {};
+
+  return handleRejections(async () => {
+    const leagueName = normalizeLeagueName(name);
+    const joined = await leaguesOf(uid).count().get();
+    checkCanJoinLeague(joined.data().count);
+
+    // Codes are random - on the rare clash, draw another
+    for (let attempt = 0; attempt < CODE_ATTEMPTS; attempt++) {
+      const leagueId = createLeagueCode();
+      try {
+        await db.doc(`leagues/${leagueId}`).create({
+          name: leagueName,
+          ownerId: uid,
+          admins: [uid],
+          members: [uid],
+          createdAt: FieldValue.serverTimestamp()
+        });
+        return { leagueId, name: leagueName };
+      } catch (error) {
+        if (error.code !== 6) throw error; // 6 = ALREADY_EXISTS
+      }
+    }
+    throw new HttpsError('unavailable', 'Could not pick a league code, try again');
+  });
+});
+
+/**
+ * Join a league by its invite code. Joining one you're already in just returns it.
+ *
+ * data: { code }  ->  { leagueId, name }
+ */
+export const joinLeague = onCall(async (request) => {
+  const uid = requireUid(request);
+  const { code } = request.data || {};
+
+  return handleRejections(async () => {
+    const leagueId = normalizeLeagueCode(code);
+
+    return db.runTransaction(async (tx) => {
+      const { leagueRef, league } = await getLeague(tx, leagueId);
+      const joined = await tx.get(leaguesOf(uid));
+      const members = addLeagueMember(league, uid, joined.size);
+      if (members !== league.members) {
+        tx.update(leagueRef, { members });
+      }
+      return { leagueId, name: league.name };
+    });
+  });
+});
+
+/**
+ * Leave a league. The last member to leave deletes it.
+ *
+ * data: { leagueId }
+ */
+export const leaveLeague = onCall(async (request) => {
+  const uid = requireUid(request);
+  const { leagueId } = request.data || {};
+
+  return handleRejections(async () => {
+    const code = normalizeLeagueCode(leagueId);
+
+    await db.runTransaction(async (tx) => {
+      const { leagueRef, league } = await getLeague(tx, code);
+      if (!league.members.includes(uid)) return;
+
+      const remaining = removeLeagueMember(league, uid);
+      if (remaining) {
+        tx.update(leagueRef, remaining);
+      } else {
+        tx.delete(leagueRef);
+      }
+    });
+    return { left: true };
+  });
+});
+
+/**
+ * League admins can remove other members.
+ *
+ * data: { leagueId, memberId }
+ */
+export const removeFromLeague = onCall(async (request) => {
+  const uid = requireUid(request);
+  const { leagueId, memberId } = request.data || {};
+
+  return handleRejections(async () => {
+    const code = normalizeLeagueCode(leagueId);
+
+    await db.runTransaction(async (tx) => {
+      const { leagueRef, league } = await getLeague(tx, code);
+      checkCanRemoveMember(league, uid, memberId);
+      tx.update(leagueRef, removeLeagueMember(league, memberId));
+    });
+    return { removed: true };
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Friend Leagues
+ * Small private groups with their own leaderboards. A league's document id is its
+ * invite code, so sharing the code (or a link with it) is all it takes to invite.
+ * Membership only changes through the league functions in index.js - security rules
+ * let members read their leagues and nobody write them.
+ *
+ * leagues/{code}: { name, ownerId, admins: [uid], members: [uid], createdAt }
+ *
+ * Pure functions with no Firebase dependency, so they can be tested on their own.
+ */
+
+import { randomInt } from 'crypto';
+
+export const MAX_LEAGUE_MEMBERS = 50;
+export const MAX_LEAGUES_PER_PLAYER = 5;
+export const LEAGUE_CODE_LENGTH = 6;
+const MAX_LEAGUE_NAME_LENGTH = 30;
+// Like nicknames (NICKNAME_PATTERN in script.js): Hebrew or English letters, digits, spaces and _ . -
+const LEAGUE_NAME_PATTERN = new RegExp(`^[\\p{Script=Hebrew}A-Za-z0-9 _.\\-]{1,${MAX_LEAGUE_NAME_LENGTH}}$`, 'u');
+
+// No lookalikes (0/O, 1/I/L), so codes can be read out or typed from a screenshot
+const LEAGUE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const LEAGUE_CODE_PATTERN = new RegExp(`^[${LEAGUE_CODE_ALPHABET}]{${LEAGUE_CODE_LENGTH}}$`);
+
+/**
+ * A league request that can never succeed. `code` is an HttpsError code.
+ */
+export class LeagueRequestError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'LeagueRequestError';
+    this.code = code;
+  }
+}
+
+export function createLeagueCode(random = randomInt) {
+  return Array.from({ length: LEAGUE_CODE_LENGTH }, () => LEAGUE_CODE_ALPHABET[random(LEAGUE_CODE_ALPHABET.length)]).join('');
+}
+
+/**
+ * Codes are typed by hand - ignore case, spaces and dashes
+ */
+export function normalizeLeagueCode(code) {
+  const normalized = typeof code === 'string' ? code.toUpperCase().replace(/[\s-]/g, '') : '';
+  if (!LEAGUE_CODE_PATTERN.test(normalized)) {
+    throw new LeagueRequestError('invalid-argument', 'League codes are 6 letters and digits');
+  }
+  return normalized;
+}
+
+export function normalizeLeagueName(name) {
+  const trimmed = typeof name === 'string' ? name.trim().replace(/\s+/g, ' ') : '';
+  if (!LEAGUE_NAME_PATTERN.test(trimmed)) {
+    throw new LeagueRequestError('invalid-argument', `League names are 1-${MAX_LEAGUE_NAME_LENGTH} Hebrew or English letters, digits, spaces and _ . -`);
+  }
+  return trimmed;
+}
+
+/**
+ * leagueCount: how many leagues the player is already in
+ */
+export function checkCanJoinLeague(leagueCount) {
+  if (leagueCount >= MAX_LEAGUES_PER_PLAYER) {
+    throw new LeagueRequestError('failed-precondition', `Players can be in up to ${MAX_LEAGUES_PER_PLAYER} leagues`);
+  }
+}
+
+/**
+ * The league's members after `uid` joins - unchanged if they already belong to it
+ */
+export function addLeagueMember(league, uid, leagueCount) {
+  if (league.members.includes(uid)) return league.members;
+  checkCanJoinLeague(leagueCount);
+  if (league.members.length >= MAX_LEAGUE_MEMBERS) {
+    throw new LeagueRequestError('resource-exhausted', `Leagues have at most ${MAX_LEAGUE_MEMBERS} members`);
+  }
+  return [...league.members, uid];
+}
+
+/**
+ * The league after `uid` leaves or is removed, or null when nobody is left.
+ * An owner who leaves hands the league to the longest-standing member.
+ */
+export function removeLeagueMember(league, uid) {
+  const members = league.members.filter(member => member !== uid);
+  if (members.length === 0) return null;
+
+  const ownerId = league.ownerId === uid ? members[0] : league.ownerId;
+  const admins = league.admins.filter(admin => admin !== uid && members.includes(admin));
+  return {
+    ownerId,
+    admins: admins.includes(ownerId) ? admins : [ownerId, ...admins],
+    members
+  };
+}
+
+/**
+ * Only admins remove other members, and never the owner
+ */
+export function checkCanRemoveMember(league, adminUid, memberUid) {
+  if (!league.admins.includes(adminUid)) {
+    throw new LeagueRequestError('permission-denied', 'Only league admins can remove members');
+  }
+  if (memberUid === league.ownerId) {
+    throw new LeagueRequestError('permission-denied', 'The league owner cannot be removed');
+  }
+  if (!league.members.includes(memberUid)) {
+    throw new LeagueRequestError('not-found', 'Not a member of this league');
+  }
+}
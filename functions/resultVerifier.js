@@ -0,0 +1,206 @@
+/**
+ * Result Verification
+ * Replays a submitted game against the stored puzzle so the leaderboard never trusts
+ * numbers from the browser. The client only sends the guesses in order - the hints
+ * come from the server's own record (getPuzzleHint) - and everything that ends up on
+ * the leaderboard (won, mistakes, time, score) is worked out here.
+ *
+ * Pure functions with no Firebase dependency, so they can be tested on their own.
+ */
+
+import { getPuzzleDate, getPuzzleDayStart } from './shared/puzzleDate.js';
+import { getPuzzleShape } from './shared/puzzleShape.js';
+import { HINT_CONFIG, MAX_HINTS_PER_GAME, buildHint, getHintPenalty } from './shared/hints.js';
+import { createGuessEntry, buildEmojiGrid } from './shared/guessLog.js';
+
+/**
+ * Score cost of one mistake, in the same units as seconds (lower scores rank higher)
+ */
+export const MISTAKE_PENALTY = 500;
+
+/**
+ * Fastest a guess can be played - picking the tiles and submitting. A game timed below
+ * this came from a start recorded just before the result was sent.
+ */
+export const MIN_SECONDS_PER_GUESS = 3;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Same rule as NICKNAME_PATTERN in script.js and isValidNickname in firestore.rules
+const NICKNAME_PATTERN = /^[\p{Script=Hebrew}A-Za-z0-9 _.\-]{1,20}$/u;
+
+/**
+ * A submission that can never be accepted. `code` is an HttpsError code.
+ */
+export class ResultRejectedError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ResultRejectedError';
+    this.code = code;
+  }
+}
+
+/**
+ * How long after midnight the previous day's puzzle is still taken - a result from the
+ * outbox of a game that ended just before the puzzle changed
+ */
+export const RESULT_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Only the day's puzzle can be played for the boards. Older solutions are open in the
+ * archive, so a past date would be a free perfect result on that day's and the period boards.
+ */
+export function checkResultDate(date, now = new Date()) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+    throw new ResultRejectedError('invalid-argument', 'Date must be YYYY-MM-DD');
+  }
+  const today = getPuzzleDate(now);
+  if (date > today) {
+    throw new ResultRejectedError('invalid-argument', `Puzzle ${date} is not out yet`);
+  }
+  if (date !== today && date !== getPuzzleDate(new Date(now.getTime() - RESULT_GRACE_MS))) {
+    throw new ResultRejectedError('failed-precondition', `Puzzle ${date} is closed`);
+  }
+}
+
+/**
+ * Play the guesses so far through the puzzle the same way the game does.
+ * Returns { solvedGroups: [index], mistakes, guessLog, over } or throws if the guesses
+ * couldn't have come from the game.
+ */
+export function playGuesses(puzzle, guesses) {
+  if (!Array.isArray(guesses)) {
+    throw new ResultRejectedError('invalid-argument', 'Guesses must be an array');
+  }
+
+  const { groupSize, lives } = getPuzzleShape(puzzle);
+  const boardWords = new Set(puzzle.groups.flatMap(group => group.words));
+  const solvedWords = new Set();
+  const wrongGuesses = new Set();
+  const guessLog = [];
+  const solvedGroups = [];
+  let mistakes = 0;
+
+  guesses.forEach((words, i) => {
+    if (solvedGroups.length === puzzle.groups.length || mistakes >= lives) {
+      throw new ResultRejectedError('invalid-argument', `Guess ${i + 1} was made after the game ended`);
+    }
+    if (!Array.isArray(words) || words.length !== groupSize || new Set(words).size !== groupSize) {
+      throw new ResultRejectedError('invalid-argument', `Guess ${i + 1} must be ${groupSize} different words`);
+    }
+    if (!words.every(word => boardWords.has(word) && !solvedWords.has(word))) {
+      throw new ResultRejectedError('invalid-argument', `Guess ${i + 1} uses words that are not on the board`);
+    }
+
+    // The game never counts the same wrong guess twice
+    const guessKey = [...words].sort().join('|');
+    if (wrongGuesses.has(guessKey)) {
+      throw new ResultRejectedError('invalid-argument', `Guess ${i + 1} repeats an earlier guess`);
+    }
+
+    const groupIndex = puzzle.groups.findIndex(g => g.words.every(word => words.includes(word)));
+    if (groupIndex !== -1) {
+      solvedGroups.push(groupIndex);
+      puzzle.groups[groupIndex].words.forEach(word => solvedWords.add(word));
+    } else {
+      mistakes++;
+      wrongGuesses.add(guessKey);
+    }
+    guessLog.push(createGuessEntry(puzzle.groups, words, groupIndex !== -1));
+  });
+
+  const over = solvedGroups.length === puzzle.groups.length || mistakes >= lives;
+  return { solvedGroups, mistakes, guessLog, over };
+}
+
+/**
+ * Play a whole game. Returns { won, mistakes, guessLog } or throws if the guesses
+ * couldn't have come from the game or stop before it ended.
+ */
+export function replayGuesses(puzzle, guesses) {
+  const { solvedGroups, mistakes, guessLog, over } = playGuesses(puzzle, guesses);
+  if (!over) {
+    throw new ResultRejectedError('failed-precondition', 'The game is not finished');
+  }
+  return { won: solvedGroups.length === puzzle.groups.length, mistakes, guessLog };
+}
+
+/**
+ * Seconds played, from the start recorded by startDailyGame (or the first hint). A game the server never
+ * saw begin (started offline, or startDailyGame skipped) is timed from the start of the
+ * puzzle's day - a start time from the browser could be anything, so it's never used.
+ */
+export function getElapsedSeconds({ date, now, serverStartedAt }) {
+  const startedAt = Number.isFinite(serverStartedAt) ? serverStartedAt : getPuzzleDayStart(date).getTime();
+  return Math.max(0, Math.floor((now - startedAt) / 1000));
+}
+
+/**
+ * Keep only hints the game knows about - an unknown type would earn no penalty
+ */
+export function normalizeHints(hints) {
+  if (!Array.isArray(hints)) return [];
+  return hints.filter(hint => hint && HINT_CONFIG[hint.type]);
+}
+
+/**
+ * The next hint of a game, worked out from the puzzle's solution (getPuzzleHint), so a
+ * locked puzzle's answers never reach the browser mid-game. Which groups are solved
+ * comes from replaying the guesses so far, and the hints already given from the
+ * server's own record - nothing the client claims about the board is taken as is.
+ * Returns the hint, or null when there is none of that type left.
+ */
+export function buildRequestedHint(puzzle, { type, guesses, words }, hintsUsed = []) {
+  if (!HINT_CONFIG[type]) {
+    throw new ResultRejectedError('invalid-argument', `Unknown hint type: ${type}`);
+  }
+  if (hintsUsed.length >= MAX_HINTS_PER_GAME) {
+    throw new ResultRejectedError('resource-exhausted', `No more than ${MAX_HINTS_PER_GAME} hints a game`);
+  }
+
+  const { solvedGroups, over } = playGuesses(puzzle, Array.isArray(guesses) ? guesses : []);
+  if (over) {
+    throw new ResultRejectedError('failed-precondition', 'The game is over');
+  }
+  const groups = puzzle.groups.map((group, index) => ({ ...group, index, guessed: solvedGroups.includes(index) }));
+  const selectedWords = Array.isArray(words) ? words.filter(word => typeof word === 'string') : [];
+  return buildHint(type, groups, hintsUsed, selectedWords);
+}
+
+/**
+ * Nicknames are shown on the boards as they are - anything outside the nickname rule
+ * becomes anonymous
+ */
+export function normalizeNickname(nickname) {
+  const trimmed = typeof nickname === 'string' ? nickname.trim() : '';
+  return NICKNAME_PATTERN.test(trimmed) ? trimmed : 'אנונימי';
+}
+
+/**
+ * Check a whole submission and build the fields of the userDailyGames document.
+ * hints: the ones getPuzzleHint recorded for the player's game.
+ * guessLog names the group of every tile, so it only feeds puzzleStats - the document
+ * anyone can read keeps the emoji grid instead.
+ */
+export function verifyResult({ puzzle, date, guesses, hints, nickname, serverStartedAt, now = Date.now() }) {
+  const { won, mistakes, guessLog } = replayGuesses(puzzle, guesses);
+  const timeElapsed = getElapsedSeconds({ date, now, serverStartedAt });
+  if (timeElapsed < guessLog.length * MIN_SECONDS_PER_GUESS) {
+    throw new ResultRejectedError('failed-precondition', `${guessLog.length} guesses can't be played in ${timeElapsed}s`);
+  }
+  const hintsUsed = normalizeHints(hints);
+  const hintPenalty = getHintPenalty(hintsUsed);
+
+  return {
+    date,
+    nickname: normalizeNickname(nickname),
+    won,
+    mistakes,
+    timeElapsed,
+    hintsUsed: hintsUsed.length,
+    hintPenalty,
+    guessLog,
+    grid: buildEmojiGrid(guessLog),
+    // Lower is better: mistakes * 500 + time + hint penalties
+    score: (mistakes * MISTAKE_PENALTY) + timeElapsed + hintPenalty
+  };
+}
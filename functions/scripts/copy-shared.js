@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+/**
+ * Copy the game modules the functions share with the client into functions/shared.
+ * Only the functions directory is uploaded on deploy, so the files can't be imported
+ * from the repo root. Runs before deploy (firebase.json) and before the tests.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..', '..');
+const TARGET = path.join(__dirname, '..', 'shared');
+
+const SHARED_MODULES = ['puzzleDate.js', 'puzzleShape.js', 'hints.js', 'guessLog.js', 'puzzleInsights.js', 'leaderboards.js'];
+
+fs.mkdirSync(TARGET, { recursive: true });
+SHARED_MODULES.forEach(file => {
+  fs.copyFileSync(path.join(ROOT, file), path.join(TARGET, file));
+});
+
+console.log(`Copied ${SHARED_MODULES.length} shared modules to ${path.relative(ROOT, TARGET)}/`);
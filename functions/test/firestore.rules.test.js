@@ -0,0 +1,409 @@
+// Runs against the Firestore emulator: `npm test` starts it and sets FIRESTORE_EMULATOR_HOST.
+import { describe, it, before, beforeEach, after } from 'node:test';
+import fs from 'fs';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  doc, getDoc, setDoc, updateDoc, deleteDoc, addDoc, collection, collectionGroup,
+  query, where, orderBy, limit, getDocs, getCountFromServer, increment, arrayUnion, writeBatch
+} from 'firebase/firestore';
+import { getPuzzleDate, addDays } from '../shared/puzzleDate.js';
+
+// Its own project, so clearing data can't race the function tests running alongside
+const PROJECT_ID = 'demo-connectionsio-rules';
+const RULES_PATH = new URL('../../firestore.rules', import.meta.url);
+
+const today = getPuzzleDate();
+// Tomorrow - the rules follow Israel's summer and winter time, so it stays locked until midnight there
+const future = addDays(today, 1);
+const yesterday = addDays(today, -1);
+
+describe('firestore.rules', { skip: !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm test)' }, () => {
+  let testEnv;
+
+  const asPlayer = (uid = 'alice') => testEnv.authenticatedContext(uid, { firebase: { sign_in_provider: 'anonymous' } }).firestore();
+  const asAdmin = () => testEnv.authenticatedContext('admin', { firebase: { sign_in_provider: 'password' } }).firestore();
+  const asGuest = () => testEnv.unauthenticatedContext().firestore();
+
+  async function seed(data) {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      for (const [path, value] of Object.entries(data)) {
+        await setDoc(doc(db, path), value);
+      }
+    });
+  }
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: PROJECT_ID,
+      firestore: { rules: fs.readFileSync(RULES_PATH, 'utf8') }
+    });
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+      'admins/admin': { addedAt: new Date() },
+      [`puzzles/${today}`]: { date: today, words: ['א'] },
+      [`puzzles/${future}`]: { date: future, words: ['ב'] },
+      [`puzzleSolutions/${yesterday}`]: { date: yesterday, groups: [] },
+      [`puzzleSolutions/${today}`]: { date: today, groups: [] },
+      [`puzzleSolutions/${future}`]: { date: future, groups: [] }
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  describe('userDailyGames/{uid}/days/{date}', () => {
+    const result = { date: today, won: true, mistakes: 0, timeElapsed: 1, score: 1 };
+
+    it('is readable by everyone, including the leaderboard query', async () => {
+      await seed({ [`userDailyGames/bob/days/${today}`]: result });
+      await assertSucceeds(getDoc(doc(asGuest(), `userDailyGames/bob/days/${today}`)));
+      await assertSucceeds(getDocs(query(collectionGroup(asGuest(), 'days'),
+        where('date', '==', today), where('won', '==', true), orderBy('score', 'asc'), limit(10))));
+    });
+
+    it('rejects results written from the browser - even by the owner', async () => {
+      await assertFails(setDoc(doc(asPlayer('alice'), `userDailyGames/alice/days/${today}`), result));
+      await assertFails(setDoc(doc(asPlayer('alice'), `userDailyGames/bob/days/${today}`), result));
+    });
+
+    it('keeps the first result - owners cannot overwrite or delete it', async () => {
+      await seed({ [`userDailyGames/alice/days/${today}`]: result });
+      await assertFails(updateDoc(doc(asPlayer('alice'), `userDailyGames/alice/days/${today}`), { score: 0 }));
+      await assertFails(deleteDoc(doc(asPlayer('alice'), `userDailyGames/alice/days/${today}`)));
+    });
+
+    it('hides server start times', async () => {
+      await seed({ [`userDailyGames/alice/starts/${today}`]: { startedAt: 1 } });
+      await assertFails(getDoc(doc(asPlayer('alice'), `userDailyGames/alice/starts/${today}`)));
+      await assertFails(setDoc(doc(asPlayer('alice'), `userDailyGames/alice/starts/${today}`), { startedAt: 2 }));
+    });
+
+    it('hides the hints the server gave', async () => {
+      await seed({ [`userDailyGames/alice/hints/${today}`]: { hints: [{ type: 'category', groupIndex: 0, explanation: 'פירות' }] } });
+      await assertFails(getDoc(doc(asPlayer('alice'), `userDailyGames/alice/hints/${today}`)));
+      await assertFails(setDoc(doc(asPlayer('alice'), `userDailyGames/alice/hints/${today}`), { hints: [] }));
+    });
+  });
+
+  describe('leaderboards/{periodId}/players/{uid}', () => {
+    const entry = { nickname: 'בוב', games: 3, wins: 2, perfectGames: 1, points: 1900, longestStreak: 2 };
+
+    it('is readable by everyone, including ranking counts', async () => {
+      await seed({ 'leaderboards/all/players/bob': entry });
+      await assertSucceeds(getDocs(query(collection(asGuest(), 'leaderboards/all/players'), orderBy('points', 'desc'), limit(10))));
+      await assertSucceeds(getCountFromServer(query(collection(asGuest(), 'leaderboards/all/players'), where('wins', '>', 1))));
+    });
+
+    it('is written only by the result function', async () => {
+      await assertFails(setDoc(doc(asPlayer('alice'), 'leaderboards/all/players/alice'), entry));
+      await seed({ 'leaderboards/all/players/alice': entry });
+      await assertFails(updateDoc(doc(asPlayer('alice'), 'leaderboards/all/players/alice'), { points: 99999 }));
+    });
+  });
+
+  describe('leagues/{leagueId}', () => {
+    const league = { name: 'המשרד', ownerId: 'bob', admins: ['bob'], members: ['bob', 'carol'] };
+
+    it('is readable by its members, including the my-leagues query', async () => {
+      await seed({ 'leagues/ABC234': league });
+      await assertSucceeds(getDoc(doc(asPlayer('carol'), 'leagues/ABC234')));
+      await assertSucceeds(getDocs(query(collection(asPlayer('carol'), 'leagues'), where('members', 'array-contains', 'carol'))));
+    });
+
+    it('is hidden from everyone else', async () => {
+      await seed({ 'leagues/ABC234': league });
+      await assertFails(getDoc(doc(asPlayer('alice'), 'leagues/ABC234')));
+      await assertFails(getDocs(collection(asPlayer('alice'), 'leagues')));
+      await assertFails(getDoc(doc(asGuest(), 'leagues/ABC234')));
+    });
+
+    it('cannot be written from the browser', async () => {
+      await assertFails(setDoc(doc(asPlayer('alice'), 'leagues/XYZ234'), { ...league, ownerId: 'alice', members: ['alice'] }));
+      await seed({ 'leagues/ABC234': league });
+      await assertFails(updateDoc(doc(asPlayer('carol'), 'leagues/ABC234'), { admins: ['bob', 'carol'] }));
+    });
+  });
+
+  describe('challenges/{challengeId}', () => {
+    const result = { nickname: 'בוב', won: true, mistakes: 1, time: 95, grid: '🟩🟩🟩🟩' };
+    const challenge = (challengerId = 'bob') => ({
+      date: today, challengerId, challenger: result, responderIds: [], responses: {}, createdAt: new Date()
+    });
+    const answer = (uid, fields = {}) => ({
+      [`responses.${uid}`]: { ...result, nickname: 'אליס', ...fields },
+      responderIds: arrayUnion(uid)
+    });
+
+    it('can be created by the challenger with their result', async () => {
+      await assertSucceeds(setDoc(doc(asPlayer('bob'), 'challenges/c1'), challenge()));
+      await assertFails(setDoc(doc(asPlayer('alice'), 'challenges/c2'), challenge('bob')));
+      await assertFails(setDoc(doc(asPlayer('bob'), 'challenges/c3'), { ...challenge(), challenger: { ...result, mistakes: 50 } }));
+      await assertFails(setDoc(doc(asPlayer('bob'), 'challenges/c4'), { ...challenge(), date: future }));
+      await assertFails(setDoc(doc(asPlayer('bob'), 'challenges/c5'), { ...challenge(), responderIds: ['alice'] }));
+      await assertFails(setDoc(doc(asGuest(), 'challenges/c6'), challenge()));
+    });
+
+    it('is answered once per player, never by the challenger', async () => {
+      await seed({ 'challenges/c1': challenge() });
+      await assertSucceeds(updateDoc(doc(asPlayer('alice'), 'challenges/c1'), answer('alice')));
+      await assertFails(updateDoc(doc(asPlayer('alice'), 'challenges/c1'), answer('alice', { mistakes: 0 })));
+      await assertFails(updateDoc(doc(asPlayer('bob'), 'challenges/c1'), answer('bob')));
+      await assertSucceeds(updateDoc(doc(asPlayer('carol'), 'challenges/c1'), answer('carol', { won: false, mistakes: 4 })));
+    });
+
+    it('rejects answers for someone else or that change the challenge', async () => {
+      await seed({ 'challenges/c1': challenge() });
+      const ref = doc(asPlayer('alice'), 'challenges/c1');
+      await assertFails(updateDoc(ref, answer('carol')));
+      await assertFails(updateDoc(ref, { ...answer('alice'), 'challenger.mistakes': 5 }));
+      await assertFails(updateDoc(ref, answer('alice', { time: -1 })));
+      await assertFails(updateDoc(ref, { [`responses.alice`]: { ...result, nickname: 'אליס' } }));
+    });
+
+    it('lists only the challenges a player sent or answered', async () => {
+      await seed({
+        'challenges/c1': challenge(),
+        'challenges/c2': { ...challenge('carol'), responderIds: ['alice'], responses: { alice: result } }
+      });
+      const challenges = collection(asPlayer('alice'), 'challenges');
+      await assertSucceeds(getDoc(doc(asPlayer('alice'), 'challenges/c1')));
+      await assertSucceeds(getDocs(query(challenges, where('responderIds', 'array-contains', 'alice'))));
+      await assertSucceeds(getDocs(query(collection(asPlayer('bob'), 'challenges'), where('challengerId', '==', 'bob'))));
+      await assertFails(getDocs(query(challenges, where('challengerId', '==', 'bob'))));
+    });
+  });
+
+  describe('dailyStats/{date}', () => {
+    const oneGame = (won, mistakes, time) => ({
+      totalPlays: increment(1),
+      totalWins: increment(won ? 1 : 0),
+      totalMistakes: increment(mistakes),
+      totalTime: increment(time),
+      lastUpdated: new Date()
+    });
+
+    // The way the game writes: the counters and the player's marker in one batch
+    const countGame = (uid, data) => {
+      const db = asPlayer(uid);
+      const batch = writeBatch(db);
+      batch.set(doc(db, `dailyStats/${today}`), data, { merge: true });
+      batch.set(doc(db, `dailyStats/${today}/players/${uid}`), {});
+      return batch.commit();
+    };
+
+    it('accepts one game at a time', async () => {
+      await assertSucceeds(countGame('alice', oneGame(true, 2, 95)));
+      await assertSucceeds(countGame('bob', oneGame(false, 4, 300)));
+    });
+
+    it('counts each player once a day', async () => {
+      await assertSucceeds(countGame('alice', oneGame(true, 2, 95)));
+      await assertFails(countGame('alice', oneGame(true, 2, 95)));
+
+      await assertFails(setDoc(doc(asPlayer('bob'), `dailyStats/${today}`), oneGame(true, 0, 60), { merge: true }));
+      await assertFails(setDoc(doc(asPlayer('bob'), `dailyStats/${today}/players/bob`), {}));
+      await assertFails(setDoc(doc(asPlayer('bob'), `dailyStats/${today}/players/alice`), {}));
+      await assertSucceeds(getDoc(doc(asPlayer('alice'), `dailyStats/${today}/players/alice`)));
+      await assertFails(getDoc(doc(asPlayer('bob'), `dailyStats/${today}/players/alice`)));
+    });
+
+    it('rejects increments bigger than one game', async () => {
+      await assertFails(countGame('alice', { ...oneGame(true, 0, 60), totalPlays: increment(2) }));
+      await assertFails(countGame('alice', { ...oneGame(true, 0, 60), totalWins: increment(5) }));
+      await assertFails(countGame('alice', oneGame(false, 50, 60)));
+      await assertFails(countGame('alice', oneGame(true, -1, 60)));
+      await assertFails(countGame('alice', oneGame(true, 0, -60)));
+    });
+
+    const withHistograms = (won, mistakes, time, buckets = {}) => ({
+      ...oneGame(won, mistakes, time),
+      mistakesHistogram: { [buckets.mistakes ?? mistakes]: increment(1) },
+      ...(won ? { timeHistogram: { [buckets.time ?? Math.min(Math.floor(time / 30), 40)]: increment(1) } } : {})
+    });
+
+    it('accepts histograms moved by the game\'s own buckets', async () => {
+      await assertSucceeds(countGame('alice', withHistograms(true, 1, 95)));
+      await assertSucceeds(countGame('bob', withHistograms(true, 1, 100)));
+      await assertSucceeds(countGame('carol', withHistograms(false, 4, 300)));
+      await assertSucceeds(countGame('dave', withHistograms(true, 0, 5000)));
+    });
+
+    it('rejects histogram buckets that do not match the game', async () => {
+      await assertFails(countGame('alice', withHistograms(true, 1, 95, { mistakes: 0 })));
+      await assertFails(countGame('alice', withHistograms(true, 1, 95, { time: 0 })));
+      await assertFails(countGame('alice', { ...withHistograms(false, 4, 300), timeHistogram: { 10: increment(1) } }));
+      await assertFails(countGame('alice', { ...oneGame(true, 1, 95), mistakesHistogram: { 1: increment(3) } }));
+    });
+
+    it('rejects resets, extra fields, deletes and signed-out writes', async () => {
+      await seed({ [`dailyStats/${today}`]: { totalPlays: 10, totalWins: 5, totalMistakes: 20, totalTime: 1000, lastUpdated: new Date() } });
+      const ref = doc(asPlayer(), `dailyStats/${today}`);
+      await assertFails(setDoc(ref, { totalPlays: 1, totalWins: 0, totalMistakes: 0, totalTime: 0, lastUpdated: new Date() }));
+      await assertFails(countGame('alice', { ...oneGame(true, 0, 60), hacked: true }));
+      await assertFails(deleteDoc(ref));
+      await assertFails(setDoc(doc(asGuest(), `dailyStats/${today}`), oneGame(true, 0, 60), { merge: true }));
+    });
+  });
+
+  describe('puzzleStats/{date}', () => {
+    const stats = { games: 1, wins: 1, guesses: 4, mistakes: 0, wrongGuesses: {}, groups: {} };
+
+    it('is readable once the puzzle is out', async () => {
+      await seed({ [`puzzleStats/${today}`]: { date: today, ...stats }, [`puzzleStats/${future}`]: { date: future, ...stats } });
+      await assertSucceeds(getDoc(doc(asGuest(), `puzzleStats/${today}`)));
+      await assertFails(getDoc(doc(asPlayer(), `puzzleStats/${future}`)));
+      await assertSucceeds(getDoc(doc(asAdmin(), `puzzleStats/${future}`)));
+    });
+
+    it('is written only by the result function', async () => {
+      await assertFails(setDoc(doc(asPlayer(), `puzzleStats/${today}`), { date: today, ...stats }));
+      await assertFails(setDoc(doc(asAdmin(), `puzzleStats/${today}`), { date: today, ...stats }));
+    });
+  });
+
+  describe('marathonScores/{uid}', () => {
+    // 7 groups, 2 boards, 2 mistakes: 700 + 500 + 4 * 50
+    const run = { nickname: 'אליס', score: 1400, boardsSolved: 2, groupsSolved: 7, mistakes: 2, timestamp: new Date() };
+
+    it('accepts the player\'s own run with a score that follows from it', async () => {
+      await assertSucceeds(setDoc(doc(asPlayer('alice'), 'marathonScores/alice'), run));
+      await assertFails(setDoc(doc(asPlayer('bob'), 'marathonScores/alice'), run));
+    });
+
+    it('rejects forged scores, impossible counts and extra fields', async () => {
+      const ref = doc(asPlayer('alice'), 'marathonScores/alice');
+      await assertFails(setDoc(ref, { ...run, score: 99999 }));
+      await assertFails(setDoc(ref, { ...run, boardsSolved: 5, score: 7 * 100 + 5 * 250 + 200 }));
+      await assertFails(setDoc(ref, { ...run, groupsSolved: 1000, score: 1000 * 100 + 500 + 200 }));
+      await assertFails(setDoc(ref, { ...run, score: '1400' }));
+      await assertFails(setDoc(ref, { ...run, verified: true }));
+    });
+
+    it('rejects nicknames outside the nickname rule', async () => {
+      await assertFails(setDoc(doc(asPlayer('alice'), 'marathonScores/alice'), { ...run, nickname: '<img src=x onerror=alert(1)>' }));
+    });
+  });
+
+  describe('users/{uid}', () => {
+    it('lets players set a valid nickname on their own profile', async () => {
+      await assertSucceeds(setDoc(doc(asPlayer('alice'), 'users/alice'), { nickname: 'שמחכוכב12', updatedAt: new Date() }));
+      await assertSucceeds(setDoc(doc(asPlayer('alice'), 'users/alice'), { nickname: 'Ada_Lovelace-1.0', updatedAt: new Date() }, { merge: true }));
+    });
+
+    it('rejects other players, bad lengths and characters', async () => {
+      await assertFails(setDoc(doc(asPlayer('bob'), 'users/alice'), { nickname: 'בוב', updatedAt: new Date() }));
+      await assertFails(setDoc(doc(asPlayer('alice'), 'users/alice'), { nickname: '', updatedAt: new Date() }));
+      await assertFails(setDoc(doc(asPlayer('alice'), 'users/alice'), { nickname: 'א'.repeat(21), updatedAt: new Date() }));
+      await assertFails(setDoc(doc(asPlayer('alice'), 'users/alice'), { nickname: '<script>', updatedAt: new Date() }));
+      await assertFails(setDoc(doc(asPlayer('alice'), 'users/alice'), { nickname: 'כוכב😀', updatedAt: new Date() }));
+      await assertFails(setDoc(doc(asPlayer('alice'), 'users/alice'), { nickname: 'כוכב', isAdmin: true }));
+    });
+
+    it('accepts a leaderboard badge id, with or without a nickname', async () => {
+      await assertSucceeds(setDoc(doc(asPlayer('alice'), 'users/alice'), { badge: 'streak-30', updatedAt: new Date() }));
+      await assertSucceeds(setDoc(doc(asPlayer('alice'), 'users/alice'), { nickname: 'כוכב', badge: null }, { merge: true }));
+      await assertFails(setDoc(doc(asPlayer('alice'), 'users/alice'), { badge: '<img src=x>' }, { merge: true }));
+      await assertFails(setDoc(doc(asPlayer('alice'), 'users/alice'), { badge: 7 }, { merge: true }));
+    });
+  });
+
+  describe('userStats/{uid}', () => {
+    const stats = () => ({
+      history: { [today]: { won: true, mistakes: 1, time: 95, hints: 0, guesses: [], timestamp: Date.now() } },
+      archiveSolved: ['2025-01-01'],
+      maxStreak: 3,
+      updatedAt: new Date()
+    });
+
+    it('is private to its owner', async () => {
+      await assertSucceeds(setDoc(doc(asPlayer('alice'), 'userStats/alice'), stats()));
+      await assertSucceeds(getDoc(doc(asPlayer('alice'), 'userStats/alice')));
+      await assertFails(getDoc(doc(asPlayer('bob'), 'userStats/alice')));
+      await assertFails(setDoc(doc(asPlayer('bob'), 'userStats/alice'), stats()));
+      await assertFails(getDoc(doc(asGuest(), 'userStats/alice')));
+    });
+
+    it('rejects malformed copies', async () => {
+      await assertFails(setDoc(doc(asPlayer('alice'), 'userStats/alice'), { ...stats(), gamesWon: 999 }));
+      await assertFails(setDoc(doc(asPlayer('alice'), 'userStats/alice'), { ...stats(), history: 'all wins' }));
+      await assertFails(setDoc(doc(asPlayer('alice'), 'userStats/alice'), { ...stats(), maxStreak: '3' }));
+    });
+  });
+
+  describe('suggested_ideas', () => {
+    const idea = () => ({ words: ['א', 'ב', 'ג', 'ד'], connection: 'אותיות', difficulty: 1, timestamp: new Date() });
+
+    it('lets players create ideas', async () => {
+      await assertSucceeds(addDoc(collection(asPlayer(), 'suggested_ideas'), idea()));
+    });
+
+    it('never lets players read, change or delete ideas', async () => {
+      await seed({ 'suggested_ideas/one': idea() });
+      await assertFails(getDoc(doc(asPlayer(), 'suggested_ideas/one')));
+      await assertFails(getDocs(collection(asPlayer(), 'suggested_ideas')));
+      await assertFails(updateDoc(doc(asPlayer(), 'suggested_ideas/one'), { status: 'approved' }));
+      await assertFails(deleteDoc(doc(asPlayer(), 'suggested_ideas/one')));
+    });
+
+    it('rejects malformed ideas and signed-out players', async () => {
+      await assertFails(addDoc(collection(asPlayer(), 'suggested_ideas'), { ...idea(), difficulty: 99 }));
+      await assertFails(addDoc(collection(asPlayer(), 'suggested_ideas'), { ...idea(), status: 'approved' }));
+      await assertFails(addDoc(collection(asGuest(), 'suggested_ideas'), idea()));
+    });
+
+    it('lets admins review ideas', async () => {
+      await seed({ 'suggested_ideas/one': idea() });
+      await assertSucceeds(getDocs(collection(asAdmin(), 'suggested_ideas')));
+      await assertSucceeds(setDoc(doc(asAdmin(), 'suggested_ideas/one'), { status: 'approved' }, { merge: true }));
+    });
+  });
+
+  describe('puzzles, puzzleSolutions and approvedGroups', () => {
+    it('only admins write', async () => {
+      for (const path of [`puzzles/${today}`, `puzzleSolutions/${today}`, 'approvedGroups/g1']) {
+        await assertFails(setDoc(doc(asPlayer(), path), { date: today }));
+        await assertSucceeds(setDoc(doc(asAdmin(), path), { date: today }));
+      }
+      await assertFails(deleteDoc(doc(asPlayer(), `puzzles/${today}`)));
+      await assertFails(getDocs(collection(asPlayer(), 'approvedGroups')));
+    });
+
+    it('a signed-in non-admin account is not an admin', async () => {
+      const emailUser = testEnv.authenticatedContext('carol', { firebase: { sign_in_provider: 'password' } }).firestore();
+      await assertFails(setDoc(doc(emailUser, `puzzles/${today}`), { date: today }));
+    });
+  });
+
+  describe('future puzzles', () => {
+    it('today and earlier are readable by anyone', async () => {
+      await assertSucceeds(getDoc(doc(asGuest(), `puzzles/${today}`)));
+      await assertSucceeds(getDocs(query(collection(asGuest(), 'puzzles'),
+        where('date', '<=', today), orderBy('date', 'desc'), limit(30))));
+    });
+
+    it('keep today\'s answers until the player\'s result is recorded', async () => {
+      await assertSucceeds(getDoc(doc(asGuest(), `puzzleSolutions/${yesterday}`)));
+      await assertFails(getDoc(doc(asGuest(), `puzzleSolutions/${today}`)));
+      await assertFails(getDoc(doc(asPlayer('alice'), `puzzleSolutions/${today}`)));
+
+      await seed({ [`userDailyGames/alice/days/${today}`]: { date: today, won: true } });
+      await assertSucceeds(getDoc(doc(asPlayer('alice'), `puzzleSolutions/${today}`)));
+      await assertFails(getDoc(doc(asPlayer('bob'), `puzzleSolutions/${today}`)));
+    });
+
+    it('are not readable before their date', async () => {
+      await assertFails(getDoc(doc(asPlayer(), `puzzles/${future}`)));
+      await assertFails(getDoc(doc(asPlayer(), `puzzleSolutions/${future}`)));
+      await assertFails(getDocs(collection(asPlayer(), 'puzzles')));
+      await assertFails(getDocs(query(collection(asPlayer(), 'puzzles'), where('date', '<=', future))));
+    });
+
+    it('are readable by admins', async () => {
+      await assertSucceeds(getDoc(doc(asAdmin(), `puzzles/${future}`)));
+      await assertSucceeds(getDocs(collection(asAdmin(), 'puzzles')));
+    });
+  });
+});
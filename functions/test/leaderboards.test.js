@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getDailyPoints,
+  getWeekStart,
+  getLeaderboardPeriodIds,
+  updateLeaderboardEntry
+} from '../shared/leaderboards.js';
+
+const win = (date, mistakes = 0, score = 100) => ({ date, won: true, mistakes, score, nickname: 'דנה' });
+const loss = date => ({ date, won: false, mistakes: 4, score: 2000, nickname: 'דנה' });
+
+function play(results) {
+  return results.reduce((entry, result) => updateLeaderboardEntry(entry, result), {});
+}
+
+describe('getDailyPoints', () => {
+  it('turns lower scores into more points, with a floor for slow wins', () => {
+    assert.equal(getDailyPoints({ won: true, score: 0 }), 1000);
+    assert.equal(getDailyPoints({ won: true, score: 620 }), 938);
+    assert.equal(getDailyPoints({ won: true, score: 50000 }), 100);
+    assert.equal(getDailyPoints({ won: false, score: 0 }), 0);
+  });
+});
+
+describe('leaderboard periods', () => {
+  it('starts weeks on Sunday', () => {
+    assert.equal(getWeekStart('2024-03-10'), '2024-03-10'); // Sunday
+    assert.equal(getWeekStart('2024-03-16'), '2024-03-10'); // Saturday
+    assert.equal(getWeekStart('2024-03-01'), '2024-02-25');
+  });
+
+  it('names the week, month and all-time boards of a date', () => {
+    assert.deepEqual(getLeaderboardPeriodIds('2024-03-01'), ['week-2024-02-25', 'month-2024-03', 'all']);
+  });
+});
+
+describe('updateLeaderboardEntry', () => {
+  it('adds up games, wins, perfect games and points', () => {
+    const entry = play([win('2024-03-10', 0, 100), win('2024-03-11', 2, 1100), loss('2024-03-12')]);
+    assert.equal(entry.games, 3);
+    assert.equal(entry.wins, 2);
+    assert.equal(entry.perfectGames, 1);
+    assert.equal(entry.points, 990 + 890);
+    assert.equal(entry.nickname, 'דנה');
+  });
+
+  it('counts streaks of consecutive daily wins', () => {
+    const entry = play([win('2024-03-10'), win('2024-03-11'), win('2024-03-12'), loss('2024-03-13'), win('2024-03-14')]);
+    assert.equal(entry.currentStreak, 1);
+    assert.equal(entry.longestStreak, 3);
+  });
+
+  it('breaks the streak on a missed day', () => {
+    const entry = play([win('2024-03-10'), win('2024-03-12')]);
+    assert.equal(entry.currentStreak, 1);
+    assert.equal(entry.longestStreak, 1);
+  });
+
+  it('counts a late result without touching the streak', () => {
+    const entry = play([win('2024-03-10'), win('2024-03-11'), loss('2024-03-09')]);
+    assert.equal(entry.games, 3);
+    assert.equal(entry.currentStreak, 2);
+    assert.equal(entry.lastPlayedDate, '2024-03-11');
+  });
+});
@@ -0,0 +1,82 @@
+// Runs against the Firestore emulator: `npm test` starts it and sets FIRESTORE_EMULATOR_HOST.
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import functionsTest from 'firebase-functions-test';
+
+// Its own project, so clearing data can't race the result function tests running alongside
+const PROJECT_ID = 'demo-connectionsio-leagues';
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+const testEnv = functionsTest({ projectId: PROJECT_ID });
+
+async function clearFirestore() {
+  await fetch(`http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+}
+
+async function assertRejected(promise, code) {
+  await assert.rejects(promise, error => error.code === code);
+}
+
+describe('league functions', { skip: !EMULATOR_HOST && 'needs the Firestore emulator (npm test)' }, () => {
+  let db;
+  let call;
+
+  before(async () => {
+    const functions = await import('../index.js');
+    const { getFirestore } = await import('firebase-admin/firestore');
+    db = getFirestore();
+    const wrapped = {
+      createLeague: testEnv.wrap(functions.createLeague),
+      joinLeague: testEnv.wrap(functions.joinLeague),
+      leaveLeague: testEnv.wrap(functions.leaveLeague),
+      removeFromLeague: testEnv.wrap(functions.removeFromLeague)
+    };
+    call = (name, uid, data) => wrapped[name]({ data, auth: uid ? { uid } : undefined });
+  });
+
+  beforeEach(clearFirestore);
+
+  after(() => testEnv.cleanup());
+
+  it('creates a league owned by its creator', async () => {
+    const { leagueId, name } = await call('createLeague', 'alice', { name: ' המשרד ' });
+    assert.equal(name, 'המשרד');
+
+    const league = (await db.doc(`leagues/${leagueId}`).get()).data();
+    assert.equal(league.ownerId, 'alice');
+    assert.deepEqual(league.admins, ['alice']);
+    assert.deepEqual(league.members, ['alice']);
+  });
+
+  it('joins by code, once', async () => {
+    const { leagueId } = await call('createLeague', 'alice', { name: 'המשרד' });
+    await call('joinLeague', 'bob', { code: leagueId.toLowerCase() });
+    await call('joinLeague', 'bob', { code: leagueId });
+
+    const league = (await db.doc(`leagues/${leagueId}`).get()).data();
+    assert.deepEqual(league.members, ['alice', 'bob']);
+    await assertRejected(call('joinLeague', 'bob', { code: 'ZZZZZZ' }), 'not-found');
+  });
+
+  it('lets admins remove members, and hands the league on when the owner leaves', async () => {
+    const { leagueId } = await call('createLeague', 'alice', { name: 'המשרד' });
+    await call('joinLeague', 'bob', { code: leagueId });
+    await call('joinLeague', 'carol', { code: leagueId });
+
+    await assertRejected(call('removeFromLeague', 'bob', { leagueId, memberId: 'carol' }), 'permission-denied');
+    await call('removeFromLeague', 'alice', { leagueId, memberId: 'carol' });
+    await call('leaveLeague', 'alice', { leagueId });
+
+    const league = (await db.doc(`leagues/${leagueId}`).get()).data();
+    assert.deepEqual(league.members, ['bob']);
+    assert.equal(league.ownerId, 'bob');
+
+    await call('leaveLeague', 'bob', { leagueId });
+    assert.equal((await db.doc(`leagues/${leagueId}`).get()).exists, false);
+  });
+
+  it('requires a signed-in player', async () => {
+    await assertRejected(call('createLeague', null, { name: 'המשרד' }), 'unauthenticated');
+  });
+});
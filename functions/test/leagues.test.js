@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_LEAGUE_MEMBERS,
+  MAX_LEAGUES_PER_PLAYER,
+  LeagueRequestError,
+  createLeagueCode,
+  normalizeLeagueCode,
+  normalizeLeagueName,
+  addLeagueMember,
+  removeLeagueMember,
+  checkCanRemoveMember
+} from '../leagues.js';
+
+const league = { name: 'המשרד', ownerId: 'alice', admins: ['alice'], members: ['alice', 'bob', 'carol'] };
+
+function assertRejected(action, code) {
+  assert.throws(action, error => error instanceof LeagueRequestError && error.code === code);
+}
+
+describe('league codes', () => {
+  it('are six unambiguous characters', () => {
+    const code = createLeagueCode();
+    assert.match(code, /^[A-HJ-KM-NP-Z2-9]{6}$/);
+    assert.equal(normalizeLeagueCode(code), code);
+  });
+
+  it('ignore case, spaces and dashes when typed', () => {
+    assert.equal(normalizeLeagueCode(' abc-23x '), 'ABC23X');
+  });
+
+  it('reject anything else', () => {
+    assertRejected(() => normalizeLeagueCode('ABC'), 'invalid-argument');
+    assertRejected(() => normalizeLeagueCode('ABC10O'), 'invalid-argument');
+    assertRejected(() => normalizeLeagueCode(null), 'invalid-argument');
+  });
+});
+
+describe('normalizeLeagueName', () => {
+  it('trims and collapses spaces', () => {
+    assert.equal(normalizeLeagueName('  החברים   מהצבא '), 'החברים מהצבא');
+  });
+
+  it('rejects empty and overlong names', () => {
+    assertRejected(() => normalizeLeagueName('   '), 'invalid-argument');
+    assertRejected(() => normalizeLeagueName('א'.repeat(31)), 'invalid-argument');
+  });
+
+  it('rejects markup and characters outside the nickname rule', () => {
+    assertRejected(() => normalizeLeagueName('<img src=x onerror=eval(name)>'), 'invalid-argument');
+    assertRejected(() => normalizeLeagueName('"החברים"'), 'invalid-argument');
+  });
+});
+
+describe('addLeagueMember', () => {
+  it('adds a new member at the end', () => {
+    assert.deepEqual(addLeagueMember(league, 'dave', 0), ['alice', 'bob', 'carol', 'dave']);
+  });
+
+  it('leaves existing members as they are', () => {
+    assert.equal(addLeagueMember(league, 'bob', MAX_LEAGUES_PER_PLAYER), league.members);
+  });
+
+  it('limits league size and leagues per player', () => {
+    const full = { ...league, members: Array.from({ length: MAX_LEAGUE_MEMBERS }, (_, i) => `p${i}`) };
+    assertRejected(() => addLeagueMember(full, 'dave', 0), 'resource-exhausted');
+    assertRejected(() => addLeagueMember(league, 'dave', MAX_LEAGUES_PER_PLAYER), 'failed-precondition');
+  });
+});
+
+describe('removeLeagueMember', () => {
+  it('removes a member', () => {
+    assert.deepEqual(removeLeagueMember(league, 'bob'), { ownerId: 'alice', admins: ['alice'], members: ['alice', 'carol'] });
+  });
+
+  it('hands the league on when the owner leaves', () => {
+    assert.deepEqual(removeLeagueMember(league, 'alice'), { ownerId: 'bob', admins: ['bob'], members: ['bob', 'carol'] });
+  });
+
+  it('returns null for the last member', () => {
+    assert.equal(removeLeagueMember({ ...league, members: ['alice'] }, 'alice'), null);
+  });
+});
+
+describe('checkCanRemoveMember', () => {
+  it('lets admins remove other members', () => {
+    assert.doesNotThrow(() => checkCanRemoveMember(league, 'alice', 'bob'));
+  });
+
+  it('rejects non-admins, the owner and strangers', () => {
+    assertRejected(() => checkCanRemoveMember(league, 'bob', 'carol'), 'permission-denied');
+    assertRejected(() => checkCanRemoveMember({ ...league, admins: ['alice', 'bob'] }, 'bob', 'alice'), 'permission-denied');
+    assertRejected(() => checkCanRemoveMember(league, 'alice', 'zed'), 'not-found');
+  });
+});
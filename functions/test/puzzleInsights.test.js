@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { replayGuesses } from '../resultVerifier.js';
+import {
+  MIN_INSIGHT_GAMES,
+  getGuessKey,
+  isOneAway,
+  buildPuzzleStatsUpdate,
+  buildPuzzleInsights
+} from '../shared/puzzleInsights.js';
+
+const puzzle = {
+  groupCount: 2,
+  groupSize: 3,
+  lives: 2,
+  groups: [
+    { words: ['תפוח', 'בננה', 'ענב'], explanation: 'פירות', color: '#f44336' },
+    { words: ['כלב', 'חתול', 'סוס'], explanation: 'חיות', color: '#9c27b0' }
+  ]
+};
+
+const FRUITS = ['ענב', 'תפוח', 'בננה'];
+const ANIMALS = ['סוס', 'כלב', 'חתול'];
+const MIXED = ['תפוח', 'בננה', 'כלב'];
+const MIXED_2 = ['תפוח', 'חתול', 'כלב'];
+
+// Stands in for FieldValue.increment - the tests add the updates up by hand
+const increment = n => n;
+
+function buildUpdate(guesses) {
+  const { won, guessLog } = replayGuesses(puzzle, guesses);
+  return buildPuzzleStatsUpdate({ date: '2024-01-01', groups: puzzle.groups, guessLog, won }, increment);
+}
+
+// What Firestore ends up with after set(update, { merge: true }) for each game
+function sumUpdates(updates) {
+  const add = (target, source) => {
+    Object.entries(source).forEach(([key, value]) => {
+      if (typeof value === 'number') {
+        target[key] = (target[key] || 0) + value;
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        target[key] = add(target[key] || {}, value);
+      } else {
+        target[key] = value;
+      }
+    });
+    return target;
+  };
+  return updates.reduce((total, update) => add(total, update), {});
+}
+
+describe('buildPuzzleStatsUpdate', () => {
+  it('counts a clean win', () => {
+    const update = buildUpdate([ANIMALS, FRUITS]);
+    assert.equal(update.games, 1);
+    assert.equal(update.wins, 1);
+    assert.equal(update.guesses, 2);
+    assert.equal(update.mistakes, 0);
+    assert.deepEqual(update.wrongGuesses, {});
+    assert.deepEqual(update.groups[1], { color: '#9c27b0', found: 1, first: 1, last: 0, missed: 0, positionTotal: 1 });
+    assert.deepEqual(update.groups[0], { color: '#f44336', found: 1, first: 0, last: 1, missed: 0, positionTotal: 2 });
+  });
+
+  it('keys wrong guesses by their words, whatever the order', () => {
+    const update = buildUpdate([MIXED, FRUITS, ANIMALS]);
+    const key = getGuessKey(['כלב', 'בננה', 'תפוח']);
+    assert.deepEqual(Object.keys(update.wrongGuesses), [key]);
+    assert.deepEqual(update.wrongGuesses[key], { words: [...MIXED].sort(), oneAway: true, count: 1 });
+    assert.equal(update.oneAwayGuesses, 1);
+  });
+
+  it('records the groups a lost game never found', () => {
+    const update = buildUpdate([MIXED, MIXED_2]);
+    assert.equal(update.wins, 0);
+    assert.equal(update.mistakes, 2);
+    assert.equal(update.groups[0].missed, 1);
+    assert.equal(update.groups[1].missed, 1);
+    assert.equal(update.groups[0].last, 0);
+  });
+});
+
+describe('isOneAway', () => {
+  it('needs all but one tile from the same group', () => {
+    assert.equal(isOneAway({ words: ['a', 'b', 'c', 'd'], groups: [0, 0, 0, 1] }), true);
+    assert.equal(isOneAway({ words: ['a', 'b', 'c', 'd'], groups: [0, 0, 1, 1] }), false);
+  });
+});
+
+describe('buildPuzzleInsights', () => {
+  const games = [
+    [MIXED, FRUITS, ANIMALS],
+    [MIXED, ANIMALS, FRUITS],
+    [ANIMALS, FRUITS],
+    [FRUITS, ANIMALS],
+    [MIXED, MIXED_2]
+  ];
+
+  it('stays empty until enough players finished', () => {
+    const stats = sumUpdates(games.slice(0, MIN_INSIGHT_GAMES - 1).map(buildUpdate));
+    assert.deepEqual(buildPuzzleInsights(stats, puzzle.groups), []);
+  });
+
+  it('names the most common wrong guess and the group found last', () => {
+    const stats = sumUpdates(games.map(buildUpdate));
+    const lines = buildPuzzleInsights(stats, puzzle.groups).map(line => line.text);
+
+    assert.ok(lines.some(text => text.includes([...MIXED].sort().join(', ')) && text.includes('60%')), lines.join('\n'));
+    // Animals came last in 2 of the 4 wins, fruits in the other 2 - the first one wins ties
+    assert.ok(lines.includes('50% מהפותרים מצאו את הקבוצה האדומה אחרונה'), lines.join('\n'));
+    assert.ok(lines.includes('הקבוצה האדומה נשארה לא פתורה אצל 20% מהשחקנים'), lines.join('\n'));
+  });
+});
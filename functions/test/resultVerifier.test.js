@@ -0,0 +1,210 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MISTAKE_PENALTY,
+  MIN_SECONDS_PER_GUESS,
+  RESULT_GRACE_MS,
+  ResultRejectedError,
+  checkResultDate,
+  playGuesses,
+  replayGuesses,
+  getElapsedSeconds,
+  normalizeNickname,
+  buildRequestedHint,
+  verifyResult
+} from '../resultVerifier.js';
+import { MAX_HINTS_PER_GAME } from '../shared/hints.js';
+
+const puzzle = {
+  groupCount: 2,
+  groupSize: 3,
+  lives: 2,
+  groups: [
+    { words: ['תפוח', 'בננה', 'ענב'], explanation: 'פירות', color: '#f44336' },
+    { words: ['כלב', 'חתול', 'סוס'], explanation: 'חיות', color: '#4caf50' }
+  ]
+};
+
+const FRUITS = ['ענב', 'תפוח', 'בננה'];
+const ANIMALS = ['סוס', 'כלב', 'חתול'];
+const MIXED = ['תפוח', 'בננה', 'כלב'];
+const MIXED_2 = ['תפוח', 'חתול', 'כלב'];
+
+function assertRejected(action, code) {
+  assert.throws(action, error => error instanceof ResultRejectedError && error.code === code);
+}
+
+describe('replayGuesses', () => {
+  it('counts a clean win', () => {
+    const result = replayGuesses(puzzle, [FRUITS, ANIMALS]);
+    assert.equal(result.won, true);
+    assert.equal(result.mistakes, 0);
+    assert.deepEqual(result.guessLog.map(entry => entry.correct), [true, true]);
+  });
+
+  it('counts mistakes before the win', () => {
+    const result = replayGuesses(puzzle, [MIXED, FRUITS, ANIMALS]);
+    assert.equal(result.won, true);
+    assert.equal(result.mistakes, 1);
+    assert.deepEqual(result.guessLog[0].groups, [0, 0, 1]);
+  });
+
+  it('ends the game when the lives run out', () => {
+    const result = replayGuesses(puzzle, [MIXED, MIXED_2]);
+    assert.equal(result.won, false);
+    assert.equal(result.mistakes, 2);
+  });
+
+  it('rejects guesses after the game ended', () => {
+    assertRejected(() => replayGuesses(puzzle, [MIXED, MIXED_2, FRUITS]), 'invalid-argument');
+    assertRejected(() => replayGuesses(puzzle, [FRUITS, ANIMALS, FRUITS]), 'invalid-argument');
+  });
+
+  it('rejects words that are not on the board', () => {
+    assertRejected(() => replayGuesses(puzzle, [['תפוח', 'בננה', 'אגס']]), 'invalid-argument');
+  });
+
+  it('rejects reusing words of a solved group', () => {
+    assertRejected(() => replayGuesses(puzzle, [FRUITS, ['תפוח', 'כלב', 'חתול']]), 'invalid-argument');
+  });
+
+  it('rejects guesses of the wrong size or with repeated words', () => {
+    assertRejected(() => replayGuesses(puzzle, [['תפוח', 'בננה']]), 'invalid-argument');
+    assertRejected(() => replayGuesses(puzzle, [['תפוח', 'תפוח', 'בננה']]), 'invalid-argument');
+  });
+
+  it('rejects a repeated wrong guess', () => {
+    assertRejected(() => replayGuesses(puzzle, [MIXED, [...MIXED].reverse()]), 'invalid-argument');
+  });
+
+  it('rejects an unfinished game', () => {
+    assertRejected(() => replayGuesses(puzzle, [FRUITS]), 'failed-precondition');
+    assertRejected(() => replayGuesses(puzzle, 'not-an-array'), 'invalid-argument');
+  });
+});
+
+describe('checkResultDate', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  it('accepts today', () => {
+    checkResultDate('2026-03-10', now);
+  });
+
+  it('rejects past puzzles', () => {
+    assertRejected(() => checkResultDate('2026-03-09', now), 'failed-precondition');
+    assertRejected(() => checkResultDate('2026-03-01', now), 'failed-precondition');
+  });
+
+  it('takes yesterday\'s puzzle for a short while after midnight', () => {
+    // Midnight in Israel is 22:00 UTC the day before (winter time)
+    checkResultDate('2026-03-09', new Date('2026-03-09T22:30:00Z'));
+    assertRejected(() => checkResultDate('2026-03-09', new Date(Date.parse('2026-03-09T22:00:00Z') + RESULT_GRACE_MS + 1000)), 'failed-precondition');
+  });
+
+  it('rejects future puzzles and malformed dates', () => {
+    assertRejected(() => checkResultDate('2026-03-11', now), 'invalid-argument');
+    assertRejected(() => checkResultDate('10/03/2026', now), 'invalid-argument');
+  });
+});
+
+describe('getElapsedSeconds', () => {
+  const date = '2026-03-10';
+  const now = Date.parse('2026-03-10T12:00:00Z');
+
+  it('times the game from the start recorded by the server', () => {
+    assert.equal(getElapsedSeconds({ date, now, serverStartedAt: now - 300000 }), 300);
+  });
+
+  it('never takes a start time from the browser', () => {
+    // A start sent by the client is ignored - no server start means the day's start.
+    // Midnight in Israel is 22:00 UTC the day before (winter time)
+    assert.equal(getElapsedSeconds({ date, now, clientStartedAt: now - 1000 }), 14 * 60 * 60);
+    assert.equal(getElapsedSeconds({ date, now }), 14 * 60 * 60);
+  });
+});
+
+describe('normalizeNickname', () => {
+  it('keeps nicknames that follow the nickname rule', () => {
+    assert.equal(normalizeNickname('  שחקן 7  '), 'שחקן 7');
+    assert.equal(normalizeNickname('Player_1.x-y'), 'Player_1.x-y');
+  });
+
+  it('makes anything else anonymous', () => {
+    assert.equal(normalizeNickname('<img src=x onerror=alert(1)>'), 'אנונימי');
+    assert.equal(normalizeNickname('א'.repeat(21)), 'אנונימי');
+    assert.equal(normalizeNickname('   '), 'אנונימי');
+    assert.equal(normalizeNickname(42), 'אנונימי');
+  });
+});
+
+describe('playGuesses', () => {
+  it('follows an unfinished game', () => {
+    assert.deepEqual(playGuesses(puzzle, []), { solvedGroups: [], mistakes: 0, guessLog: [], over: false });
+    const { solvedGroups, mistakes, over } = playGuesses(puzzle, [MIXED, ANIMALS]);
+    assert.deepEqual(solvedGroups, [1]);
+    assert.equal(mistakes, 1);
+    assert.equal(over, false);
+  });
+});
+
+describe('buildRequestedHint', () => {
+  it('answers from the solution for the board the guesses lead to', () => {
+    assert.deepEqual(buildRequestedHint(puzzle, { type: 'category' }), { type: 'category', groupIndex: 0, explanation: 'פירות' });
+    assert.deepEqual(buildRequestedHint(puzzle, { type: 'category', guesses: [FRUITS] }), { type: 'category', groupIndex: 1, explanation: 'חיות' });
+    assert.equal(buildRequestedHint(puzzle, { type: 'pair', words: ['כלב', 'סוס'] }).together, true);
+  });
+
+  it('moves on from the hints already given', () => {
+    const given = [{ type: 'category', groupIndex: 0, explanation: 'פירות' }, { type: 'word', word: 'תפוח', groupIndex: 0 }];
+    assert.deepEqual(buildRequestedHint(puzzle, { type: 'category' }, given), { type: 'category', groupIndex: 1, explanation: 'חיות' });
+    assert.deepEqual(buildRequestedHint(puzzle, { type: 'word' }, given), { type: 'word', word: 'בננה', groupIndex: 0 });
+  });
+
+  it('returns null when no hint of the type is left', () => {
+    const given = [{ type: 'category', groupIndex: 1, explanation: 'חיות' }];
+    assert.equal(buildRequestedHint(puzzle, { type: 'category', guesses: [FRUITS] }, given), null);
+    assert.equal(buildRequestedHint(puzzle, { type: 'pair', words: ['כלב'] }), null);
+  });
+
+  it('refuses hints past the cap, after the game and of unknown types', () => {
+    const given = Array.from({ length: MAX_HINTS_PER_GAME }, () => ({ type: 'pair', words: ['כלב', 'סוס'], together: true }));
+    assertRejected(() => buildRequestedHint(puzzle, { type: 'category' }, given), 'resource-exhausted');
+    assertRejected(() => buildRequestedHint(puzzle, { type: 'category', guesses: [FRUITS, ANIMALS] }), 'failed-precondition');
+    assertRejected(() => buildRequestedHint(puzzle, { type: 'word', guesses: [['תפוח', 'אגס', 'כלב']] }), 'invalid-argument');
+    assertRejected(() => buildRequestedHint(puzzle, { type: 'solution' }), 'invalid-argument');
+  });
+});
+
+describe('verifyResult', () => {
+  const now = Date.parse('2026-03-10T12:00:00Z');
+
+  it('scores from the replay, not from anything the client claims', () => {
+    const result = verifyResult({
+      puzzle,
+      date: '2026-03-10',
+      guesses: [MIXED, FRUITS, ANIMALS],
+      hints: [{ type: 'category' }, { type: 'made-up' }],
+      nickname: '  שחקן  ',
+      serverStartedAt: now - 120000,
+      won: true,
+      mistakes: 0,
+      score: 1,
+      now
+    });
+
+    assert.equal(result.won, true);
+    assert.equal(result.mistakes, 1);
+    assert.equal(result.timeElapsed, 120);
+    assert.equal(result.hintsUsed, 1);
+    assert.equal(result.hintPenalty, 150);
+    assert.equal(result.score, MISTAKE_PENALTY + 120 + 150);
+    assert.equal(result.nickname, 'שחקן');
+    assert.equal(result.grid, '🟥🟥🟩\n🟥🟥🟥\n🟩🟩🟩');
+  });
+
+  it('rejects games played faster than the guesses allow', () => {
+    const submission = { puzzle, date: '2026-03-10', guesses: [MIXED, FRUITS, ANIMALS], now };
+    assertRejected(() => verifyResult({ ...submission, serverStartedAt: now - 2000 }), 'failed-precondition');
+    assert.equal(verifyResult({ ...submission, serverStartedAt: now - 3 * MIN_SECONDS_PER_GUESS * 1000 }).timeElapsed, 3 * MIN_SECONDS_PER_GUESS);
+  });
+});
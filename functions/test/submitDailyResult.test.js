@@ -0,0 +1,209 @@
+// Runs against the Firestore emulator: `npm test` starts it and sets FIRESTORE_EMULATOR_HOST.
+import { describe, it, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import functionsTest from 'firebase-functions-test';
+import { getPuzzleDate, getPuzzleDayStart, addDays } from '../shared/puzzleDate.js';
+import { getLeaderboardPeriodIds } from '../shared/leaderboards.js';
+import { MAX_HINTS_PER_GAME } from '../shared/hints.js';
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-connectionsio';
+const EMULATOR_HOST = process.env.FIRESTORE_EMULATOR_HOST;
+
+const testEnv = functionsTest({ projectId: PROJECT_ID });
+const today = getPuzzleDate();
+
+const FRUITS = ['ענב', 'תפוח', 'בננה', 'אגס'];
+const ANIMALS = ['סוס', 'כלב', 'חתול', 'פרה'];
+const MIXED = ['תפוח', 'בננה', 'אגס', 'כלב'];
+
+async function clearFirestore() {
+  await fetch(`http://${EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+}
+
+async function assertRejected(promise, code) {
+  await assert.rejects(promise, error => error.code === code);
+}
+
+describe('result functions', { skip: !EMULATOR_HOST && 'needs the Firestore emulator (npm test)' }, () => {
+  let db;
+  let startDailyGame;
+  let submitDailyResult;
+  let getPuzzleHint;
+
+  function submit(uid, data) {
+    return submitDailyResult({ data: { date: today, ...data }, auth: uid ? { uid } : undefined });
+  }
+
+  before(async () => {
+    const functions = await import('../index.js');
+    const { getFirestore } = await import('firebase-admin/firestore');
+    db = getFirestore();
+    startDailyGame = testEnv.wrap(functions.startDailyGame);
+    submitDailyResult = testEnv.wrap(functions.submitDailyResult);
+    getPuzzleHint = testEnv.wrap(functions.getPuzzleHint);
+  });
+
+  beforeEach(async () => {
+    await clearFirestore();
+
+    // A locked puzzle - the groups only exist in puzzleSolutions
+    await db.doc(`puzzles/${today}`).set({
+      date: today,
+      words: [...FRUITS, ...ANIMALS],
+      lockedGroups: [{ hash: 'x' }, { hash: 'y' }],
+      groupCount: 2,
+      groupSize: 4,
+      lives: 2
+    });
+    await db.doc(`puzzleSolutions/${today}`).set({
+      date: today,
+      groups: [
+        { words: FRUITS, explanation: 'פירות', color: '#f44336' },
+        { words: ANIMALS, explanation: 'חיות', color: '#4caf50' }
+      ]
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  it('saves a verified result scored on the server', async () => {
+    await db.doc(`userDailyGames/alice/starts/${today}`).set({ startedAt: Date.now() - 10 * 60 * 1000 });
+    await getPuzzleHint({ data: { date: today, type: 'pair', words: ['ענב', 'סוס'] }, auth: { uid: 'alice' } });
+    // The penalty follows the hints the server gave, whatever the client lists
+    const response = await submit('alice', { guesses: [MIXED, FRUITS, ANIMALS], hints: [] });
+    assert.equal(response.alreadyRecorded, false);
+
+    const saved = (await db.doc(`userDailyGames/alice/days/${today}`).get()).data();
+    assert.equal(saved.verified, true);
+    assert.equal(saved.won, true);
+    assert.equal(saved.mistakes, 1);
+    assert.equal(saved.hintPenalty, 45);
+    assert.equal(saved.score, 500 + saved.timeElapsed + 45);
+    assert.equal(saved.grid, '🟥🟥🟥🟩\n🟥🟥🟥🟥\n🟩🟩🟩🟩');
+    assert.equal(saved.guessLog, undefined);
+  });
+
+  it('ignores scores, times and hints claimed by the client', async () => {
+    await db.doc(`userDailyGames/bob/starts/${today}`).set({ startedAt: Date.now() - 10 * 60 * 1000 });
+
+    await submit('bob', { guesses: [FRUITS, ANIMALS], hints: [{ type: 'category' }], won: true, mistakes: 0, score: 1, timeElapsed: 1 });
+
+    const saved = (await db.doc(`userDailyGames/bob/days/${today}`).get()).data();
+    assert.ok(saved.timeElapsed >= 600, `expected at least 600s, got ${saved.timeElapsed}`);
+    assert.equal(saved.hintPenalty, 0);
+    assert.equal(saved.score, saved.timeElapsed);
+  });
+
+  it('times a game without a recorded start from the start of the day', async () => {
+    const sinceDayStart = Math.floor((Date.now() - getPuzzleDayStart(today).getTime()) / 1000);
+    await submit('bea', { guesses: [FRUITS, ANIMALS], startedAt: Date.now() - 1000, nickname: '<img src=x>' });
+
+    const saved = (await db.doc(`userDailyGames/bea/days/${today}`).get()).data();
+    assert.ok(saved.timeElapsed >= sinceDayStart, `expected at least ${sinceDayStart}s, got ${saved.timeElapsed}`);
+    assert.equal(saved.nickname, 'אנונימי');
+  });
+
+  it('keeps the first start time', async () => {
+    const first = await startDailyGame({ data: { date: today }, auth: { uid: 'carol' } });
+    const second = await startDailyGame({ data: { date: today }, auth: { uid: 'carol' } });
+    assert.equal(second.startedAt, first.startedAt);
+  });
+
+  it('starts the clock with the first hint', async () => {
+    const before = Date.now();
+    await getPuzzleHint({ data: { date: today, type: 'word' }, auth: { uid: 'cody' } });
+    const { startedAt } = await startDailyGame({ data: { date: today }, auth: { uid: 'cody' } });
+    assert.ok(startedAt >= before && startedAt <= Date.now());
+  });
+
+  it('rejects a game timed from a start just before the result', async () => {
+    await startDailyGame({ data: { date: today }, auth: { uid: 'cleo' } });
+    await assertRejected(submit('cleo', { guesses: [MIXED, FRUITS, ANIMALS] }), 'failed-precondition');
+  });
+
+  it('keeps only the first result of the day', async () => {
+    await submit('dave', { guesses: [FRUITS, ANIMALS] });
+    const again = await submit('dave', { guesses: [MIXED, ['תפוח', 'בננה', 'אגס', 'סוס']] });
+
+    assert.equal(again.alreadyRecorded, true);
+    assert.equal(again.won, true);
+    const saved = (await db.doc(`userDailyGames/dave/days/${today}`).get()).data();
+    assert.equal(saved.mistakes, 0);
+  });
+
+  it('adds new results to the puzzle telemetry, once per player', async () => {
+    await submit('gina', { guesses: [MIXED, FRUITS, ANIMALS] });
+    await submit('hank', { guesses: [ANIMALS, FRUITS] });
+    await submit('hank', { guesses: [FRUITS, ANIMALS] });
+
+    const stats = (await db.doc(`puzzleStats/${today}`).get()).data();
+    assert.equal(stats.games, 2);
+    assert.equal(stats.wins, 2);
+    assert.equal(stats.mistakes, 1);
+    assert.deepEqual(Object.values(stats.wrongGuesses), [{ words: [...MIXED].sort(), oneAway: true, count: 1 }]);
+    assert.equal(stats.groups[0].first, 1);
+    assert.equal(stats.groups[1].first, 1);
+  });
+
+  it('adds new results to the period leaderboards, once per player', async () => {
+    await submit('ivy', { guesses: [FRUITS, ANIMALS] });
+    await submit('ivy', { guesses: [FRUITS, ANIMALS] });
+
+    for (const periodId of getLeaderboardPeriodIds(today)) {
+      const entry = (await db.doc(`leaderboards/${periodId}/players/ivy`).get()).data();
+      assert.equal(entry.games, 1, periodId);
+      assert.equal(entry.wins, 1);
+      assert.equal(entry.perfectGames, 1);
+      assert.equal(entry.longestStreak, 1);
+      assert.ok(entry.points > 0);
+    }
+  });
+
+  it('gives one hint of a locked puzzle at a time and keeps a record of them', async () => {
+    const hint = (uid, data) => getPuzzleHint({ data: { date: today, ...data }, auth: uid ? { uid } : undefined });
+
+    assert.deepEqual((await hint('jo', { type: 'category' })).hint, { type: 'category', groupIndex: 0, explanation: 'פירות' });
+    // The record, not the client, says what was already given
+    assert.deepEqual((await hint('jo', { type: 'category' })).hint, { type: 'category', groupIndex: 1, explanation: 'חיות' });
+    assert.equal((await hint('jo', { type: 'category' })).hint, null);
+
+    const record = (await db.doc(`userDailyGames/jo/hints/${today}`).get()).data();
+    assert.equal(record.hints.length, 2);
+
+    await assertRejected(hint('jo', { type: 'word', guesses: [FRUITS, ANIMALS] }), 'failed-precondition');
+    await assertRejected(hint('jo', { date: addDays(today, 1), type: 'word' }), 'invalid-argument');
+    await assertRejected(hint(null, { type: 'word' }), 'unauthenticated');
+  });
+
+  it('stops giving hints at the cap and once the result is in', async () => {
+    for (let i = 0; i < MAX_HINTS_PER_GAME; i++) {
+      await getPuzzleHint({ data: { date: today, type: 'pair', words: ['ענב', 'סוס'] }, auth: { uid: 'kim' } });
+    }
+    await assertRejected(getPuzzleHint({ data: { date: today, type: 'word' }, auth: { uid: 'kim' } }), 'resource-exhausted');
+
+    await submit('lee', { guesses: [FRUITS, ANIMALS] });
+    await assertRejected(getPuzzleHint({ data: { date: today, type: 'word' }, auth: { uid: 'lee' } }), 'failed-precondition');
+  });
+
+  it('rejects guesses that could not have been played', async () => {
+    await assertRejected(submit('erin', { guesses: [FRUITS, ['סוס', 'כלב', 'חתול', 'ג׳ירפה']] }), 'invalid-argument');
+    await assertRejected(submit('erin', { guesses: [FRUITS] }), 'failed-precondition');
+
+    const saved = await db.doc(`userDailyGames/erin/days/${today}`).get();
+    assert.equal(saved.exists, false);
+  });
+
+  it('rejects past and future dates, unknown puzzles and signed-out players', async () => {
+    // An archive puzzle's solution is public - it can't be played for the boards
+    const past = addDays(today, -30);
+    await db.doc(`puzzles/${past}`).set({ date: past, groups: [{ words: FRUITS }, { words: ANIMALS }], groupCount: 2, groupSize: 4, lives: 2 });
+    await assertRejected(submit('frank', { date: past, guesses: [FRUITS, ANIMALS] }), 'failed-precondition');
+    assert.equal((await db.doc(`userDailyGames/frank/days/${past}`).get()).exists, false);
+
+    await assertRejected(submit('frank', { date: addDays(today, 1), guesses: [FRUITS, ANIMALS] }), 'invalid-argument');
+    await assertRejected(submit(null, { guesses: [FRUITS, ANIMALS] }), 'unauthenticated');
+
+    await db.doc(`puzzles/${today}`).delete();
+    await assertRejected(submit('frank', { guesses: [FRUITS, ANIMALS] }), 'not-found');
+  });
+});
@@ -0,0 +1,56 @@
+// In-progress Game State Persistence
+// Keeps the board of an unfinished game per puzzle so a reload resumes it
+export class GameStateStore {
+  constructor() {
+    this.storageKey = 'connections_game_state';
+    this.maxEntries = 10; // Only the most recently touched games are kept
+  }
+
+  getAll() {
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      return data ? JSON.parse(data) : {};
+    } catch (error) {
+      console.log('Could not read saved game state:', error);
+      return {};
+    }
+  }
+
+  setAll(states) {
+    localStorage.setItem(this.storageKey, JSON.stringify(states));
+  }
+
+  // mode is 'daily' or 'practice' so an archive replay never resumes a daily game
+  getKey(mode, date) {
+    return `${mode}:${date}`;
+  }
+
+  load(mode, date) {
+    return this.getAll()[this.getKey(mode, date)] || null;
+  }
+
+  save(mode, date, state) {
+    const states = this.getAll();
+    states[this.getKey(mode, date)] = {
+      ...state,
+      date,
+      mode,
+      updatedAt: Date.now()
+    };
+
+    // Drop the oldest entries so abandoned games don't pile up
+    const keys = Object.keys(states).sort((a, b) => states[b].updatedAt - states[a].updatedAt);
+    keys.slice(this.maxEntries).forEach(key => delete states[key]);
+
+    this.setAll(states);
+  }
+
+  clear(mode, date) {
+    const states = this.getAll();
+    delete states[this.getKey(mode, date)];
+    this.setAll(states);
+  }
+}
+
+// Export singleton instance
+export const gameStateStore = new GameStateStore();
@@ -11,11 +11,13 @@
  * Options:
  *   --preview           Preview without saving to Firestore
  *   --force             Save even if validation fails
- *   --ignore-existing   Ignore approved groups and generate full 4-group puzzle
+ *   --ignore-existing   Ignore approved groups and generate a full puzzle
  *   --strict            Fail on ANY word reuse (not just duplicate groups)
  *   --retry=N           Number of retry attempts (default: 5)
  *   --days=N            Generate puzzles for N days
  *   --date=YYYY-MM-DD   Generate for specific date
+ *   --shape=SHAPE       Board shape: classic, mini, expert or <groups>x<size>[:<lives>]
+ *                       (default: PUZZLE_SHAPE env or classic 4x4)
  *   --stats             Show puzzle statistics
  * 
  * Features:
@@ -33,6 +35,10 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { validatePuzzleUniqueness, displayValidationResults, getWordUsageStats } from './puzzle-validator.js';
+import { getPuzzleDate, getPuzzleTimeZone, addDays } from './puzzleDate.js';
+import { normalizeDecoys } from './decoys.js';
+import { DEFAULT_PUZZLE_SHAPE, GROUP_COLORS, getPuzzleShape, parsePuzzleShape, validatePuzzleShape, formatPuzzleShape } from './puzzleShape.js';
+import { lockPuzzle } from './puzzleLock.js';
 
 // Load environment variables
 dotenv.config();
@@ -97,16 +103,14 @@ const genAI = new GoogleGenerativeAI(CONFIG.apiKey);
 const model = genAI.getGenerativeModel({ model: CONFIG.model });
 
 // Color palette for groups
-const COLORS = ['#f44336', '#4caf50', '#9c27b0', '#2196f3'];
+const COLORS = GROUP_COLORS;
 
 /**
  * Get word pairs that have been used together in groups (last N days)
  * A word CAN be reused, but NOT with the same companions from a previous group.
  */
 function getRecentWordPairs(existingPuzzles, daysToLookBack = 14) {
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - daysToLookBack);
-  const cutoffStr = cutoffDate.toISOString().split('T')[0];
+  const cutoffStr = addDays(getPuzzleDate(), -daysToLookBack);
   
   const wordPairs = new Set();
   const usedExplanations = new Set();
@@ -195,10 +199,13 @@ async function loadApprovedGroupsForDate(firestore, date) {
 
 /**
  * Generate a puzzle using Gemini AI
- * If existingGroups is provided, only generates the missing groups to fill to 4
+ * If existingGroups is provided, only generates the missing groups to fill the shape
  */
-async function generatePuzzleWithGemini(date, existingPuzzles = [], existingGroups = []) {
-  const groupsNeeded = 4 - existingGroups.length;
+async function generatePuzzleWithGemini(date, existingPuzzles = [], existingGroups = [], shape = DEFAULT_PUZZLE_SHAPE) {
+  const { groupCount, groupSize, lives } = shape;
+  const groupsNeeded = groupCount - existingGroups.length;
+  const isFullPuzzle = groupsNeeded === groupCount;
+  const sampleWords = (from, count = groupSize) => Array.from({ length: count }, (_, i) => `"מילה${from + i}"`).join(', ');
   
   if (groupsNeeded <= 0) {
     console.log(`\n✅ Date ${date} already has ${existingGroups.length} groups - no generation needed`);
@@ -255,66 +262,63 @@ ${existingWords.join(', ')}`;
   }
   
   // Adjust the prompt based on how many groups we need
-  const groupsPrompt = groupsNeeded === 4 ? `
+  const groupsPrompt = isFullPuzzle ? `
 {
   "date": "${date}",
-  "words": ["מילה1", "מילה2", "מילה3", "מילה4", "מילה5", "מילה6", "מילה7", "מילה8", "מילה9", "מילה10", "מילה11", "מילה12", "מילה13", "מילה14", "מילה15", "מילה16"],
+  "words": [${sampleWords(1, groupCount * groupSize)}],
   "groups": [
-    {
-      "words": ["מילה1", "מילה2", "מילה3", "מילה4"],
-      "explanation": "הסבר קצר וברור",
-      "difficulty": 1
-    },
-    {
-      "words": ["מילה5", "מילה6", "מילה7", "מילה8"],
+    ${Array.from({ length: groupCount }, (_, i) => `{
+      "words": [${sampleWords(i * groupSize + 1)}],
       "explanation": "הסבר קצר וברור",
-      "difficulty": 2
-    },
-    {
-      "words": ["מילה9", "מילה10", "מילה11", "מילה12"],
-      "explanation": "הסבר קצר וברור",
-      "difficulty": 3
-    },
+      "difficulty": ${i + 1}
+    }`).join(',\n    ')}
+  ],
+  "decoys": [
     {
-      "words": ["מילה13", "מילה14", "מילה15", "מילה16"],
-      "explanation": "הסבר קצר וברור",
-      "difficulty": 4
+      "words": ["מילה1", "מילה6", "מילה11"],
+      "note": "הסבר קצר למה המילים האלה נראות שייכות יחד"
     }
   ]
 }` : `
 {
   "newGroups": [
     ${Array(groupsNeeded).fill(`{
-      "words": ["מילה1", "מילה2", "מילה3", "מילה4"],
+      "words": [${sampleWords(1)}],
       "explanation": "הסבר קצר וברור",
       "difficulty": ${existingGroups.length + 1}
     }`).join(',\n    ')}
+  ],
+  "decoys": [
+    {
+      "words": ["מילה1", "מילה6", "מילה11"],
+      "note": "הסבר קצר למה המילים האלה נראות שייכות יחד"
+    }
   ]
 }`;
 
-  const countInstructions = groupsNeeded === 4 ? `
+  const countInstructions = isFullPuzzle ? `
 חשוב מאוד:
 - כל מילה חייבת להופיע בדיוק פעם אחת
-- 16 מילים בדיוק
-- 4 קבוצות בדיוק
-- כל קבוצה עם 4 מילים בדיוק
+- ${groupCount * groupSize} מילים בדיוק
+- ${groupCount} קבוצות בדיוק
+- כל קבוצה עם ${groupSize} מילים בדיוק
 - החזר רק JSON, ללא טקסט אחר
 - אל תשתמש בשילובי מילים שכבר היו יחד בקבוצות קודמות!` : `
 חשוב מאוד:
 - צור בדיוק ${groupsNeeded} קבוצות חדשות
-- כל קבוצה עם 4 מילים בדיוק
+- כל קבוצה עם ${groupSize} מילים בדיוק
 - אל תשתמש במילים מהקבוצות הקיימות!
-- ${groupsNeeded * 4} מילים חדשות בסך הכל
+- ${groupsNeeded * groupSize} מילים חדשות בסך הכל
 - החזר רק JSON, ללא טקסט אחר
 - אל תשתמש בשילובי מילים שכבר היו יחד בקבוצות קודמות!`;
 
   const prompt = `
 אתה מומחה במשחק Connections בעברית ומומחה בתרבות הישראלית.
-${groupsNeeded === 4 ? `צור חידת Connections יצירתית ומאתגרת ליום ${date}.` : `השלם את החידה ליום ${date} עם ${groupsNeeded} קבוצות נוספות.`}
+${isFullPuzzle ? `צור חידת Connections יצירתית ומאתגרת ליום ${date}.` : `השלם את החידה ליום ${date} עם ${groupsNeeded} קבוצות נוספות.`}
 ${existingGroupsSection}
 
 דרישות חשובות:
-- ${groupsNeeded === 4 ? '4 קבוצות' : `${groupsNeeded} קבוצות חדשות`}, כל קבוצה עם 4 מילים בעברית
+- ${isFullPuzzle ? `${groupCount} קבוצות` : `${groupsNeeded} קבוצות חדשות`}, כל קבוצה עם ${groupSize} מילים בעברית
 🚫 מגבלות קריטיות על מילים:
 - אל תשתמש במילים נדירות, אקדמיות או לא מדוברות
 - אל תמציא מילים, אלא אם כן:
@@ -323,7 +327,7 @@ ${existingGroupsSection}
 - אם מילה לא הייתה מובנת לאדם ברחוב – אל תשתמש בה
 - בדוק את עצמך: האם מישהו היה משתמש במילה הזו בווטסאפ?
 - הקשרים צריכים להיות יצירתיים אבל לא טריוויאליים
-- רמות קושי שונות: 1=קל, 2=בינוני, 3=קשה, 4=מאוד קשה
+- רמות קושי שונות: 1=קל ועד ${groupCount}=הכי קשה
 - הקשרים יכולים להיות:
 - שימוש יומיומי
 - תרבות ישראלית עכשווית
@@ -351,6 +355,11 @@ ${avoidExplanationsSection}
 - "סלנג ל___"
 - "מילים נרדפות ל___"
 
+מלכודות (red herrings):
+- חידה טובה כוללת מלכודת: מילים מקבוצות שונות שנראות כאילו הן שייכות יחד
+- תאר כל מלכודת ב-"decoys": המילים (לפחות 2, מתוך מילות החידה) והסבר קצר, למשל "חמש המילים האלה נראות כמו צבעים"
+- 1-3 מלכודות, ואם אין מלכודת אמיתית החזר "decoys": []
+
 בדיקת איכות חובה:
 - עבור כל מילה: שאל את עצמך "האם זה נשמע טבעי בעברית מדוברת?"
 - אם יש ספק – בחר מילה אחרת
@@ -400,13 +409,20 @@ ${countInstructions}
       return {
         date,
         words: allWords,
-        groups: allGroups
+        groups: allGroups,
+        // Drop decoy words Gemini made up rather than failing the whole puzzle
+        decoys: normalizeDecoys(generatedData.decoys, allWords),
+        groupCount,
+        groupSize,
+        lives
       };
     }
     
     // Full puzzle generation
     const puzzleData = generatedData;
     puzzleData.date = date;
+    Object.assign(puzzleData, { groupCount, groupSize, lives });
+    puzzleData.decoys = normalizeDecoys(puzzleData.decoys, puzzleData.words);
     
     // Add colors to groups
     puzzleData.groups = puzzleData.groups.map((group, index) => ({
@@ -425,7 +441,7 @@ ${countInstructions}
 }
 
 /**
- * Validate puzzle structure
+ * Validate puzzle structure against the shape the puzzle declares
  */
 function validatePuzzle(puzzle) {
   const issues = [];
@@ -434,27 +450,34 @@ function validatePuzzle(puzzle) {
   if (!puzzle.date) issues.push('Missing date');
   if (!Array.isArray(puzzle.words)) issues.push('Words must be an array');
   if (!Array.isArray(puzzle.groups)) issues.push('Groups must be an array');
+  if (issues.length > 0) {
+    return { valid: false, issues };
+  }
+  
+  const shape = getPuzzleShape(puzzle);
+  issues.push(...validatePuzzleShape(shape));
+  const totalWords = shape.groupCount * shape.groupSize;
   
   // Check word count
-  if (puzzle.words.length !== 16) {
-    issues.push(`Must have exactly 16 words (found ${puzzle.words.length})`);
+  if (puzzle.words.length !== totalWords) {
+    issues.push(`Must have exactly ${totalWords} words (found ${puzzle.words.length})`);
   }
   
   // Check for duplicates
   const uniqueWords = new Set(puzzle.words);
-  if (uniqueWords.size !== 16) {
+  if (uniqueWords.size !== puzzle.words.length) {
     issues.push('Contains duplicate words');
   }
   
   // Check groups
-  if (puzzle.groups.length !== 4) {
-    issues.push(`Must have exactly 4 groups (found ${puzzle.groups.length})`);
+  if (puzzle.groups.length !== shape.groupCount) {
+    issues.push(`Must have exactly ${shape.groupCount} groups (found ${puzzle.groups.length})`);
   }
   
   // Verify each group
   puzzle.groups.forEach((group, i) => {
-    if (!Array.isArray(group.words) || group.words.length !== 4) {
-      issues.push(`Group ${i + 1} must have exactly 4 words`);
+    if (!Array.isArray(group.words) || group.words.length !== shape.groupSize) {
+      issues.push(`Group ${i + 1} must have exactly ${shape.groupSize} words`);
     }
     
     if (!group.explanation) {
@@ -473,6 +496,21 @@ function validatePuzzle(puzzle) {
     });
   });
   
+  // Decoys are optional, but must point at words on the board
+  (puzzle.decoys || []).forEach((decoy, i) => {
+    if (!decoy.note) {
+      issues.push(`Decoy ${i + 1} missing note`);
+    }
+    if (!Array.isArray(decoy.words) || decoy.words.length < 2) {
+      issues.push(`Decoy ${i + 1} must have at least 2 words`);
+      return;
+    }
+    const unknownWords = decoy.words.filter(word => !puzzle.words.includes(word));
+    if (unknownWords.length > 0) {
+      issues.push(`Decoy ${i + 1} has words not in the puzzle: ${unknownWords.join(', ')}`);
+    }
+  });
+  
   // Check all words are accounted for
   const groupWords = puzzle.groups.flatMap(g => g.words);
   const missingWords = puzzle.words.filter(w => !groupWords.includes(w));
@@ -497,7 +535,7 @@ function validatePuzzle(puzzle) {
  */
 function displayPuzzle(puzzle) {
   console.log('\n' + '='.repeat(60));
-  console.log(`📅 Puzzle for: ${puzzle.date}`);
+  console.log(`📅 Puzzle for: ${puzzle.date} (${formatPuzzleShape(getPuzzleShape(puzzle))}, ${getPuzzleShape(puzzle).lives} lives)`);
   console.log('='.repeat(60));
   
   puzzle.groups.forEach((group, i) => {
@@ -506,6 +544,11 @@ function displayPuzzle(puzzle) {
     console.log(`   ${group.words.join(', ')}`);
   });
   
+  (puzzle.decoys || []).forEach(decoy => {
+    console.log(`\n🎣 Decoy: ${decoy.note}`);
+    console.log(`   ${decoy.words.join(', ')}`);
+  });
+  
   console.log('\n' + '='.repeat(60));
 }
 
@@ -531,13 +574,24 @@ async function loadPuzzles() {
     const puzzlesRef = firestore.collection('puzzles');
     const snapshot = await puzzlesRef.orderBy('date', 'desc').limit(100).get();
     
+    // Locked puzzles keep their groups in puzzleSolutions (see puzzleLock.js)
+    const solutionRefs = snapshot.docs.map(doc => firestore.collection('puzzleSolutions').doc(doc.id));
+    const solutionSnaps = solutionRefs.length > 0 ? await firestore.getAll(...solutionRefs) : [];
+    
     const puzzles = [];
     snapshot.forEach(doc => {
       puzzles.push({ id: doc.id, ...doc.data() });
     });
+    solutionSnaps.forEach((solutionSnap, i) => {
+      if (solutionSnap.exists) {
+        const { groups, decoys } = solutionSnap.data();
+        Object.assign(puzzles[i], { groups, decoys });
+      }
+    });
     
     console.log(`   Found ${puzzles.length} existing puzzles`);
-    return { puzzles };
+    // A locked puzzle without its solution document can't be compared against
+    return { puzzles: puzzles.filter(p => Array.isArray(p.groups)) };
   } catch (error) {
     console.error('❌ Error loading puzzles from Firestore:', error.message);
     return { puzzles: [] };
@@ -565,15 +619,23 @@ async function savePuzzle(puzzle, data) {
       console.log(`\n⚠️  Puzzle for ${puzzle.date} already exists in Firestore.`);
     }
     
-    // Save to Firestore (using date as document ID)
-    const puzzleRef = firestore.collection('puzzles').doc(puzzle.date);
-    await puzzleRef.set({
+    // Save to Firestore (using date as document ID) - the game only sees the locked
+    // groups, the answers go to puzzleSolutions in the same batch
+    const { locked, solution } = await lockPuzzle(puzzle);
+    const batch = firestore.batch();
+    batch.set(firestore.collection('puzzles').doc(puzzle.date), {
       date: puzzle.date,
-      words: puzzle.words,
-      groups: puzzle.groups,
+      ...locked,
+      ...getPuzzleShape(puzzle),
       createdAt: new Date(),
       generatedBy: 'gemini-ai'
     });
+    batch.set(firestore.collection('puzzleSolutions').doc(puzzle.date), {
+      date: puzzle.date,
+      ...solution,
+      createdAt: new Date()
+    });
+    await batch.commit();
     
     console.log(`✅ Saved puzzle for ${puzzle.date} to Firestore`);
     
@@ -630,14 +692,27 @@ async function main() {
     days: parseInt(args.find(arg => arg.startsWith('--days='))?.split('=')[1]) || 
           (args.includes('--days') ? parseInt(args[args.indexOf('--days') + 1]) : 1),
     date: args.find(arg => arg.startsWith('--date='))?.split('=')[1] ||
-          (args.includes('--date') ? args[args.indexOf('--date') + 1] : null)
+          (args.includes('--date') ? args[args.indexOf('--date') + 1] : null),
+    shape: args.find(arg => arg.startsWith('--shape='))?.split('=')[1] ||
+           (args.includes('--shape') ? args[args.indexOf('--shape') + 1] : null) ||
+           process.env.PUZZLE_SHAPE || null
   };
   
+  const shape = flags.shape ? parsePuzzleShape(flags.shape) : { ...DEFAULT_PUZZLE_SHAPE };
+  const shapeIssues = shape ? validatePuzzleShape(shape) : [`Unknown shape "${flags.shape}"`];
+  if (shapeIssues.length > 0) {
+    console.error('❌ Invalid --shape:');
+    shapeIssues.forEach(issue => console.error(`   - ${issue}`));
+    process.exit(1);
+  }
+  
   console.log('\n🎮 Connections - Gemini AI Puzzle Generator');
   console.log(`🤖 Using model: ${CONFIG.model}`);
   console.log(`🎯 Mode: ${flags.preview ? 'Preview' : 'Generate & Save to Firestore'}`);
   console.log(`🔍 Validation: ${flags.strict ? 'Strict (no word reuse at all)' : 'Normal (fails only if 3+ words from same group)'}`);
   console.log(`📋 Use Existing Groups: ${flags.ignoreExisting ? 'No (full regeneration)' : 'Yes (fill missing)'}`);
+  console.log(`🕛 Puzzle timezone: ${getPuzzleTimeZone()}`);
+  console.log(`🔲 Board shape: ${formatPuzzleShape(shape)} with ${shape.lives} lives`);
   
   const data = await loadPuzzles();
   
@@ -676,13 +751,11 @@ async function main() {
   if (flags.date) {
     datesToGenerate.push(flags.date);
   } else {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // "Tomorrow" is relative to the puzzle timezone, not the machine running the script
+    const tomorrow = addDays(getPuzzleDate(), 1);
     
     for (let i = 0; i < flags.days; i++) {
-      const date = new Date(tomorrow);
-      date.setDate(date.getDate() + i);
-      datesToGenerate.push(date.toISOString().split('T')[0]);
+      datesToGenerate.push(addDays(tomorrow, i));
     }
   }
   
@@ -705,7 +778,7 @@ async function main() {
       console.log(`\n🔎 Checking for existing approved groups for ${date}...`);
       existingApprovedGroups = await loadApprovedGroupsForDate(firestore, date);
       if (existingApprovedGroups.length > 0) {
-        console.log(`   ➡️  Will generate ${4 - existingApprovedGroups.length} more group(s) to complete the puzzle`);
+        console.log(`   ➡️  Will generate ${shape.groupCount - existingApprovedGroups.length} more group(s) to complete the puzzle`);
       }
     } else {
       console.log(`\n⏭️  Skipping approved groups check (--ignore-existing flag)`);
@@ -721,9 +794,9 @@ async function main() {
       
       try {
         // Generate (pass existing puzzles and approved groups so Gemini can fill the gaps)
-        const puzzle = await generatePuzzleWithGemini(date, data.puzzles, existingApprovedGroups);
+        const puzzle = await generatePuzzleWithGemini(date, data.puzzles, existingApprovedGroups, shape);
         
-        // If puzzle is null, means date already has 4 groups
+        // If puzzle is null, means date already has all its groups
         if (!puzzle) {
           success = true;
           continue;
@@ -0,0 +1,43 @@
+// Guess Log & Share Grid
+// Every submitted guess is kept in order so a solve can be shared as a spoiler-free grid
+
+// Square per group colour - matches the palette used by the generator and admin
+const COLOR_EMOJIS = {
+  '#f44336': '🟥',
+  red: '🟥',
+  '#4caf50': '🟩',
+  green: '🟩',
+  '#9c27b0': '🟪',
+  purple: '🟪',
+  '#2196f3': '🟦',
+  blue: '🟦',
+  '#ff9800': '🟧',
+  orange: '🟧',
+  '#795548': '🟫',
+  brown: '🟫'
+};
+
+// Used when a puzzle has a colour outside the palette (by group position)
+const FALLBACK_EMOJIS = ['🟥', '🟩', '🟪', '🟦', '🟧', '🟫', '🟨'];
+
+// Build a log entry for a submitted guess: which group each tile really belongs to
+export function createGuessEntry(groups, words, correct) {
+  const tileGroups = words.map(word => groups.findIndex(group => group.words.includes(word)));
+  return {
+    words: [...words],
+    groups: tileGroups,
+    colors: tileGroups.map(index => groups[index]?.color || null),
+    correct
+  };
+}
+
+export function getTileEmoji(color, groupIndex) {
+  return COLOR_EMOJIS[color] || FALLBACK_EMOJIS[groupIndex] || '⬜';
+}
+
+// One row of squares per guess, in the order the guesses were made
+export function buildEmojiGrid(guessLog) {
+  return guessLog
+    .map(entry => entry.groups.map((groupIndex, i) => getTileEmoji(entry.colors?.[i], groupIndex)).join(''))
+    .join('\n');
+}
@@ -0,0 +1,78 @@
+// Hint System
+// Optional help for stuck players. Every hint adds a penalty to the leaderboard
+// score (same units as seconds - a mistake costs 500).
+export const HINT_CONFIG = {
+  word: {
+    icon: '🔤',
+    label: 'חשוף מילה',
+    description: 'מילה אחת מהקבוצה הקלה ביותר שנותרה',
+    penalty: 90
+  },
+  category: {
+    icon: '🏷️',
+    label: 'חשוף נושא',
+    description: 'הקשר של הקבוצה הקלה ביותר שנותרה',
+    penalty: 150
+  },
+  pair: {
+    icon: '🔗',
+    label: 'בדוק זוג',
+    description: 'האם שתי המילים שבחרת שייכות לאותה קבוצה',
+    penalty: 45
+  }
+};
+
+// Most hints one game can take - the getPuzzleHint function refuses any more
+export const MAX_HINTS_PER_GAME = 5;
+
+// Unsolved groups, easiest first (difficulty falls back to the group's position)
+function getUnsolvedGroupsByDifficulty(groups) {
+  return groups
+    .filter(group => !group.guessed)
+    .sort((a, b) => (a.difficulty || a.index + 1) - (b.difficulty || b.index + 1));
+}
+
+// Pick a word from the easiest unsolved group that wasn't revealed yet
+export function getWordHint(groups, hintsUsed) {
+  const revealedWords = hintsUsed.filter(h => h.type === 'word').map(h => h.word);
+
+  for (const group of getUnsolvedGroupsByDifficulty(groups)) {
+    const word = group.words.find(w => !revealedWords.includes(w));
+    if (word) {
+      return { type: 'word', word, groupIndex: group.index };
+    }
+  }
+  return null;
+}
+
+// Reveal the category of the easiest unsolved group that wasn't revealed yet
+export function getCategoryHint(groups, hintsUsed) {
+  const revealedGroups = hintsUsed.filter(h => h.type === 'category').map(h => h.groupIndex);
+  const group = getUnsolvedGroupsByDifficulty(groups).find(g => !revealedGroups.includes(g.index));
+  if (!group) return null;
+
+  return { type: 'category', groupIndex: group.index, explanation: group.explanation };
+}
+
+// Confirm whether two words belong to the same group
+export function getPairHint(groups, words) {
+  if (words.length !== 2) return null;
+
+  const together = groups.some(group => words.every(word => group.words.includes(word)));
+  return { type: 'pair', words: [...words], together };
+}
+
+// The hint of a type for the board as it stands (groups carry `index` and `guessed`),
+// or null if it can't be used right now. selectedWords: the tiles a pair hint checks.
+// The daily game gets its hints from the getPuzzleHint function, which calls this too.
+export function buildHint(type, groups, hintsUsed, selectedWords) {
+  if (type === 'word') return getWordHint(groups, hintsUsed);
+  if (type === 'category') return getCategoryHint(groups, hintsUsed);
+  if (type === 'pair') return getPairHint(groups, selectedWords);
+  return null;
+}
+
+// Total score penalty for the hints used in a game
+export function getHintPenalty(hintsUsed) {
+  return hintsUsed.reduce((sum, hint) => sum + (HINT_CONFIG[hint.type]?.penalty || 0), 0);
+}
@@ -0,0 +1,65 @@
+// Weekly, Monthly & All-Time Leaderboards
+// submitDailyResult keeps one running entry per player and period in
+// leaderboards/{periodId}/players/{uid}, updated from each verified daily result -
+// a board is one ordered query, never a scan of every result.
+//
+// Shared with the Cloud Functions (copied to functions/shared).
+import { addDays, daysBetween } from './puzzleDate.js';
+
+export const LEADERBOARD_PERIODS = ['week', 'month', 'all'];
+
+// Entry fields a board can be ranked by - all higher is better
+export const LEADERBOARD_METRICS = ['points', 'wins', 'perfectGames', 'longestStreak'];
+
+// Points for one daily game. Daily scores are lower-is-better and unbounded, so a win
+// turns its score into points (1000 for an instant perfect solve, never under 100)
+// and the period total rewards both playing every day and playing well.
+export const DAILY_WIN_POINTS = 1000;
+export const MIN_WIN_POINTS = 100;
+
+export function getDailyPoints({ won, score }) {
+  if (!won) return 0;
+  return Math.max(MIN_WIN_POINTS, DAILY_WIN_POINTS - Math.round(score / 10));
+}
+
+// Weeks start on Sunday, as in the Israeli calendar
+export function getWeekStart(date) {
+  return addDays(date, -new Date(`${date}T00:00:00Z`).getUTCDay());
+}
+
+// "week-2024-03-10" (the Sunday it starts), "month-2024-03" or "all"
+export function getLeaderboardPeriodId(period, date) {
+  if (period === 'week') return `week-${getWeekStart(date)}`;
+  if (period === 'month') return `month-${date.slice(0, 7)}`;
+  return 'all';
+}
+
+export function getLeaderboardPeriodIds(date) {
+  return LEADERBOARD_PERIODS.map(period => getLeaderboardPeriodId(period, date));
+}
+
+/**
+ * A player's entry after one more verified result ({ date, won, mistakes, score, nickname }).
+ * Streaks are runs of daily wins inside the period. A result that arrives after a later
+ * day's (sent from an offline queue) still counts in the totals, but can't extend a streak.
+ */
+export function updateLeaderboardEntry(entry, { date, won, mistakes, score, nickname }) {
+  const isLatest = !entry.lastPlayedDate || date > entry.lastPlayedDate;
+  let currentStreak = entry.currentStreak || 0;
+  if (isLatest) {
+    const continues = won && entry.lastWinDate && daysBetween(entry.lastWinDate, date) === 1;
+    currentStreak = won ? (continues ? currentStreak + 1 : 1) : 0;
+  }
+
+  return {
+    nickname,
+    games: (entry.games || 0) + 1,
+    wins: (entry.wins || 0) + (won ? 1 : 0),
+    perfectGames: (entry.perfectGames || 0) + (won && mistakes === 0 ? 1 : 0),
+    points: (entry.points || 0) + getDailyPoints({ won, score }),
+    currentStreak,
+    longestStreak: Math.max(entry.longestStreak || 0, currentStreak, won ? 1 : 0),
+    lastPlayedDate: isLatest ? date : entry.lastPlayedDate,
+    lastWinDate: won && (!entry.lastWinDate || date > entry.lastWinDate) ? date : (entry.lastWinDate || null)
+  };
+}
@@ -0,0 +1,48 @@
+// Marathon Challenge
+// Random archive puzzles back to back against one countdown. Lives are shared by
+// the whole run, so every mistake carries over to the next board.
+export const MARATHON_CONFIG = {
+  durationSeconds: 5 * 60,
+  lives: 6,
+  groupPoints: 100, // Every solved group, on any board
+  boardBonus: 250, // Extra for clearing a whole board
+  livesBonus: 50 // Per life left when the clock runs out
+};
+
+// Create a fresh run
+export function createMarathonRun(now = Date.now()) {
+  return {
+    startedAt: now,
+    endsAt: now + MARATHON_CONFIG.durationSeconds * 1000,
+    mistakes: 0,
+    boardsSolved: 0,
+    groupsSolved: 0,
+    playedDates: []
+  };
+}
+
+// Pick a random puzzle that wasn't played in this run yet (starts over once all were played)
+export function pickMarathonPuzzle(puzzles, playedDates = []) {
+  if (puzzles.length === 0) return null;
+
+  const fresh = puzzles.filter(p => !playedDates.includes(p.date));
+  const pool = fresh.length > 0 ? fresh : puzzles;
+  return pool[Math.floor(Math.random() * pool.length)];
+}
+
+export function getMarathonLivesLeft(run) {
+  return Math.max(0, MARATHON_CONFIG.lives - run.mistakes);
+}
+
+export function getMarathonTimeLeft(run, now = Date.now()) {
+  return Math.max(0, Math.ceil((run.endsAt - now) / 1000));
+}
+
+// Score for a finished run - lives only count if the player survived to the buzzer.
+// firestore.rules recomputes it for marathonScores - keep isValidMarathonScore in step.
+export function getMarathonScore(run) {
+  const { groupPoints, boardBonus, livesBonus } = MARATHON_CONFIG;
+  return run.groupsSolved * groupPoints +
+    run.boardsSolved * boardBonus +
+    getMarathonLivesLeft(run) * livesBonus;
+}
@@ -0,0 +1,130 @@
+// Offline Support
+// Registers the service worker (sw.js), keeps a copy of the day's puzzle in Cache Storage
+// and holds result writes in an IndexedDB outbox until they reach Firestore.
+
+// Shared with sw.js - the worker never deletes this cache on upgrade
+export const PUZZLE_CACHE = 'connections-puzzles';
+
+const OUTBOX_DB = 'connections_offline';
+const OUTBOX_STORE = 'outbox';
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('./sw.js').catch(error => {
+    console.log('Service worker registration failed:', error);
+  });
+}
+
+// ============================================
+// PUZZLE CACHE
+// ============================================
+
+function getPuzzleCacheKey(date) {
+  return new URL(`./offline-puzzles/${date}.json`, location.href).href;
+}
+
+// Keep only the latest puzzle - an old day's puzzle is no use offline
+export async function cachePuzzle(puzzle) {
+  if (!('caches' in window)) return;
+
+  // Serialize now - the game mutates the puzzle (shuffles, solved flags) right after loading
+  const body = JSON.stringify(puzzle);
+  try {
+    const cache = await caches.open(PUZZLE_CACHE);
+    const keys = await cache.keys();
+    await Promise.all(keys.map(request => cache.delete(request)));
+    await cache.put(getPuzzleCacheKey(puzzle.date), new Response(body, {
+      headers: { 'Content-Type': 'application/json' }
+    }));
+  } catch (error) {
+    console.log('Could not cache puzzle:', error);
+  }
+}
+
+export async function getCachedPuzzle(date) {
+  if (!('caches' in window)) return null;
+
+  try {
+    const cache = await caches.open(PUZZLE_CACHE);
+    const response = await cache.match(getPuzzleCacheKey(date));
+    return response ? await response.json() : null;
+  } catch (error) {
+    console.log('Could not read cached puzzle:', error);
+    return null;
+  }
+}
+
+// ============================================
+// WRITE OUTBOX
+// ============================================
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run one request against the outbox store and resolve with its result
+async function withOutbox(mode, action) {
+  const dbHandle = await openOutbox();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = dbHandle.transaction(OUTBOX_STORE, mode);
+      const request = action(tx.objectStore(OUTBOX_STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    dbHandle.close();
+  }
+}
+
+// Persist a write before it is sent, so closing the page can't lose it
+export function queueWrite(type, payload) {
+  return withOutbox('readwrite', store => store.add({ type, payload, queuedAt: Date.now() }));
+}
+
+export function getQueuedWrites() {
+  return withOutbox('readonly', store => store.getAll());
+}
+
+export function removeQueuedWrite(id) {
+  return withOutbox('readwrite', store => store.delete(id));
+}
+
+let flushing = false;
+
+// Send queued writes in order. handlers[type](payload) must resolve once the write is stored.
+// Stops at the first failure and leaves the rest for the next attempt.
+export async function flushOutbox(handlers) {
+  if (flushing) return 0;
+  flushing = true;
+
+  let sent = 0;
+  try {
+    // Re-read after each write so anything queued mid-flush goes out too
+    let [write] = await getQueuedWrites();
+    while (write) {
+      const handler = handlers[write.type];
+      if (handler) {
+        await handler(write.payload);
+        sent++;
+      } else {
+        console.log(`Dropping queued write of unknown type: ${write.type}`);
+      }
+      await removeQueuedWrite(write.id);
+      [write] = await getQueuedWrites();
+    }
+  } catch (error) {
+    console.log('Outbox flush stopped, will retry later:', error);
+  } finally {
+    flushing = false;
+  }
+  return sent;
+}
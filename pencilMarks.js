@@ -0,0 +1,36 @@
+// Pencil Marks
+// Tentative colour tags a player can put on tiles while working out groups.
+// Marks are kept as { word: markerIndex } so they follow a word wherever the tile moves.
+export const PENCIL_MARKERS = [
+  { color: '#facc15', label: 'צהוב' },
+  { color: '#22d3ee', label: 'תכלת' },
+  { color: '#f472b6', label: 'ורוד' },
+  { color: '#a3e635', label: 'ליים' }
+];
+
+// Toggle a marker on a word - the same marker again clears it, another marker replaces it
+export function toggleMark(marks, word, markerIndex) {
+  const next = { ...marks };
+  if (next[word] === markerIndex) {
+    delete next[word];
+  } else {
+    next[word] = markerIndex;
+  }
+  return next;
+}
+
+// Words on the board tagged with a marker, in board order
+export function getMarkedWords(marks, markerIndex, words) {
+  return words.filter(word => marks[word] === markerIndex);
+}
+
+// Drop marks for words that left the board (solved groups)
+export function pruneMarks(marks, words) {
+  const next = {};
+  Object.entries(marks).forEach(([word, markerIndex]) => {
+    if (words.includes(word) && PENCIL_MARKERS[markerIndex]) {
+      next[word] = markerIndex;
+    }
+  });
+  return next;
+}
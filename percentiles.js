@@ -0,0 +1,77 @@
+// Percentile Ranking
+// dailyStats/{date} keeps two histograms next to its totals, so the end screen can
+// place a game among everyone's without reading each player's result:
+// - mistakesHistogram: { [mistakes]: games } - every game
+// - timeHistogram: { [bucket]: wins } - solve time in TIME_BUCKET_SECONDS buckets
+// Both move by one bucket per game, in the same write as the totals (writeGlobalStats).
+// firestore.rules works the buckets out the same way - keep timeBucket() in step.
+
+export const TIME_BUCKET_SECONDS = 30;
+export const MAX_TIME_BUCKET = 40; // Everything from 20 minutes up
+
+// Fewer players than this and a percentage says more about chance than about the game
+export const MIN_RANKED_PLAYERS = 3;
+
+export function getTimeBucket(seconds) {
+  return Math.min(Math.floor(Math.max(0, seconds) / TIME_BUCKET_SECONDS), MAX_TIME_BUCKET);
+}
+
+// The dailyStats fields one game adds, for a set() with merge next to the totals
+export function buildHistogramUpdate({ won, mistakes, timeElapsed }, increment) {
+  const update = { mistakesHistogram: { [mistakes]: increment(1) } };
+  if (won) {
+    update.timeHistogram = { [getTimeBucket(timeElapsed)]: increment(1) };
+  }
+  return update;
+}
+
+// Counts of every time bucket, in order - missing buckets are 0
+export function getTimeBuckets(histogram = {}) {
+  return Array.from({ length: MAX_TIME_BUCKET + 1 }, (_, bucket) => histogram[bucket] || 0);
+}
+
+/**
+ * Percentage of the other winners who were slower - players in the same bucket are
+ * taken to be spread evenly across it. includesPlayer: the histogram already counts
+ * this game (a first daily attempt), so it's left out of the comparison.
+ * Returns { percent, others }, or null with fewer than MIN_RANKED_PLAYERS others.
+ */
+export function getTimePercentile(histogram, seconds, includesPlayer) {
+  const counts = getTimeBuckets(histogram);
+  const bucket = getTimeBucket(seconds);
+  if (includesPlayer) {
+    counts[bucket] = Math.max(0, counts[bucket] - 1);
+  }
+
+  const others = counts.reduce((sum, count) => sum + count, 0);
+  if (others < MIN_RANKED_PLAYERS) return null;
+
+  const positionInBucket = bucket === MAX_TIME_BUCKET ? 0.5 : (seconds % TIME_BUCKET_SECONDS) / TIME_BUCKET_SECONDS;
+  const slower = counts.slice(bucket + 1).reduce((sum, count) => sum + count, 0) + counts[bucket] * (1 - positionInBucket);
+  return { percent: Math.round((slower / others) * 100), others };
+}
+
+/**
+ * Of the other players: the percentage who made more mistakes and who made as many.
+ * Returns { morePercent, samePercent, others }, or null like getTimePercentile.
+ */
+export function getMistakesPercentile(histogram = {}, mistakes, includesPlayer) {
+  const counts = { ...histogram };
+  if (includesPlayer) {
+    counts[mistakes] = Math.max(0, (counts[mistakes] || 0) - 1);
+  }
+
+  let others = 0;
+  let more = 0;
+  Object.entries(counts).forEach(([bucket, count]) => {
+    others += count;
+    if (Number(bucket) > mistakes) more += count;
+  });
+  if (others < MIN_RANKED_PLAYERS) return null;
+
+  return {
+    morePercent: Math.round((more / others) * 100),
+    samePercent: Math.round(((counts[mistakes] || 0) / others) * 100),
+    others
+  };
+}
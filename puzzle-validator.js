@@ -209,7 +209,7 @@ export function validatePuzzleUniqueness(newPuzzle, existingPuzzles, options = {
     results.valid = false;
     duplicateGroups.forEach(({ groupIndex, newGroupExplanation, overlappingWords, previousDate, previousExplanation, overlapCount }) => {
       results.errors.push(
-        `Group "${newGroupExplanation}" has ${overlapCount}/4 words from group "${previousExplanation}" (${previousDate}): [${overlappingWords.join(', ')}]`
+        `Group "${newGroupExplanation}" has ${overlapCount}/${newPuzzle.groups[groupIndex].words.length} words from group "${previousExplanation}" (${previousDate}): [${overlappingWords.join(', ')}]`
       );
     });
   } else {
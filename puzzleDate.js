@@ -0,0 +1,124 @@
+/**
+ * Puzzle Day Boundary
+ * One definition of "today" shared by the game, analytics, admin and the generator.
+ * A new puzzle starts at midnight in the puzzle timezone (Israel by default), not UTC.
+ *
+ * The timezone can be overridden with PUZZLE_TIMEZONE (Node .env) or
+ * window.puzzleTimeZone (browser, set before the game scripts load).
+ */
+
+export const DEFAULT_PUZZLE_TIMEZONE = 'Asia/Jerusalem';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the configured puzzle timezone (read lazily so .env is loaded first)
+ */
+export function getPuzzleTimeZone() {
+  if (typeof process !== 'undefined' && process.env?.PUZZLE_TIMEZONE) {
+    return process.env.PUZZLE_TIMEZONE;
+  }
+  if (typeof window !== 'undefined' && window.puzzleTimeZone) {
+    return window.puzzleTimeZone;
+  }
+  return DEFAULT_PUZZLE_TIMEZONE;
+}
+
+/**
+ * Break an instant into calendar/clock parts as seen in the given timezone
+ */
+function getZonedParts(instant, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  const parts = {};
+  formatter.formatToParts(instant).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  });
+  return parts;
+}
+
+/**
+ * Offset of the timezone from UTC at a given instant, in milliseconds
+ */
+function getTimeZoneOffsetMs(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUTC - (instant.getTime() - instant.getMilliseconds());
+}
+
+/**
+ * Parse a YYYY-MM-DD string into [year, month, day] numbers
+ */
+function parseDateString(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(n => parseInt(n, 10));
+  return [year, month, day];
+}
+
+/**
+ * Format a UTC-midnight timestamp as YYYY-MM-DD
+ */
+function formatUTCDate(timestamp) {
+  return new Date(timestamp).toISOString().split('T')[0];
+}
+
+/**
+ * Get the puzzle date (YYYY-MM-DD) for an instant - defaults to now
+ */
+export function getPuzzleDate(now = new Date(), timeZone = getPuzzleTimeZone()) {
+  const p = getZonedParts(now, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Add (or subtract) whole calendar days to a YYYY-MM-DD date
+ */
+export function addDays(dateStr, days) {
+  const [year, month, day] = parseDateString(dateStr);
+  return formatUTCDate(Date.UTC(year, month - 1, day + days));
+}
+
+/**
+ * Number of calendar days from one YYYY-MM-DD date to another.
+ * Calendar dates are compared directly, so DST changes never produce 23/25 hour "days".
+ */
+export function daysBetween(fromDate, toDate) {
+  const [y1, m1, d1] = parseDateString(fromDate);
+  const [y2, m2, d2] = parseDateString(toDate);
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / DAY_MS);
+}
+
+/**
+ * The instant a puzzle day starts (midnight in the puzzle timezone)
+ */
+export function getPuzzleDayStart(dateStr, timeZone = getPuzzleTimeZone()) {
+  const [year, month, day] = parseDateString(dateStr);
+  const midnightUTC = Date.UTC(year, month - 1, day);
+
+  // Refine once more in case the offset differs on either side of a DST change
+  let guess = midnightUTC - getTimeZoneOffsetMs(new Date(midnightUTC), timeZone);
+  guess = midnightUTC - getTimeZoneOffsetMs(new Date(guess), timeZone);
+  return new Date(guess);
+}
+
+/**
+ * The instant the next puzzle becomes available (next midnight in the puzzle timezone)
+ */
+export function getNextPuzzleTime(now = new Date(), timeZone = getPuzzleTimeZone()) {
+  return getPuzzleDayStart(addDays(getPuzzleDate(now, timeZone), 1), timeZone);
+}
+
+/**
+ * Milliseconds left until the next puzzle
+ */
+export function getTimeUntilNextPuzzle(now = new Date(), timeZone = getPuzzleTimeZone()) {
+  return Math.max(0, getNextPuzzleTime(now, timeZone).getTime() - now.getTime());
+}
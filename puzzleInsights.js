@@ -0,0 +1,170 @@
+// Puzzle Telemetry & Insights
+// submitDailyResult adds every verified daily game to puzzleStats/{date}: how many
+// played and won, each wrong combination (with whether it was one away) and where
+// each group came in the solve order. Nothing about the player is stored - only
+// counts per puzzle. Players see the insights after finishing, admins per puzzle.
+//
+// Shared with the Cloud Functions (copied to functions/shared), so the server writes
+// the same document shape the game and the admin dashboard read.
+//
+// puzzleStats/{date}:
+// {
+//   date, games, wins, guesses, mistakes, oneAwayGuesses, updatedAt,
+//   wrongGuesses: { [sorted words joined by '|']: { words, oneAway, count } },
+//   groups: { [group index]: { color, found, first, last, missed, positionTotal } }
+// }
+// Wrong guesses are keyed by their words, so a puzzle never has more entries than
+// there are combinations of its tiles - the document can't outgrow Firestore's limit.
+
+// Insights are only shown once enough players finished, so a line can't describe one person
+export const MIN_INSIGHT_GAMES = 5;
+
+// Group colours as Hebrew adjectives for "הקבוצה ה..." - same palette as guessLog.js
+const COLOR_NAMES = {
+  '#f44336': 'האדומה',
+  red: 'האדומה',
+  '#4caf50': 'הירוקה',
+  green: 'הירוקה',
+  '#9c27b0': 'הסגולה',
+  purple: 'הסגולה',
+  '#2196f3': 'הכחולה',
+  blue: 'הכחולה',
+  '#ff9800': 'הכתומה',
+  orange: 'הכתומה',
+  '#795548': 'החומה',
+  brown: 'החומה'
+};
+
+export function getGuessKey(words) {
+  return [...words].sort().join('|');
+}
+
+// One tile short of a group: the most tiles from any one group is groupSize - 1
+export function isOneAway(entry) {
+  const counts = {};
+  entry.groups.forEach(index => {
+    counts[index] = (counts[index] || 0) + 1;
+  });
+  return Math.max(...Object.values(counts)) === entry.words.length - 1;
+}
+
+/**
+ * The puzzleStats/{date} fields one finished game adds, for a set() with merge.
+ * guessLog is the verified replay (entries from guessLog.js); `increment` is the
+ * Firestore FieldValue.increment of the caller's SDK.
+ */
+export function buildPuzzleStatsUpdate({ date, groups, guessLog, won }, increment) {
+  const wrongEntries = guessLog.filter(entry => !entry.correct);
+  const solveOrder = guessLog.filter(entry => entry.correct).map(entry => entry.groups[0]);
+
+  const wrongGuesses = {};
+  wrongEntries.forEach(entry => {
+    wrongGuesses[getGuessKey(entry.words)] = {
+      words: [...entry.words].sort(),
+      oneAway: isOneAway(entry),
+      count: increment(1)
+    };
+  });
+
+  const groupStats = {};
+  groups.forEach((group, index) => {
+    const position = solveOrder.indexOf(index) + 1; // 0 when never found
+    groupStats[index] = {
+      color: group.color || null,
+      found: increment(position > 0 ? 1 : 0),
+      first: increment(position === 1 ? 1 : 0),
+      last: increment(won && position === groups.length ? 1 : 0),
+      missed: increment(position === 0 ? 1 : 0),
+      positionTotal: increment(position)
+    };
+  });
+
+  return {
+    date,
+    games: increment(1),
+    wins: increment(won ? 1 : 0),
+    guesses: increment(guessLog.length),
+    mistakes: increment(wrongEntries.length),
+    oneAwayGuesses: increment(wrongEntries.filter(isOneAway).length),
+    wrongGuesses,
+    groups: groupStats
+  };
+}
+
+function percent(count, total) {
+  return total > 0 ? Math.round((count / total) * 100) : 0;
+}
+
+// "הקבוצה הסגולה", or the group's connection when its colour is off the palette
+export function getGroupLabel(group, color) {
+  const name = COLOR_NAMES[color || group?.color];
+  return name ? `הקבוצה ${name}` : `הקבוצה "${group?.explanation || '?'}"`;
+}
+
+// Wrong combinations, most common first
+export function getTopWrongGuesses(stats, count = 3) {
+  return Object.values(stats.wrongGuesses || {})
+    .sort((a, b) => b.count - a.count)
+    .slice(0, count);
+}
+
+// Per group, with rates out of all games (found, missed) or wins (first, last)
+export function getGroupStats(stats, groups) {
+  return groups.map((group, index) => {
+    const entry = stats.groups?.[index] || {};
+    const found = entry.found || 0;
+    return {
+      index,
+      group,
+      label: getGroupLabel(group, entry.color),
+      found,
+      foundRate: percent(found, stats.games),
+      firstRate: percent(entry.first || 0, stats.games),
+      lastRate: percent(entry.last || 0, stats.wins),
+      missedRate: percent(entry.missed || 0, stats.games),
+      averagePosition: found > 0 ? (entry.positionTotal || 0) / found : null
+    };
+  });
+}
+
+function maxBy(items, key) {
+  return items.reduce((best, item) => (item[key] > best[key] ? item : best), items[0]);
+}
+
+/**
+ * Short insight lines about a puzzle - [{ icon, text }]. Empty until MIN_INSIGHT_GAMES
+ * players finished it.
+ */
+export function buildPuzzleInsights(stats, groups) {
+  if (!stats || (stats.games || 0) < MIN_INSIGHT_GAMES || groups.length === 0) return [];
+
+  const lines = [];
+  const [topWrong] = getTopWrongGuesses(stats, 1);
+  if (topWrong) {
+    lines.push({
+      icon: '🤔',
+      text: `הניחוש השגוי הנפוץ ביותר: ${topWrong.words.join(', ')} (${percent(topWrong.count, stats.games)}% מהשחקנים${topWrong.oneAway ? ', במרחק מילה אחת' : ''})`
+    });
+  }
+
+  const groupStats = getGroupStats(stats, groups);
+  const first = maxBy(groupStats, 'firstRate');
+  if (first.firstRate > 0) {
+    lines.push({ icon: '🥇', text: `${first.firstRate}% פתרו קודם את ${first.label}` });
+  }
+  if (stats.wins > 0) {
+    const last = maxBy(groupStats, 'lastRate');
+    lines.push({ icon: '🐢', text: `${last.lastRate}% מהפותרים מצאו את ${last.label} אחרונה` });
+  }
+  const missed = maxBy(groupStats, 'missedRate');
+  if (missed.missedRate > 0) {
+    lines.push({ icon: '🧩', text: `${missed.label} נשארה לא פתורה אצל ${missed.missedRate}% מהשחקנים` });
+  }
+  if (stats.mistakes > 0) {
+    lines.push({
+      icon: '🎯',
+      text: `${percent(stats.oneAwayGuesses || 0, stats.mistakes)}% מהניחושים השגויים היו במרחק מילה אחת`
+    });
+  }
+  return lines;
+}
@@ -0,0 +1,172 @@
+/**
+ * Puzzle Lock
+ * Keeps a puzzle's answers out of the document the game downloads. Each group is
+ * stored as a salted hash of its sorted words, and its explanation is encrypted with
+ * a key derived from those same words, so a group only opens once it is guessed.
+ * The plain groups live in puzzleSolutions/{date}, which the game reads only to show
+ * the answers once the game is over - firestore.rules keep today's closed until the
+ * player's result is recorded. Hints come from the getPuzzleHint function instead.
+ *
+ * This stops casual peeking, not a determined player - a board has few enough word
+ * combinations to try them all, and the slow key derivation only makes that tedious.
+ *
+ * Uses Web Crypto, so the same code runs in the browser, the admin page and Node 20+.
+ */
+
+/**
+ * PBKDF2 rounds per hash - enough to slow down brute force, cheap enough for one guess on a phone
+ */
+export const LOCK_ITERATIONS = 20000;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+/**
+ * Order-independent form of a word set - the guess order must not change the hash
+ */
+function joinWords(words) {
+  return [...words].sort().join('\n');
+}
+
+async function importWords(words) {
+  return crypto.subtle.importKey('raw', encoder.encode(joinWords(words)), 'PBKDF2', false, ['deriveBits', 'deriveKey']);
+}
+
+// Each use gets its own salt suffix so the public hashes never double as the explanation key
+function pbkdf2Params(lock, purpose) {
+  return {
+    name: 'PBKDF2',
+    hash: 'SHA-256',
+    salt: encoder.encode(`${lock.salt}|${purpose}`),
+    iterations: lock.iterations || LOCK_ITERATIONS
+  };
+}
+
+async function hashWords(lock, words, purpose) {
+  const bits = await crypto.subtle.deriveBits(pbkdf2Params(lock, purpose), await importWords(words), 256);
+  return toHex(bits);
+}
+
+async function deriveExplanationKey(lock, words) {
+  return crypto.subtle.deriveKey(
+    pbkdf2Params(lock, 'key'),
+    await importWords(words),
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Every way to pick all but one word of a group
+ */
+function nearMissSubsets(words) {
+  return words.map((_, skip) => words.filter((__, i) => i !== skip));
+}
+
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+/**
+ * Check whether a stored puzzle document uses the locked format
+ */
+export function isLockedPuzzle(data) {
+  return Array.isArray(data?.lockedGroups) && !!data.lock?.salt;
+}
+
+/**
+ * Split a plain puzzle into the public locked fields and the private solution.
+ * Returns { locked: { words, lockedGroups, lock }, solution: { groups, decoys } }
+ */
+export async function lockPuzzle(puzzle, iterations = LOCK_ITERATIONS) {
+  const lock = {
+    salt: toHex(crypto.getRandomValues(new Uint8Array(16))),
+    iterations
+  };
+
+  const lockedGroups = [];
+  const nearMissHashes = [];
+  for (const group of puzzle.groups) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveExplanationKey(lock, group.words);
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(group.explanation || ''));
+
+    lockedGroups.push({
+      hash: await hashWords(lock, group.words, 'group'),
+      color: group.color,
+      difficulty: group.difficulty,
+      sealedExplanation: { iv: toBase64(iv), data: toBase64(cipher) }
+    });
+
+    for (const subset of nearMissSubsets(group.words)) {
+      nearMissHashes.push(await hashWords(lock, subset, 'near'));
+    }
+  }
+
+  return {
+    locked: {
+      // Stored shuffled - the editor's order would give the groups away
+      words: shuffle(puzzle.groups.flatMap(group => group.words)),
+      lockedGroups,
+      lock: { ...lock, nearMissHashes: nearMissHashes.sort() }
+    },
+    solution: {
+      groups: puzzle.groups,
+      decoys: puzzle.decoys || []
+    }
+  };
+}
+
+/**
+ * Turn stored locked groups into game groups - words and explanation stay empty until solved
+ */
+export function toPlayableGroups(lockedGroups) {
+  return lockedGroups.map(group => ({ ...group, words: [], explanation: '' }));
+}
+
+/**
+ * Find the locked group a guess completes, if any
+ */
+export async function findLockedGroup(lock, groups, words) {
+  const hash = await hashWords(lock, words, 'group');
+  return groups.find(group => group.hash === hash);
+}
+
+/**
+ * Open a group with the words that solved it. Returns { words, explanation }
+ */
+export async function unlockGroup(lock, group, words) {
+  const key = await deriveExplanationKey(lock, words);
+  const { iv, data } = group.sealedExplanation;
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+  return { words: [...words], explanation: decoder.decode(plain) };
+}
+
+/**
+ * Check whether all but one of the guessed words belong to the same group
+ */
+export async function isNearMiss(lock, words) {
+  const hashes = lock.nearMissHashes || [];
+  for (const subset of nearMissSubsets(words)) {
+    if (hashes.includes(await hashWords(lock, subset, 'near'))) return true;
+  }
+  return false;
+}
@@ -0,0 +1,106 @@
+/**
+ * Puzzle Shape
+ * A puzzle declares how many groups it has, how many words are in each group and
+ * how many mistakes the player may make. Older puzzles without these fields are
+ * read as the classic 4×4 board with 4 lives.
+ *
+ * Shared by the game, the admin editor and the generator so all three agree on
+ * what a valid board looks like.
+ */
+
+export const DEFAULT_PUZZLE_SHAPE = { groupCount: 4, groupSize: 4, lives: 4 };
+
+/**
+ * Named shapes that can be picked in the admin editor or with --shape in the generator
+ */
+export const PUZZLE_SHAPE_PRESETS = {
+  classic: { label: 'קלאסי 4×4', groupCount: 4, groupSize: 4, lives: 4 },
+  mini: { label: 'מיני 3×3', groupCount: 3, groupSize: 3, lives: 3 },
+  expert: { label: 'מומחים 5×4', groupCount: 5, groupSize: 4, lives: 4 }
+};
+
+export const MIN_GROUP_COUNT = 2;
+export const MAX_GROUP_COUNT = 6;
+export const MIN_GROUP_SIZE = 2;
+export const MAX_GROUP_SIZE = 6;
+// Also the most mistakes firestore.rules accept in dailyStats and challenges
+export const MAX_LIVES = 6;
+
+/**
+ * Group colours by position - the first four match the original palette
+ */
+export const GROUP_COLORS = ['#f44336', '#4caf50', '#9c27b0', '#2196f3', '#ff9800', '#795548'];
+
+function toPositiveInt(value) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Get the shape a puzzle declares, inferring missing fields from its groups
+ */
+export function getPuzzleShape(puzzle = {}) {
+  const groups = Array.isArray(puzzle.groups) ? puzzle.groups : [];
+  return {
+    groupCount: toPositiveInt(puzzle.groupCount) || groups.length || DEFAULT_PUZZLE_SHAPE.groupCount,
+    groupSize: toPositiveInt(puzzle.groupSize) || groups[0]?.words?.length || DEFAULT_PUZZLE_SHAPE.groupSize,
+    lives: toPositiveInt(puzzle.lives) || DEFAULT_PUZZLE_SHAPE.lives
+  };
+}
+
+/**
+ * Parse a shape from a preset name ("mini") or "<groups>x<size>[:<lives>]" ("5x4:3")
+ */
+export function parsePuzzleShape(value) {
+  if (!value) return null;
+
+  const preset = PUZZLE_SHAPE_PRESETS[value];
+  if (preset) {
+    const { groupCount, groupSize, lives } = preset;
+    return { groupCount, groupSize, lives };
+  }
+
+  const match = String(value).match(/^(\d+)[x×](\d+)(?::(\d+))?$/i);
+  if (!match) return null;
+
+  return {
+    groupCount: parseInt(match[1], 10),
+    groupSize: parseInt(match[2], 10),
+    lives: match[3] ? parseInt(match[3], 10) : DEFAULT_PUZZLE_SHAPE.lives
+  };
+}
+
+/**
+ * Check that a shape is within the supported limits - returns a list of issues
+ */
+export function validatePuzzleShape(shape) {
+  const issues = [];
+
+  if (!Number.isInteger(shape.groupCount) || shape.groupCount < MIN_GROUP_COUNT || shape.groupCount > MAX_GROUP_COUNT) {
+    issues.push(`Group count must be between ${MIN_GROUP_COUNT} and ${MAX_GROUP_COUNT} (found ${shape.groupCount})`);
+  }
+  if (!Number.isInteger(shape.groupSize) || shape.groupSize < MIN_GROUP_SIZE || shape.groupSize > MAX_GROUP_SIZE) {
+    issues.push(`Group size must be between ${MIN_GROUP_SIZE} and ${MAX_GROUP_SIZE} (found ${shape.groupSize})`);
+  }
+  if (!Number.isInteger(shape.lives) || shape.lives < 1 || shape.lives > MAX_LIVES) {
+    issues.push(`Lives must be between 1 and ${MAX_LIVES} (found ${shape.lives})`);
+  }
+
+  return issues;
+}
+
+/**
+ * Whether a shape is the classic 4×4 board with 4 lives
+ */
+export function isDefaultShape(shape) {
+  return shape.groupCount === DEFAULT_PUZZLE_SHAPE.groupCount &&
+    shape.groupSize === DEFAULT_PUZZLE_SHAPE.groupSize &&
+    shape.lives === DEFAULT_PUZZLE_SHAPE.lives;
+}
+
+/**
+ * Short label such as "5×4"
+ */
+export function formatPuzzleShape(shape) {
+  return `${shape.groupCount}×${shape.groupSize}`;
+}
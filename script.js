@@ -1,8 +1,36 @@
 import { initializeApp } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js";
-import { getFirestore, collection, collectionGroup, addDoc, doc, getDoc, setDoc, increment, query, orderBy, limit, getDocs, where } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
-import { getAuth, signInAnonymously, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
-import { analytics } from './analytics.js?v=3';
+import { getFirestore, collection, collectionGroup, addDoc, doc, getDoc, setDoc, updateDoc, arrayUnion, increment, query, orderBy, limit, getDocs, getCountFromServer, where, documentId, runTransaction, writeBatch } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
+import {
+  getAuth, signInAnonymously, onAuthStateChanged, signOut,
+  GoogleAuthProvider, EmailAuthProvider, linkWithPopup, linkWithCredential, signInWithCredential, signInWithEmailAndPassword
+} from "https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js";
+import { getFunctions, httpsCallable } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js";
+import { analytics } from './analytics.js?v=4';
 import { puzzleGenerator } from './puzzleGenerator.js';
+import { gameStateStore } from './gameState.js';
+import { getPuzzleDate, getTimeUntilNextPuzzle } from './puzzleDate.js';
+import { HINT_CONFIG, MAX_HINTS_PER_GAME, buildHint, getHintPenalty } from './hints.js';
+import { createGuessEntry, buildEmojiGrid, getTileEmoji } from './guessLog.js';
+import { announce, getGridColumnCount, getNextTileIndex } from './accessibility.js';
+import { settings } from './settings.js';
+import { DEFAULT_PUZZLE_SHAPE, GROUP_COLORS, getPuzzleShape, isDefaultShape, formatPuzzleShape } from './puzzleShape.js';
+import { normalizeDecoys, buildGameAnalysis } from './decoys.js';
+import { PENCIL_MARKERS, toggleMark, getMarkedWords, pruneMarks } from './pencilMarks.js';
+import { registerServiceWorker, cachePuzzle, getCachedPuzzle, queueWrite, flushOutbox } from './offline.js';
+import { isLockedPuzzle, toPlayableGroups, findLockedGroup, unlockGroup, isNearMiss } from './puzzleLock.js';
+import { mergeSnapshots, hasSnapshotChanged } from './statsSync.js';
+import { ACHIEVEMENTS, achievements, getAchievement } from './achievements.js';
+import { STREAK_FREEZE_CONFIG } from './streakFreeze.js';
+import { buildHeatmapWeeks, buildTimeHistogram, buildWinRateTrend, getRecentWinRate, buildColorStats } from './statsCharts.js';
+import { buildPuzzleInsights } from './puzzleInsights.js';
+import { LEADERBOARD_PERIODS, LEADERBOARD_METRICS, DAILY_WIN_POINTS, getLeaderboardPeriodId } from './leaderboards.js';
+import { MAX_TIME_BUCKET, TIME_BUCKET_SECONDS, buildHistogramUpdate, getTimeBucket, getTimeBuckets, getTimePercentile, getMistakesPercentile } from './percentiles.js';
+import { cleanChallengeResult, encodeChallenge, decodeChallenge, buildChallengeLink, getChallengeCodeFromHash, compareChallengeResults, buildHeadToHead } from './challenges.js';
+import {
+  MAX_QR_CODE_LENGTH, buildStatsExport, getStatsFileName, encodeStatsCode, buildStatsLink,
+  getStatsCodeFromHash, readStatsImport, previewStatsImport
+} from './statsTransfer.js';
+import { MARATHON_CONFIG, createMarathonRun, pickMarathonPuzzle, getMarathonLivesLeft, getMarathonTimeLeft, getMarathonScore } from './marathon.js';
 
 // Get Firebase Auth UID (set after anonymous sign-in)
 let firebaseUserId = null;
@@ -32,6 +60,26 @@ function setNickname(nickname) {
   saveNicknameToFirebase(nickname);
 }
 
+// Leaderboard badge on the users profile: the hardest achievement unlocked, or none
+// when the player turned it off in the settings. Achievements come from the history on
+// this device, so the badge is self-reported - the boards say so next to it.
+async function saveBadgeToFirebase() {
+  if (!db) return;
+  
+  const authReady = await waitForAuth(5000);
+  if (!authReady) return;
+  
+  const featured = settings.get('showBadge') ? achievements.getFeaturedBadge() : null;
+  try {
+    await setDoc(doc(db, 'users', firebaseUserId), {
+      badge: featured ? featured.id : null,
+      updatedAt: new Date()
+    }, { merge: true });
+  } catch (error) {
+    console.log('Could not save badge:', error);
+  }
+}
+
 // Save nickname to Firebase users collection
 async function saveNicknameToFirebase(nickname) {
   if (!db) return;
@@ -51,6 +99,24 @@ async function saveNicknameToFirebase(nickname) {
   }
 }
 
+// Same rule as users/{uid} in firestore.rules: up to 20 Hebrew or English letters, digits, spaces and _ . -
+const NICKNAME_PATTERN = /^[\p{Script=Hebrew}A-Za-z0-9 _.\-]{1,20}$/u;
+
+// Text from other players (league names, nicknames) goes into innerHTML templates escaped
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+// Flag a nickname the rules would refuse on its input, before anything is saved
+function checkNicknameInput(input, nickname) {
+  const valid = NICKNAME_PATTERN.test(nickname);
+  input.setCustomValidity(valid ? '' : 'כינוי יכול להכיל עד 20 אותיות בעברית או באנגלית, ספרות, רווחים ו- _ . -');
+  if (!valid) input.reportValidity();
+  return valid;
+}
+
 function generateRandomNickname() {
   const adjectives = ['שמח', 'חכם', 'מהיר', 'אמיץ', 'חזק', 'נמר', 'נשר', 'אריה', 'זריז', 'גיבור', 'קסום', 'מבריק'];
   const nouns = ['כוכב', 'ירח', 'שמש', 'ענן', 'רוח', 'גל', 'הר', 'נהר', 'עץ', 'פרח', 'ציפור', 'דג'];
@@ -117,10 +183,12 @@ window.editNickname = function() {
   saveBtn.onclick = () => {
     const nickname = input.value.trim();
     if (nickname) {
+      if (!checkNicknameInput(input, nickname)) return;
       setNickname(nickname);
     }
     modal.remove();
   };
+  input.oninput = () => input.setCustomValidity('');
   
   // Generate random nickname
   randomBtn.onclick = () => {
@@ -156,17 +224,47 @@ let mistakesCount = 0;
 let gameStartTime = null;
 let gameActive = false;
 let isPracticeMode = false; // Track if playing archived puzzle
+let isMarathonMode = false; // Timed archive challenge (see marathon.js) - also counts as practice
+let marathonRun = null; // Current marathon run state
 let currentPuzzleDate = null; // Track the date of the current puzzle
 let allPuzzles = []; // Store all puzzles for archive feature
 let previousGuesses = new Set(); // Track previous wrong guesses to avoid duplicate penalties
-const dots = document.querySelectorAll('.dot');
-const totalDots = dots.length;
+let solvedGroupOrder = []; // Indexes of solved groups, in the order they were found
+let hintsUsed = []; // Hints taken this game, in order (see hints.js)
+let guessLog = []; // Every submitted guess, in order (see guessLog.js)
+let focusedWord = null; // Tile holding the roving tabindex in the grid
+let pencilMarks = {}; // Tentative marker per word (see pencilMarks.js)
+let pencilMode = false; // Taps tag tiles instead of selecting them
+let activeMarker = 0; // Marker used while pencil mode is on
+let puzzleShape = { ...DEFAULT_PUZZLE_SHAPE }; // Group count, group size and lives (see puzzleShape.js)
+let dots = document.querySelectorAll('.dot');
+let totalDots = dots.length;
+
+// Size the board and the lives row to the shape the current puzzle declares
+function applyPuzzleShape() {
+  puzzleShape = getPuzzleShape(puzzle);
+  puzzle.decoys = normalizeDecoys(puzzle.decoys, puzzle.words);
+  
+  const grid = document.getElementById('grid');
+  grid.style.setProperty('--grid-columns', puzzleShape.groupSize);
+  
+  // A marathon shares one pool of lives across every board
+  const lives = isMarathonMode ? MARATHON_CONFIG.lives : puzzleShape.lives;
+  const mistakesEl = document.querySelector('.mistakes');
+  mistakesEl.innerHTML = Array.from({ length: lives },
+    (_, i) => `<span class="dot" data-index="${i + 1}"></span>`).join('');
+  dots = mistakesEl.querySelectorAll('.dot');
+  totalDots = dots.length;
+  updateMistakesLabel();
+  updateSubmitButton();
+}
 
 function markMistake() {
   // Turn the dot red
   let dot = dots[mistakesCount]
   dot.classList.add('red');
   mistakesCount++;
+  updateMistakesLabel();
 
   // Check if all dots are red (game over)
   if (mistakesCount === totalDots) {
@@ -174,10 +272,43 @@ function markMistake() {
   }
 }
 
-function endGame(won = false) {
+// Longest the end screen waits for the daily result to be recorded
+const RESULT_WAIT_MS = 3000;
+
+async function endGame(won = false) {
   gameActive = false;
   const timeElapsed = Math.floor((Date.now() - gameStartTime) / 1000);
   
+  // Marathon boards chain into the next one and never touch stats
+  if (isMarathonMode) {
+    handleMarathonBoardEnd(won);
+    return;
+  }
+  
+  // Finished games are not resumed - the already-played flow takes over
+  gameStateStore.clear(getGameMode(), currentPuzzleDate);
+  
+  // Only the FIRST attempt at the daily puzzle counts
+  // A game that ran past midnight belongs to the day it began
+  const counted = !isPracticeMode && !analytics.hasPlayedToday(currentPuzzleDate);
+  if (counted) {
+    // Check if user has a nickname, if not prompt for one before saving
+    if (!getNickname()) {
+      await new Promise(resolve => showNicknamePrompt(resolve));
+    }
+    // The result goes in before the answers are loaded - firestore.rules only open
+    // today's solution to a player whose result is recorded. A slow connection doesn't
+    // hold up the end screen: the writes stay in the outbox and go out when they can.
+    globalStatsWrite = updateGlobalStats(won, mistakesCount, timeElapsed);
+    const resultWrites = Promise.all([globalStatsWrite, saveUserGameResult(guessLog)]);
+    await Promise.race([resultWrites, new Promise(resolve => setTimeout(resolve, RESULT_WAIT_MS))]);
+  }
+  
+  // A locked puzzle opens its remaining groups now, so the log knows every tile's group
+  if (await ensurePuzzleSolution()) {
+    guessLog = guessLog.map(entry => createGuessEntry(puzzle.groups, entry.words, entry.correct));
+  }
+  
   // If in practice mode (archive puzzle), don't save to main stats but track solved puzzle
   if (isPracticeMode) {
     console.log('Practice mode - not counting in statistics');
@@ -185,45 +316,48 @@ function endGame(won = false) {
     if (won && currentPuzzleDate) {
       analytics.recordArchivePuzzleSolved(currentPuzzleDate);
       console.log(`Recorded archive puzzle solved: ${currentPuzzleDate}`);
+      syncAccountStats();
     }
+    const unlocked = won ? checkAchievements(getFinishedGame(won, timeElapsed)) : [];
     const stats = analytics.getStats();
-    finishEndGame(won, stats, timeElapsed, true); // treat as "replay"
+    finishEndGame(won, stats, timeElapsed, true, unlocked); // treat as "replay"
     return;
   }
   
-  // Check if user already played today - only count FIRST attempt
-  const alreadyPlayedToday = analytics.hasPlayedToday();
-  
-  // Record game result locally (only first attempt)
-  let stats;
-  if (!alreadyPlayedToday) {
-    stats = analytics.recordGameEnd(won, mistakesCount, timeElapsed);
-    
-    // Check if user has a nickname, if not prompt for one before saving
-    if (!getNickname()) {
-      showNicknamePrompt((nickname) => {
-        // After nickname is set, save to Firebase
-        updateGlobalStats(won, mistakesCount, timeElapsed);
-        saveUserGameResult(won, mistakesCount, timeElapsed);
-        finishEndGame(won, stats, timeElapsed, alreadyPlayedToday);
-      });
-    } else {
-      // Nickname exists, save directly
-      updateGlobalStats(won, mistakesCount, timeElapsed);
-      saveUserGameResult(won, mistakesCount, timeElapsed);
-      finishEndGame(won, stats, timeElapsed, alreadyPlayedToday);
-    }
+  if (counted) {
+    // Record game result locally (only first attempt)
+    const stats = analytics.recordGameEnd(won, mistakesCount, timeElapsed, {
+      date: currentPuzzleDate,
+      hintsUsed: hintsUsed.length,
+      guessLog,
+      lives: puzzleShape.lives,
+      ...getGroupOutcome()
+    });
+    syncAccountStats();
+    const unlocked = checkAchievements(getFinishedGame(won, timeElapsed));
+    finishEndGame(won, stats, timeElapsed, false, unlocked);
   } else {
     // For replay, just get existing stats without recording
-    stats = analytics.getStats();
+    const stats = analytics.getStats();
     console.log('Replay detected - not counting in statistics');
-    finishEndGame(won, stats, timeElapsed, alreadyPlayedToday);
+    finishEndGame(won, stats, timeElapsed, true);
   }
 }
 
-function finishEndGame(won, stats, timeElapsed, alreadyPlayedToday) {
+// unlocked: achievements this game earned (see achievements.js)
+function finishEndGame(won, stats, timeElapsed, alreadyPlayedToday, unlocked = []) {
+  lastFinishedGame = { date: currentPuzzleDate, won, mistakes: mistakesCount, time: timeElapsed, grid: buildEmojiGrid(guessLog) };
+  completeChallenge(lastFinishedGame);
+  
+  const unlockedText = unlocked.length > 0
+    ? ` הישג חדש: ${unlocked.map(achievement => achievement.title).join(', ')}`
+    : '';
+  announce((won
+    ? `כל הכבוד! פתרתם את החידה עם ${mistakesCount} טעויות`
+    : 'המשחק נגמר. הקבוצות שנותרו מוצגות מתחת ללוח') + unlockedText);
+  
   if (won) {
-    showVictoryModal(stats, timeElapsed, alreadyPlayedToday);
+    showVictoryModal(stats, timeElapsed, alreadyPlayedToday, unlocked);
     if (!alreadyPlayedToday) {
       updateLiveCounter();
     }
@@ -236,6 +370,31 @@ function finishEndGame(won, stats, timeElapsed, alreadyPlayedToday) {
   }
 }
 
+// Group colours in the order they were found, and of the groups never found
+function getGroupOutcome() {
+  const colorOf = index => puzzle.groups[index]?.color || GROUP_COLORS[index];
+  const solvedIndexes = guessLog.filter(entry => entry.correct).map(entry => entry.groups[0]);
+  return {
+    solveOrder: solvedIndexes.map(colorOf),
+    missed: puzzle.groups.map((_, index) => index).filter(index => !solvedIndexes.includes(index)).map(colorOf)
+  };
+}
+
+// The game that just ended, for the achievement rules that look at a single game
+function getFinishedGame(won, timeElapsed) {
+  return { won, mistakes: mistakesCount, lives: puzzleShape.lives, time: timeElapsed };
+}
+
+// Checks the badge rules and, when the featured badge changes, updates the leaderboard profile
+function checkAchievements(game = null) {
+  const featuredBefore = achievements.getFeaturedBadge();
+  const unlocked = achievements.check(analytics.getSyncSnapshot(), game);
+  if (achievements.getFeaturedBadge() !== featuredBefore) {
+    saveBadgeToFirebase();
+  }
+  return unlocked;
+}
+
 function revealSolutions() {
   revealRemainingGroups()
   // Replace with logic to reveal the solution for each group
@@ -250,6 +409,47 @@ function revealSolutions() {
 //   });
 // });
 
+// Game puzzle from a stored puzzle document. Locked puzzles start with every group
+// sealed - words and explanation fill in as groups are solved (see puzzleLock.js).
+function toGamePuzzle(date, data) {
+  const locked = isLockedPuzzle(data);
+  return {
+    date,
+    words: data.words,
+    groups: locked ? toPlayableGroups(data.lockedGroups) : data.groups,
+    decoys: locked ? [] : data.decoys || [],
+    lock: locked ? data.lock : null,
+    ...getPuzzleShape(data)
+  };
+}
+
+// Load the answers of a locked puzzle from puzzleSolutions/{date}. Only called once the
+// game is over (a loss, the end screen) - today's answers open after the result is
+// recorded (see endGame). Returns false if they can't be loaded.
+async function ensurePuzzleSolution() {
+  if (!puzzle.lock || puzzle.lock.revealed) return true;
+  if (!db) return false;
+  
+  const target = puzzle; // The player may move on to another puzzle while this loads
+  try {
+    await waitForAuth(3000);
+    const solutionSnap = await getDoc(doc(db, 'puzzleSolutions', target.date));
+    if (!solutionSnap.exists()) return false;
+    
+    const solution = solutionSnap.data();
+    target.groups.forEach((group, index) => {
+      group.words = solution.groups[index]?.words || group.words;
+      group.explanation = solution.groups[index]?.explanation || group.explanation;
+    });
+    target.decoys = normalizeDecoys(solution.decoys, target.groups.flatMap(group => group.words));
+    target.lock.revealed = true;
+    return target === puzzle;
+  } catch (error) {
+    console.log('Could not load puzzle solution:', error);
+    return false;
+  }
+}
+
 // Load puzzle from Firestore by date
 async function loadPuzzleFromFirestore(dateStr) {
   if (!db) {
@@ -262,13 +462,8 @@ async function loadPuzzleFromFirestore(dateStr) {
     const puzzleSnap = await getDoc(puzzleRef);
     
     if (puzzleSnap.exists()) {
-      const data = puzzleSnap.data();
       console.log(`Puzzle loaded from Firestore for ${dateStr}`);
-      return {
-        date: dateStr,
-        words: data.words,
-        groups: data.groups
-      };
+      return toGamePuzzle(dateStr, puzzleSnap.data());
     }
     return null;
   } catch (error) {
@@ -285,7 +480,7 @@ async function loadArchivePuzzles() {
   }
   
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getPuzzleDate();
     const puzzlesRef = collection(db, 'puzzles');
     const q = query(
       puzzlesRef,
@@ -299,11 +494,7 @@ async function loadArchivePuzzles() {
     
     snapshot.forEach((docSnap) => {
       const data = docSnap.data();
-      puzzles.push({
-        date: data.date || docSnap.id,
-        words: data.words,
-        groups: data.groups
-      });
+      puzzles.push(toGamePuzzle(data.date || docSnap.id, data));
     });
     
     console.log(`Loaded ${puzzles.length} archive puzzles from Firestore`);
@@ -316,7 +507,7 @@ async function loadArchivePuzzles() {
 
 // Load puzzle based on today's date
 async function loadTodaysPuzzle() {
-  const today = new Date().toISOString().split('T')[0];
+  const today = getPuzzleDate();
   
   // Set current puzzle date
   currentPuzzleDate = today;
@@ -330,8 +521,13 @@ async function loadTodaysPuzzle() {
     // Wait for Firebase auth to be ready (needed for Firestore rules)
     await waitForAuth(3000);
     
-    // Try to load today's puzzle from Firestore
+    // Try to load today's puzzle from Firestore, then the offline copy
     puzzle = await loadPuzzleFromFirestore(today);
+    if (puzzle) {
+      cachePuzzle(puzzle);
+    } else {
+      puzzle = await getCachedPuzzle(today);
+    }
     
     // If no puzzle for today, generate one as fallback
     if (!puzzle) {
@@ -350,6 +546,7 @@ async function loadTodaysPuzzle() {
         group.guessed = false;
         group.index = index;
       });
+      applyPuzzleShape();
       
       // Start game timer
       gameStartTime = Date.now();
@@ -359,9 +556,14 @@ async function loadTodaysPuzzle() {
       const todayStats = analytics.getTodayStats();
       if (todayStats) {
         showAlreadyPlayedMessage(todayStats);
+      } else {
+        recordDailyStart(today);
       }
       
-      shuffleGrid();
+      // Pick up where the player left off, or start with a fresh shuffle
+      if (!(await resumeSavedGame())) {
+        shuffleGrid();
+      }
       updateStatsDisplay();
       loadGlobalStats();
       
@@ -378,6 +580,7 @@ async function loadTodaysPuzzle() {
       group.guessed = false;
       group.index = index;
     });
+    applyPuzzleShape();
     gameStartTime = Date.now();
     gameActive = true;
     shuffleGrid();
@@ -385,8 +588,36 @@ async function loadTodaysPuzzle() {
 }
 
 // Initialize game
-loadTodaysPuzzle();
+registerServiceWorker();
+const todaysPuzzleLoad = loadTodaysPuzzle();
 updateNicknameDisplay();
+updateSubmitButton();
+
+// Opened from a stats link ("#stats=...") - the code is removed from the address bar right away.
+// Deferred until the rest of the module has run, since the modal is defined further down.
+const linkedStatsCode = getStatsCodeFromHash(location.hash);
+if (linkedStatsCode) {
+  history.replaceState(null, '', location.pathname + location.search);
+  setTimeout(() => showStatsTransferModal(linkedStatsCode));
+}
+
+// Opened from a league invite ("#league=ABC234") - joining still needs a tap
+setTimeout(() => {
+  const linkedLeagueCode = getLeagueCodeFromHash(location.hash);
+  if (linkedLeagueCode) {
+    history.replaceState(null, '', location.pathname + location.search);
+    showLeaguesModal(linkedLeagueCode);
+  }
+});
+
+// Opened from a friend's challenge ("#challenge=...") - plays the challenged puzzle
+setTimeout(() => {
+  const linkedChallengeCode = getChallengeCodeFromHash(location.hash);
+  if (linkedChallengeCode) {
+    history.replaceState(null, '', location.pathname + location.search);
+    openChallenge(linkedChallengeCode);
+  }
+});
 
 // Sync local nickname to Firebase (for existing users who set nickname before this update)
 setTimeout(async () => {
@@ -412,57 +643,152 @@ setTimeout(async () => {
 // Load puzzle words into grid
 function loadPuzzle() {
   const grid = document.getElementById('grid');
+  const hadFocus = grid.contains(document.activeElement);
   grid.innerHTML = ''; // Clear grid
   puzzle.words.forEach( word => {
         const item = document.createElement('div');
         item.classList.add('grid-item');
+        if (isWordHinted(word)) {
+          item.classList.add('hinted');
+        }
+        if (selectedItems.includes(word)) {
+          item.classList.add('selected');
+        }
         item.textContent = word;
-        item.onclick = () => toggleSelection(item, word);
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', selectedItems.includes(word) ? 'true' : 'false');
+        if (pencilMarks[word] !== undefined) {
+          item.classList.add('pencil-marked', `mark-${pencilMarks[word]}`);
+          item.setAttribute('aria-label', `${word}, סימון ${PENCIL_MARKERS[pencilMarks[word]].label}`);
+        }
+        item.tabIndex = -1;
+        item.onclick = () => {
+          if (suppressTileClick) return; // The pointer was just used to drag this tile
+          if (pencilMode) {
+            markTile(word, activeMarker);
+          } else {
+            toggleSelection(item, word);
+          }
+        };
+        item.onfocus = () => setFocusedTile(item);
+        item.onpointerdown = (e) => startTileDrag(e, item, word);
         grid.appendChild(item);
         });
 //   shuffleGrid()
+
+    renderPencilToolbar();
+
+  // Keep keyboard focus on the same word across re-renders (shuffle, solved group)
+  const tiles = grid.querySelectorAll('.grid-item');
+  const focusTile = tiles[Math.max(0, puzzle.words.indexOf(focusedWord))];
+  if (focusTile) {
+    focusTile.tabIndex = 0;
+    if (hadFocus) focusTile.focus();
+  }
+}
+
+// Roving tabindex: only the focused tile is in the tab order
+function setFocusedTile(tile) {
+  focusedWord = tile.textContent;
+  document.querySelectorAll('.grid-item').forEach(t => {
+    t.tabIndex = t === tile ? 0 : -1;
+  });
 }
 
 // Handle selection toggle
 function toggleSelection(item, word) {
+  if (checkingGuess) return; // Keep the guess fixed while it is being checked
+  
   if (selectedItems.includes(word)) {
     selectedItems = selectedItems.filter(w => w !== word);
     item.classList.remove('selected');
-  } else if (selectedItems.length < 4) {
+    item.setAttribute('aria-selected', 'false');
+  } else if (selectedItems.length < puzzleShape.groupSize) {
     selectedItems.push(word);
     item.classList.add('selected');
+    item.setAttribute('aria-selected', 'true');
   }
 
-  if (selectedItems.length === 4) {
+  // In explicit mode the guess waits for the Submit button
+  if (selectedItems.length === puzzleShape.groupSize && settings.get('submitMode') === 'auto') {
     checkGroup();
   }
+  updateSubmitButton();
+}
+
+let checkingGuess = false; // Locked puzzles check guesses asynchronously (hashing)
+
+// The group a guess completes, if any. Locked puzzles compare hashes and open the group on a match.
+async function findMatchingGroup(words) {
+  if (!puzzle.lock) {
+    return puzzle.groups.find(group => group.words.every(word => words.includes(word)));
+  }
+  
+  const group = await findLockedGroup(puzzle.lock, puzzle.groups, words);
+  if (group && group.words.length === 0) {
+    Object.assign(group, await unlockGroup(puzzle.lock, group, words));
+  }
+  return group;
+}
+
+// Check if all but one of the words match an unsolved group
+async function isGuessOneAway(words) {
+  if (puzzle.lock) return isNearMiss(puzzle.lock, words);
+  
+  return puzzle.groups.some(group => {
+    if (group.guessed) return false; // Skip already guessed groups
+    const matchCount = group.words.filter(word => words.includes(word)).length;
+    return matchCount === puzzleShape.groupSize - 1;
+  });
 }
 
 // Check if selected items form a valid group
-function checkGroup() {
+async function checkGroup() {
+  if (checkingGuess) return;
+  
   // Create a unique key for this guess (sorted to ensure consistent ordering)
   const guessKey = [...selectedItems].sort().join('|');
   
   // Check if this exact guess was already made
   if (previousGuesses.has(guessKey)) {
     showInfoBanner('כבר ניחשת את המילים האלו.');
+    announce('כבר ניחשתם את המילים האלו. הבחירה בוטלה');
     deselectAll();
     selectedItems = [];
     return; // Don't count as mistake
   }
   
-  const matchedGroup = puzzle.groups.find(group =>
-    group.words.every(word => selectedItems.includes(word))
-  );
+  const guess = [...selectedItems];
+  checkingGuess = true;
+  let matchedGroup;
+  let isOneAway = false;
+  try {
+    matchedGroup = await findMatchingGroup(guess);
+    if (!matchedGroup) {
+      isOneAway = await isGuessOneAway(guess);
+    }
+  } catch (error) {
+    // Web Crypto is missing outside secure contexts (plain http)
+    console.error('Could not check guess:', error);
+    showInfoBanner('לא ניתן לבדוק את הניחוש כרגע', 'warning');
+    return;
+  } finally {
+    checkingGuess = false;
+  }
+  if (!gameActive) return; // The marathon clock ran out while the guess was checked
+  
+  guessLog.push(createGuessEntry(puzzle.groups, guess, !!matchedGroup));
 
   if (matchedGroup) {
     matchedGroup.guessed = true;
+    solvedGroupOrder.push(matchedGroup.index);
     highlightGroup(matchedGroup);
     removeMatchedWords(matchedGroup.words);
     renderGroups(matchedGroup);
     
     // Show explanation with animation
     showGroupExplanation(matchedGroup);
+    announce(`נכון! נמצאה קבוצה: ${matchedGroup.explanation}. המילים: ${matchedGroup.words.join(', ')}`);
     
     // Check if all groups are found
     const allGuessed = puzzle.groups.every(g => g.guessed);
@@ -473,13 +799,6 @@ function checkGroup() {
     // Add to previous guesses (only wrong guesses)
     previousGuesses.add(guessKey);
     
-    // Check if 3 out of 4 words match any group (one away!)
-    const isOneAway = puzzle.groups.some(group => {
-      if (group.guessed) return false; // Skip already guessed groups
-      const matchCount = group.words.filter(word => selectedItems.includes(word)).length;
-      return matchCount === 3;
-    });
-    
     if (isOneAway) {
       showInfoBanner('זה היה ממש קרוב!', 'warning');
     }
@@ -487,8 +806,15 @@ function checkGroup() {
     showWrongNotification();
     deselectAll();
     markMistake();
+    
+    if (gameActive) {
+      const livesLeft = totalDots - mistakesCount;
+      announce(`${isOneAway ? 'כמעט! כל המילים מלבד אחת שייכות לאותה קבוצה. ' : ''}טעות. נותרו ${livesLeft} ניסיונות`);
+    }
   }
   selectedItems = []; // Reset selection
+  updateSubmitButton();
+  saveGameState();
 }
 
 // Highlight matched group
@@ -506,6 +832,7 @@ function highlightGroup(group) {
 // Remove matched words from the puzzle
 function removeMatchedWords(words) {
   puzzle.words = puzzle.words.filter(word => !words.includes(word));
+  pencilMarks = pruneMarks(pencilMarks, puzzle.words);
   loadPuzzle(); // Reload grid with remaining words
 }
 
@@ -533,7 +860,12 @@ function renderGroups(group) {
   groupsContainer.appendChild(groupElement);
 }
 // Function to reveal the remaining groups at the end of the game
-function revealRemainingGroups() {
+async function revealRemainingGroups() {
+    if (!(await ensurePuzzleSolution())) {
+      showInfoBanner('לא ניתן לטעון את הפתרון כרגע', 'warning');
+      return;
+    }
+    
     const groupsContainer = document.getElementById('revealed-groups');
 
     // Iterate over all groups and move the unguessed ones to the revealed container
@@ -558,8 +890,108 @@ function revealRemainingGroups() {
 window.shuffleGrid = function() {
     puzzle.words.sort(() => Math.random() - 0.5);
     loadPuzzle();
+    saveGameState();
+}
+
+// Current game mode, used as the namespace for saved game state
+function getGameMode() {
+  if (isMarathonMode) return 'marathon';
+  return isPracticeMode ? 'practice' : 'daily';
+}
+
+// Persist the in-progress game so a reload puts the player back in the same spot
+function saveGameState() {
+  if (!gameActive || !currentPuzzleDate || !puzzle.groups) return;
+  if (isMarathonMode) return; // A marathon is against the clock - nothing to resume
+  
+  gameStateStore.save(getGameMode(), currentPuzzleDate, {
+    solvedGroups: solvedGroupOrder,
+    mistakes: mistakesCount,
+    wrongGuesses: [...previousGuesses],
+    elapsedMs: Date.now() - gameStartTime,
+    tileOrder: puzzle.words,
+    hints: hintsUsed,
+    guessLog,
+    pencilMarks
+  });
+}
+
+// Resume a saved in-progress game for the current puzzle, if there is one
+async function resumeSavedGame() {
+  const saved = gameStateStore.load(getGameMode(), currentPuzzleDate);
+  if (!saved) return false;
+  
+  if (!(await restoreGameState(saved))) {
+    console.log('Saved game state does not match this puzzle - starting fresh');
+    gameStateStore.clear(getGameMode(), currentPuzzleDate);
+    return false;
+  }
+  
+  console.log(`Resumed saved game for ${currentPuzzleDate}`);
+  return true;
+}
+
+// Apply saved state onto the freshly loaded puzzle
+async function restoreGameState(saved) {
+  const solved = saved.solvedGroups || [];
+  if (!solved.every(index => puzzle.groups[index])) return false;
+  
+  // A locked puzzle's solved groups are opened again from the saved correct guesses
+  if (puzzle.lock) {
+    for (const entry of (saved.guessLog || []).filter(e => e.correct)) {
+      await findMatchingGroup(entry.words);
+    }
+  }
+  
+  // The saved tile order must be exactly the words of the unsolved groups
+  const solvedWords = solved.flatMap(index => puzzle.groups[index].words);
+  const remainingWords = puzzle.words.filter(word => !solvedWords.includes(word));
+  const tileOrder = saved.tileOrder || [];
+  if (tileOrder.length !== remainingWords.length ||
+      !remainingWords.every(word => tileOrder.includes(word))) {
+    return false;
+  }
+  
+  solved.forEach(index => {
+    const group = puzzle.groups[index];
+    group.guessed = true;
+    solvedGroupOrder.push(index);
+    renderGroups(group);
+  });
+  
+  mistakesCount = Math.min(saved.mistakes || 0, totalDots);
+  for (let i = 0; i < mistakesCount; i++) {
+    dots[i].classList.add('red');
+  }
+  updateMistakesLabel();
+  
+  previousGuesses = new Set(saved.wrongGuesses || []);
+  hintsUsed = saved.hints || [];
+  guessLog = saved.guessLog || [];
+  pencilMarks = pruneMarks(saved.pencilMarks || {}, tileOrder);
+  renderHintLog();
+  gameStartTime = Date.now() - (saved.elapsedMs || 0);
+  puzzle.words = [...tileOrder];
+  loadPuzzle();
+  
+  // The page may have closed between the final guess and the end screen
+  if (puzzle.groups.every(g => g.guessed)) {
+    endGame(true);
+  } else if (mistakesCount === totalDots) {
+    endGame(false);
+  }
+  
+  return true;
 }
 
+// Save elapsed time when the tab is hidden or closed
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') {
+    saveGameState();
+  }
+});
+window.addEventListener('pagehide', saveGameState);
+
 window.reopenForm = function() {
     document.getElementById("suggestForm").classList.remove("hidden");
     document.getElementById("successSubmitMessage").classList.remove("show");
@@ -570,125 +1002,546 @@ window.deselectAll = function() {
   selectedItems = [];
   document.querySelectorAll('.grid-item').forEach(item => {
     item.classList.remove('selected');
+    item.setAttribute('aria-selected', 'false');
   });
+  updateSubmitButton();
 }
 
-// Show group explanation with animation
-function showGroupExplanation(group) {
-  const notification = document.createElement('div');
-  notification.className = 'group-notification';
-  notification.style.backgroundColor = group.color;
-  notification.innerHTML = `
-    <div class="notification-content">
-      <div class="notification-title">נכון מאוד! 🎉</div>
-      <div class="notification-explanation">${group.explanation}</div>
-    </div>
-  `;
-  document.body.appendChild(notification);
+// Show the Submit button only in explicit mode, enabled once a full group is picked
+function updateSubmitButton() {
+  const submitButton = document.getElementById('submitButton');
+  if (!submitButton) return;
   
-  setTimeout(() => notification.classList.add('show'), 10);
-  setTimeout(() => {
-    notification.classList.remove('show');
-    setTimeout(() => notification.remove(), 300);
-  }, 2000);
+  submitButton.style.display = settings.get('submitMode') === 'explicit' ? '' : 'none';
+  submitButton.disabled = selectedItems.length !== puzzleShape.groupSize || !gameActive;
 }
 
-// Show wrong answer notification (instead of alert)
-function showWrongNotification() {
-  const existing = document.querySelector('.wrong-notification');
-  if (existing) existing.remove();
-  
-  const notification = document.createElement('div');
-  notification.className = 'wrong-notification';
-  notification.innerHTML = `
-    <div>❌ זו לא הקבוצה עליה חשבנו</div>
-    <div style="font-size: 14px; margin-top: 5px;">נסה שוב!</div>
-  `;
-  document.body.appendChild(notification);
+// Submit the current selection as a guess
+window.submitGuess = function() {
+  if (!gameActive) return;
   
-  setTimeout(() => notification.classList.add('show'), 10);
-  setTimeout(() => {
-    notification.classList.remove('show');
-    setTimeout(() => notification.remove(), 300);
-  }, 2000);
+  if (selectedItems.length === puzzleShape.groupSize) {
+    checkGroup();
+  } else {
+    announce(`יש לבחור ${puzzleShape.groupSize} מילים. נבחרו ${selectedItems.length}`);
+  }
 }
 
-// Show info banner (for "one away" and "already guessed" messages)
-function showInfoBanner(message, type = 'info') {
-  const existing = document.querySelector('.info-banner');
-  if (existing) existing.remove();
-  
-  const banner = document.createElement('div');
-  banner.className = `info-banner info-banner-${type}`;
-  banner.innerHTML = `<div class="hebrew-text">${message}</div>`;
-  document.body.appendChild(banner);
-  
-  setTimeout(() => banner.classList.add('show'), 10);
-  setTimeout(() => {
-    banner.classList.remove('show');
-    setTimeout(() => banner.remove(), 300);
-  }, 2500);
+// Screen-reader label for the remaining lives
+function updateMistakesLabel() {
+  const mistakesEl = document.querySelector('.mistakes');
+  if (mistakesEl) {
+    mistakesEl.setAttribute('aria-label', `נותרו ${totalDots - mistakesCount} ניסיונות`);
+  }
 }
 
-// Show failure modal (instead of alert)
-function showFailureModal(isReplay = false) {
-  const modal = document.getElementById('failureModal') || createFailureModal();
+// ============================================
+// KEYBOARD SUPPORT
+// ============================================
+
+// Arrow keys move between tiles (respecting RTL), Space/Enter select
+document.getElementById('grid').addEventListener('keydown', (e) => {
+  const grid = e.currentTarget;
+  const tiles = [...grid.querySelectorAll('.grid-item')];
+  const index = tiles.indexOf(e.target);
+  if (index === -1) return;
   
-  let replayBanner = '';
-  if (isPracticeMode) {
-    replayBanner = `
-      <div class="replay-notice hebrew-text" style="background: rgba(255, 255, 255, 0.1); border-color: rgba(255, 255, 255, 0.3);">
-        📅 מצב תרגול - חידה מהארכיון
-      </div>
-    `;
-  } else if (isReplay) {
-    replayBanner = `
-      <div class="replay-notice hebrew-text">
-        🔄 משחק חוזר - לא נספר בסטטיסטיקה
-      </div>
-    `;
+  if ((e.key === ' ' || e.key === 'Enter') && !e.ctrlKey && !e.metaKey) {
+    e.preventDefault();
+    tiles[index].click();
+    return;
   }
   
-  const practiceActions = isPracticeMode ? `
-    <div style="margin-top: 20px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2);">
-      <button class="btn btn-light" onclick="document.getElementById('failureModal').style.display='none'; returnToDailyPuzzle();">
-        ⬅️ חזרה לחידה היומית
-      </button>
-      <button class="btn btn-warning" onclick="document.getElementById('failureModal').style.display='none'; showArchiveModal();" style="margin-right: 10px;">
-        📅 עוד חידות מהארכיון
-      </button>
-    </div>
-  ` : '';
+  // 1-4 tag the focused tile with a pencil marker, 0 clears it
+  const markerKey = parseInt(e.key, 10);
+  if (!e.ctrlKey && !e.metaKey && !e.altKey && markerKey >= 0 && markerKey <= PENCIL_MARKERS.length) {
+    e.preventDefault();
+    const word = tiles[index].textContent;
+    if (markerKey === 0) {
+      if (pencilMarks[word] !== undefined) markTile(word, pencilMarks[word]);
+    } else {
+      markTile(word, markerKey - 1);
+    }
+    return;
+  }
   
-  const encouragementText = isPracticeMode 
-    ? 'אפשר לנסות חידה נוספת מהארכיון!' 
-    : 'אל דאגה, מחר יש חידה חדשה!';
+  const isRtl = getComputedStyle(grid).direction === 'rtl';
+  const next = getNextTileIndex(index, e.key, tiles.length, getGridColumnCount(grid), isRtl);
+  if (next === null) return;
   
-  modal.querySelector('.failure-content').innerHTML = `
-    <h2 class="hebrew-text">😔 הפעם לא הצלחנו</h2>
-    ${replayBanner}
-    <p class="hebrew-text">${encouragementText}</p>
-    <p class="hebrew-text" style="font-size: 14px; opacity: 0.8;">הקבוצות שנותרו יוצגו למטה</p>
-    <div style="margin-top: 25px;">
-      <button class="btn btn-light" onclick="document.getElementById('failureModal').style.display='none'; showStatsModal();">
-        📊 הצג סטטיסטיקות
-      </button>
-      <button class="btn btn-warning" onclick="document.getElementById('failureModal').style.display='none';">
-        👀 צפה בפתרונות
-      </button>
-    </div>
-    ${practiceActions}
-  `;
-  modal.style.display = 'flex';
-}
-
-// Create failure modal if it doesn't exist
-function createFailureModal() {
-  const modal = document.createElement('div');
-  modal.id = 'failureModal';
-  modal.className = 'failure-modal';
-  modal.innerHTML = '<div class="failure-content"></div>';
-  document.body.appendChild(modal);
+  e.preventDefault();
+  
+  // Alt + arrow carries the tile along instead of just moving focus
+  if (e.altKey && gameActive) {
+    moveTile(tiles[index].textContent, tiles[next].textContent);
+    announce(`המילה ${tiles[index].textContent} הועברה למקום ${next + 1}`);
+    return;
+  }
+  
+  tiles[next].focus();
+});
+
+// ============================================
+// PENCIL MARKS (tentative colour tags, see pencilMarks.js)
+// ============================================
+
+function markTile(word, markerIndex) {
+  if (!gameActive) return;
+  
+  pencilMarks = toggleMark(pencilMarks, word, markerIndex);
+  focusedWord = word;
+  loadPuzzle();
+  saveGameState();
+  
+  const marker = PENCIL_MARKERS[markerIndex];
+  announce(pencilMarks[word] === undefined ? `הסימון הוסר מ${word}` : `${word} סומנה ב${marker.label}`);
+}
+
+window.togglePencilMode = function() {
+  pencilMode = !pencilMode;
+  renderPencilToolbar();
+  announce(pencilMode ? 'מצב סימון פעיל - לחיצה על מילה מסמנת אותה' : 'מצב סימון כבוי');
+}
+
+window.selectPencilMarker = function(markerIndex) {
+  activeMarker = markerIndex;
+  pencilMode = true;
+  renderPencilToolbar();
+}
+
+// Submit every tile tagged with one marker as a guess
+window.submitPencilMarker = function(markerIndex) {
+  if (!gameActive) return;
+  
+  const words = getMarkedWords(pencilMarks, markerIndex, puzzle.words);
+  if (words.length !== puzzleShape.groupSize) {
+    announce(`יש לסמן ${puzzleShape.groupSize} מילים ב${PENCIL_MARKERS[markerIndex].label}. סומנו ${words.length}`);
+    return;
+  }
+  
+  selectedItems = words;
+  checkGroup();
+}
+
+function renderPencilToolbar() {
+  const toolbar = document.getElementById('pencil-toolbar');
+  if (!toolbar) return;
+  
+  const words = puzzle.words || [];
+  toolbar.innerHTML = `
+    <button class="btn btn-secondary pencil-toggle ${pencilMode ? 'active' : ''}" onclick="togglePencilMode()" aria-pressed="${pencilMode}">
+      ✏️ סימון
+    </button>
+    ${PENCIL_MARKERS.map((marker, i) => {
+      const count = getMarkedWords(pencilMarks, i, words).length;
+      return `
+        <div class="pencil-marker mark-${i}">
+          <button class="pencil-swatch ${pencilMode && activeMarker === i ? 'active' : ''}" onclick="selectPencilMarker(${i})"
+                  aria-pressed="${pencilMode && activeMarker === i}" aria-label="סמן ב${marker.label} (${i + 1})" aria-keyshortcuts="${i + 1}">
+            ${count}
+          </button>
+          <button class="pencil-submit" onclick="submitPencilMarker(${i})" ${count === puzzleShape.groupSize && gameActive ? '' : 'disabled'}
+                  aria-label="שלח את המילים המסומנות ב${marker.label}">✅</button>
+        </div>
+      `;
+    }).join('')}
+  `;
+}
+
+// ============================================
+// TILE REORDERING (drag to rearrange the board)
+// ============================================
+
+const DRAG_THRESHOLD_PX = 8;
+const TOUCH_HOLD_MS = 250; // Touch drags start after a short hold so the page can still scroll
+let dragState = null;
+let suppressTileClick = false;
+
+// Move a word into another word's slot and keep the new arrangement
+function moveTile(word, targetWord) {
+  const from = puzzle.words.indexOf(word);
+  const to = puzzle.words.indexOf(targetWord);
+  if (from === -1 || to === -1 || from === to) return;
+  
+  puzzle.words.splice(from, 1);
+  puzzle.words.splice(to, 0, word);
+  focusedWord = word;
+  loadPuzzle();
+  saveGameState();
+}
+
+function startTileDrag(e, item, word) {
+  if (!gameActive || e.button !== 0) return;
+  
+  dragState = { item, word, startX: e.clientX, startY: e.clientY, active: false, holdTimer: null };
+  if (e.pointerType === 'touch') {
+    dragState.holdTimer = setTimeout(() => activateTileDrag(), TOUCH_HOLD_MS);
+  }
+}
+
+function activateTileDrag() {
+  if (!dragState || dragState.active) return;
+  dragState.active = true;
+  dragState.item.classList.add('dragging');
+}
+
+function getDropTarget(e) {
+  const target = document.elementFromPoint(e.clientX, e.clientY)?.closest('.grid-item');
+  return target && target !== dragState.item ? target : null;
+}
+
+document.addEventListener('pointermove', (e) => {
+  if (!dragState) return;
+  
+  const dx = e.clientX - dragState.startX;
+  const dy = e.clientY - dragState.startY;
+  
+  if (!dragState.active) {
+    if (Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+    if (e.pointerType === 'touch') {
+      // Moved before the hold finished - treat it as a scroll
+      cancelTileDrag();
+      return;
+    }
+    activateTileDrag();
+  }
+  
+  dragState.item.style.transform = `translate(${dx}px, ${dy}px)`;
+  document.querySelectorAll('.grid-item.drop-target').forEach(t => t.classList.remove('drop-target'));
+  getDropTarget(e)?.classList.add('drop-target');
+});
+
+document.addEventListener('pointerup', (e) => {
+  if (!dragState) return;
+  
+  const { item, word, active } = dragState;
+  const target = active ? getDropTarget(e) : null;
+  cancelTileDrag();
+  if (!active) return;
+  
+  // Swallow the click that follows the drop
+  suppressTileClick = true;
+  setTimeout(() => { suppressTileClick = false; }, 0);
+  
+  if (target) {
+    moveTile(word, target.textContent);
+  }
+});
+
+document.addEventListener('pointercancel', () => cancelTileDrag());
+
+// Stop the page from scrolling while a touch drag is in progress
+document.getElementById('grid').addEventListener('touchmove', (e) => {
+  if (dragState?.active) e.preventDefault();
+}, { passive: false });
+
+function cancelTileDrag() {
+  if (!dragState) return;
+  clearTimeout(dragState.holdTimer);
+  dragState.item.classList.remove('dragging');
+  dragState.item.removeAttribute('style'); // An empty style attribute would still match .grid-item[style]
+  document.querySelectorAll('.grid-item.drop-target').forEach(t => t.classList.remove('drop-target'));
+  dragState = null;
+}
+
+// Game shortcuts: S = shuffle, Escape = deselect, Ctrl+Enter = submit
+document.addEventListener('keydown', (e) => {
+  if (!gameActive) return;
+  
+  // Don't steal keys from inputs, buttons or open dialogs
+  const active = document.activeElement;
+  const inGrid = document.getElementById('grid').contains(active);
+  if (!inGrid && active && active !== document.body) return;
+  if (document.querySelector('.nickname-modal')) return;
+  
+  if (e.key === 'Escape') {
+    deselectAll();
+    announce('הבחירה בוטלה');
+  } else if (e.code === 'KeyS' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    e.preventDefault();
+    shuffleGrid();
+    announce('המילים עורבבו');
+  } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    submitGuess();
+  }
+});
+
+// ============================================
+// HINTS
+// ============================================
+
+function isWordHinted(word) {
+  return hintsUsed.some(h => h.type === 'word' && h.word === word);
+}
+
+// The daily game's hints come from the getPuzzleHint function, which keeps a record of
+// them for the score. Games that don't count (archive, marathon, replays) work them out here.
+function usesServerHints() {
+  return !isPracticeMode && !analytics.hasPlayedToday(currentPuzzleDate);
+}
+
+// Whether a hint type can be used right now. The server can't be asked before the
+// hint is taken, so only the pair check's two selected words are required there.
+function isHintAvailable(type) {
+  if (hintsUsed.length >= MAX_HINTS_PER_GAME) return false;
+  if (usesServerHints()) return type !== 'pair' || selectedItems.length === 2;
+  return buildHint(type, puzzle.groups, hintsUsed, selectedItems) !== null;
+}
+
+// The hint for a type, or null if there is none of it left
+async function requestHint(type) {
+  if (!usesServerHints()) return buildHint(type, puzzle.groups, hintsUsed, selectedItems);
+  if (!functions || !await waitForAuth(5000)) throw new Error('Auth not ready');
+  
+  const { data } = await httpsCallable(functions, 'getPuzzleHint')({
+    date: currentPuzzleDate,
+    type,
+    guesses: guessLog.map(entry => entry.words),
+    words: selectedItems
+  });
+  return data.hint;
+}
+
+// Show hint menu
+window.showHintMenu = async function() {
+  if (!gameActive || !puzzle.groups) return;
+  
+  // Hints worked out here need the answers - a locked puzzle loads them first
+  if (!usesServerHints() && !(await ensurePuzzleSolution())) {
+    showInfoBanner('לא ניתן לטעון רמזים כרגע', 'warning');
+    return;
+  }
+  if (!gameActive || document.getElementById('hintModal')) return;
+  
+  const modal = document.createElement('div');
+  modal.id = 'hintModal';
+  modal.className = 'nickname-modal';
+  
+  const options = Object.entries(HINT_CONFIG).map(([type, config]) => {
+    const available = isHintAvailable(type);
+    const note = type === 'pair' && selectedItems.length !== 2 ? 'בחרו בדיוק 2 מילים' : config.description;
+    return `
+      <button class="btn btn-secondary hint-option" data-hint="${type}" ${available ? '' : 'disabled'}>
+        ${config.icon} ${config.label}
+        <span class="hint-option-note">${note} · +${config.penalty} נק׳ עונשין</span>
+      </button>
+    `;
+  }).join('');
+  
+  modal.innerHTML = `
+    <div class="nickname-content hebrew-text">
+      <h2>💡 צריכים רמז?</h2>
+      <p>כל רמז מוסיף נקודות עונשין לניקוד בטבלת המובילים (עד ${MAX_HINTS_PER_GAME} רמזים במשחק)</p>
+      <div class="nickname-buttons">
+        ${options}
+        <button class="btn btn-ghost" id="cancelHintBtn">ביטול</button>
+      </div>
+    </div>
+  `;
+  
+  document.body.appendChild(modal);
+  
+  modal.querySelectorAll('.hint-option').forEach(button => {
+    button.onclick = () => {
+      modal.remove();
+      useHint(button.dataset.hint);
+    };
+  });
+  
+  document.getElementById('cancelHintBtn').onclick = () => modal.remove();
+  
+  // Click outside to close
+  modal.onclick = (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  };
+}
+
+// Take a hint and show it to the player
+async function useHint(type) {
+  const requestedPuzzle = puzzle;
+  let hint;
+  try {
+    hint = await requestHint(type);
+  } catch (error) {
+    console.log('Could not load hint:', error);
+    showInfoBanner(error.code === 'functions/resource-exhausted' ? 'לא נשארו רמזים במשחק הזה' : 'לא ניתן לטעון רמזים כרגע', 'warning');
+    return;
+  }
+  if (!gameActive || puzzle !== requestedPuzzle) return;
+  if (!hint) {
+    showInfoBanner('אין עוד רמזים מהסוג הזה', 'warning');
+    return;
+  }
+  
+  hintsUsed.push(hint);
+  
+  if (hint.type === 'word') {
+    document.querySelectorAll('.grid-item').forEach(tile => {
+      if (tile.textContent === hint.word) tile.classList.add('hinted');
+    });
+    showInfoBanner(`💡 "${hint.word}" שייכת לקבוצה הקלה ביותר שנותרה`);
+  } else if (hint.type === 'category') {
+    showInfoBanner(`💡 נושא: ${hint.explanation}`);
+  } else if (hint.type === 'pair') {
+    showInfoBanner(
+      hint.together ? '💡 כן! שתי המילים באותה קבוצה' : '💡 לא, המילים בקבוצות שונות',
+      hint.together ? 'info' : 'warning'
+    );
+  }
+  
+  renderHintLog();
+  saveGameState();
+}
+
+// List the hints taken this game under the controls
+function renderHintLog() {
+  const log = document.getElementById('hint-log');
+  if (!log) return;
+  
+  if (hintsUsed.length === 0) {
+    log.innerHTML = '';
+    return;
+  }
+  
+  log.innerHTML = `
+    <div class="hint-log-title">💡 רמזים (+${getHintPenalty(hintsUsed)} נק׳ עונשין)</div>
+    ${hintsUsed.map(hint => {
+      if (hint.type === 'word') return `<div>🔤 "${hint.word}" בקבוצה הקלה ביותר</div>`;
+      if (hint.type === 'category') return `<div>🏷️ ${hint.explanation}</div>`;
+      return `<div>🔗 "${hint.words[0]}" + "${hint.words[1]}" - ${hint.together ? 'באותה קבוצה ✓' : 'לא באותה קבוצה ✗'}</div>`;
+    }).join('')}
+  `;
+}
+
+// Show group explanation with animation
+function showGroupExplanation(group) {
+  const notification = document.createElement('div');
+  notification.className = 'group-notification';
+  notification.style.backgroundColor = group.color;
+  notification.innerHTML = `
+    <div class="notification-content">
+      <div class="notification-title">נכון מאוד! 🎉</div>
+      <div class="notification-explanation">${group.explanation}</div>
+    </div>
+  `;
+  document.body.appendChild(notification);
+  
+  setTimeout(() => notification.classList.add('show'), 10);
+  setTimeout(() => {
+    notification.classList.remove('show');
+    setTimeout(() => notification.remove(), 300);
+  }, 2000);
+}
+
+// Show wrong answer notification (instead of alert)
+function showWrongNotification() {
+  const existing = document.querySelector('.wrong-notification');
+  if (existing) existing.remove();
+  
+  const notification = document.createElement('div');
+  notification.className = 'wrong-notification';
+  notification.innerHTML = `
+    <div>❌ זו לא הקבוצה עליה חשבנו</div>
+    <div style="font-size: 14px; margin-top: 5px;">נסה שוב!</div>
+  `;
+  document.body.appendChild(notification);
+  
+  setTimeout(() => notification.classList.add('show'), 10);
+  setTimeout(() => {
+    notification.classList.remove('show');
+    setTimeout(() => notification.remove(), 300);
+  }, 2000);
+}
+
+// Show info banner (for "one away" and "already guessed" messages)
+function showInfoBanner(message, type = 'info') {
+  const existing = document.querySelector('.info-banner');
+  if (existing) existing.remove();
+  
+  const banner = document.createElement('div');
+  banner.className = `info-banner info-banner-${type}`;
+  banner.innerHTML = `<div class="hebrew-text">${message}</div>`;
+  document.body.appendChild(banner);
+  
+  setTimeout(() => banner.classList.add('show'), 10);
+  setTimeout(() => {
+    banner.classList.remove('show');
+    setTimeout(() => banner.remove(), 300);
+  }, 2500);
+}
+
+// Show failure modal (instead of alert)
+function showFailureModal(isReplay = false) {
+  const modal = document.getElementById('failureModal') || createFailureModal();
+  
+  let replayBanner = '';
+  if (isPracticeMode) {
+    replayBanner = `
+      <div class="replay-notice hebrew-text" style="background: rgba(255, 255, 255, 0.1); border-color: rgba(255, 255, 255, 0.3);">
+        📅 מצב תרגול - חידה מהארכיון
+      </div>
+    `;
+  } else if (isReplay) {
+    replayBanner = `
+      <div class="replay-notice hebrew-text">
+        🔄 משחק חוזר - לא נספר בסטטיסטיקה
+      </div>
+    `;
+  }
+  
+  const practiceActions = isPracticeMode ? `
+    <div style="margin-top: 20px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2);">
+      <button class="btn btn-light" onclick="document.getElementById('failureModal').style.display='none'; returnToDailyPuzzle();">
+        ⬅️ חזרה לחידה היומית
+      </button>
+      <button class="btn btn-warning" onclick="document.getElementById('failureModal').style.display='none'; showArchiveModal();" style="margin-right: 10px;">
+        📅 עוד חידות מהארכיון
+      </button>
+    </div>
+  ` : '';
+  
+  const encouragementText = isPracticeMode 
+    ? 'אפשר לנסות חידה נוספת מהארכיון!' 
+    : 'אל דאגה, מחר יש חידה חדשה!';
+  
+  modal.querySelector('.failure-content').innerHTML = `
+    <h2 class="hebrew-text">😔 הפעם לא הצלחנו</h2>
+    ${replayBanner}
+    <p class="hebrew-text">${encouragementText}</p>
+    ${!isPracticeMode ? renderNextPuzzleCountdown() : ''}
+    <p class="hebrew-text" style="font-size: 14px; opacity: 0.8;">הקבוצות שנותרו יוצגו למטה</p>
+    ${renderChallengeComparison()}
+    ${renderPuzzleInsightsPlaceholder()}
+    <div style="margin-top: 25px;">
+      <button class="btn btn-light" onclick="document.getElementById('failureModal').style.display='none'; showStatsModal();">
+        📊 הצג סטטיסטיקות
+      </button>
+      <button class="btn btn-warning" onclick="document.getElementById('failureModal').style.display='none';">
+        👀 צפה בפתרונות
+      </button>
+      ${guessLog.some(entry => !entry.correct) ? `
+      <button class="btn btn-light" onclick="document.getElementById('failureModal').style.display='none'; showGameAnalysis();">
+        🔍 ניתוח המשחק
+      </button>
+      ` : ''}
+    </div>
+    ${practiceActions}
+  `;
+  modal.style.display = 'flex';
+  startNextPuzzleCountdown();
+  loadPuzzleInsights();
+}
+
+// Create failure modal if it doesn't exist
+function createFailureModal() {
+  const modal = document.createElement('div');
+  modal.id = 'failureModal';
+  modal.className = 'failure-modal';
+  modal.innerHTML = '<div class="failure-content"></div>';
+  document.body.appendChild(modal);
   
   modal.addEventListener('click', (e) => {
     if (e.target === modal) {
@@ -749,10 +1602,12 @@ function showNicknamePrompt(callback) {
   // Save nickname
   saveBtn.onclick = () => {
     const nickname = input.value.trim() || 'אנונימי';
+    if (!checkNicknameInput(input, nickname)) return;
     setNickname(nickname);
     modal.remove();
     callback(nickname);
   };
+  input.oninput = () => input.setCustomValidity('');
   
   // Generate random nickname
   randomBtn.onclick = () => {
@@ -775,7 +1630,7 @@ function showNicknamePrompt(callback) {
 }
 
 // Show victory modal
-function showVictoryModal(stats, timeElapsed, isReplay = false) {
+function showVictoryModal(stats, timeElapsed, isReplay = false, unlocked = []) {
   const modal = document.getElementById('victoryModal') || createVictoryModal();
   const minutes = Math.floor(timeElapsed / 60);
   const seconds = timeElapsed % 60;
@@ -822,176 +1677,1476 @@ function showVictoryModal(stats, timeElapsed, isReplay = false) {
         <div class="stat-value">${stats.currentStreak}</div>
         <div class="stat-label">רצף נוכחי</div>
       </div>
+      ${hintsUsed.length > 0 ? `
+      <div class="stat-item">
+        <div class="stat-value">💡${hintsUsed.length}</div>
+        <div class="stat-label">רמזים (+${getHintPenalty(hintsUsed)})</div>
+      </div>
+      ` : ''}
     </div>
+    ${renderChallengeComparison()}
+    <div id="percentileRanking" class="percentile-ranking hebrew-text"></div>
+    ${renderAchievementUnlocks(unlocked)}
+    ${renderPuzzleInsightsPlaceholder()}
+    ${!isPracticeMode ? renderNextPuzzleCountdown() : ''}
     <div class="share-section hebrew-text">
       ${!isPracticeMode ? '<button class="btn btn-primary" onclick="shareResults()">שתף תוצאות</button>' : ''}
+      <button class="btn btn-secondary" onclick="createChallenge(this)">⚔️ אתגר חבר</button>
       <button class="btn btn-secondary" onclick="showStatsModal()">סטטיסטיקות</button>
+      ${guessLog.some(entry => !entry.correct) ? `<button class="btn btn-secondary" onclick="document.getElementById('victoryModal').style.display='none'; showGameAnalysis();">🔍 ניתוח המשחק</button>` : ''}
     </div>
     ${practiceButtons}
   `;
   modal.style.display = 'flex';
+  startNextPuzzleCountdown();
+  loadPercentileRanking(timeElapsed, !isReplay);
+  loadPuzzleInsights();
+}
+
+function renderAchievementUnlocks(unlocked) {
+  if (unlocked.length === 0) return '';
+  return `
+    <div class="achievement-unlocks hebrew-text">
+      <h3>🏅 ${unlocked.length > 1 ? 'הישגים חדשים!' : 'הישג חדש!'}</h3>
+      ${unlocked.map(achievement => `
+        <div class="achievement-unlock">
+          <span class="achievement-icon">${achievement.icon}</span>
+          <div>
+            <strong>${achievement.title}</strong>
+            <div class="achievement-description">${achievement.description}</div>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Create victory modal if it doesn't exist
+function createVictoryModal() {
+  const modal = document.createElement('div');
+  modal.id = 'victoryModal';
+  modal.className = 'victory-modal';
+  modal.innerHTML = '<div class="victory-content"></div>';
+  document.body.appendChild(modal);
+  
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.style.display = 'none';
+    }
+  });
+  
+  return modal;
+}
+
+// Build the share text - the colour grid shows how the solve went without spoilers
+function buildShareText(mistakes, timeStr, streak, log, shape = puzzleShape) {
+  const emoji = mistakes === 0 ? '🌟' : mistakes <= 2 ? '✨' : '💪';
+  const grid = log && log.length > 0 ? `${buildEmojiGrid(log)}\n\n` : '';
+  const shapeLabel = isDefaultShape(shape) ? '' : ` ${formatPuzzleShape(shape)}`;
+  return `חיבורים${shapeLabel} ${emoji}
+${grid}טעויות: ${mistakes}/${shape.lives}
+זמן: ${timeStr}
+רצף: ${streak} ימים
+
+🔗 https://omry777.github.io/connectionsio/`;
+}
+
+// Share results via WhatsApp
+window.shareResults = function() {
+  const stats = analytics.getStats();
+  const timeElapsed = Math.floor((Date.now() - gameStartTime) / 1000);
+  const minutes = Math.floor(timeElapsed / 60);
+  const seconds = timeElapsed % 60;
+  const timeStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  
+  const text = buildShareText(mistakesCount, timeStr, stats.currentStreak, guessLog);
+  
+  // Open WhatsApp with the share text
+  const whatsappUrl = `https://wa.me/?text=${encodeURIComponent(text)}`;
+  window.open(whatsappUrl, '_blank');
+}
+
+// Post-game breakdown: each wrong guess, where its words really belonged, and the decoy behind it
+window.showGameAnalysis = function() {
+  let modal = document.getElementById('analysisModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'analysisModal';
+    modal.className = 'stats-modal';
+    modal.innerHTML = `
+      <div class="stats-modal-content">
+        <span class="close-modal" onclick="document.getElementById('analysisModal').style.display='none'">&times;</span>
+        <div id="analysisModalBody" class="hebrew-text"></div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.style.display = 'none';
+      }
+    });
+  }
+  
+  const analysis = buildGameAnalysis(puzzle.groups, guessLog, puzzle.decoys || []);
+  const unusedDecoys = (puzzle.decoys || []).filter(decoy =>
+    !analysis.some(guess => guess.decoys.some(d => d.note === decoy.note)));
+  
+  const guessesHtml = analysis.length === 0
+    ? '<p class="analysis-empty">לא היו ניחושים שגויים - משחק מושלם! 🌟</p>'
+    : analysis.map(guess => `
+      <div class="analysis-guess">
+        <div class="analysis-guess-title">ניחוש ${guess.number} - ${guess.split.join('+')}</div>
+        <div class="analysis-words">
+          ${guess.words.map(({ word, color, explanation }) => `
+            <div class="analysis-word" style="border-color: ${color || 'var(--glass-border)'};">
+              <span class="analysis-word-text">${word}</span>
+              <span class="analysis-word-group">${explanation}</span>
+            </div>
+          `).join('')}
+        </div>
+        ${guess.decoys.map(decoy => `
+          <div class="analysis-decoy">🎣 ${decoy.note} <span class="analysis-decoy-words">(${decoy.words.join(', ')})</span></div>
+        `).join('')}
+      </div>
+    `).join('');
+  
+  document.getElementById('analysisModalBody').innerHTML = `
+    <h2>🔍 ניתוח המשחק</h2>
+    ${guessesHtml}
+    ${unusedDecoys.length > 0 ? `
+      <h3>🎣 מלכודות נוספות בחידה</h3>
+      ${unusedDecoys.map(decoy => `
+        <div class="analysis-decoy">${decoy.note} <span class="analysis-decoy-words">(${decoy.words.join(', ')})</span></div>
+      `).join('')}
+    ` : ''}
+  `;
+  
+  modal.style.display = 'flex';
+}
+
+// Show settings modal
+window.showSettingsModal = function() {
+  let modal = document.getElementById('settingsModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'settingsModal';
+    modal.className = 'stats-modal';
+    modal.innerHTML = `
+      <div class="stats-modal-content">
+        <span class="close-modal" onclick="document.getElementById('settingsModal').style.display='none'">&times;</span>
+        <div id="settingsModalBody" class="hebrew-text"></div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.style.display = 'none';
+      }
+    });
+  }
+  
+  const submitMode = settings.get('submitMode');
+  document.getElementById('settingsModalBody').innerHTML = `
+    <h2>⚙️ הגדרות</h2>
+    <fieldset class="settings-group">
+      <legend>שליחת ניחוש</legend>
+      <label class="settings-option">
+        <input type="radio" name="submitMode" value="auto" ${submitMode === 'auto' ? 'checked' : ''}>
+        אוטומטית - מיד עם בחירת המילה הרביעית
+      </label>
+      <label class="settings-option">
+        <input type="radio" name="submitMode" value="explicit" ${submitMode === 'explicit' ? 'checked' : ''}>
+        בלחיצה על כפתור "שלח" (כמו ב-NYT)
+      </label>
+    </fieldset>
+    <fieldset class="settings-group">
+      <legend>טבלת המובילים</legend>
+      <label class="settings-option">
+        <input type="checkbox" id="showBadgeSetting" ${settings.get('showBadge') ? 'checked' : ''}>
+        הצגת ההישג הבכיר שלי ליד הכינוי
+      </label>
+      <p class="settings-note">ההישגים מחושבים במכשיר שלך, ולכן בטבלה התג מוצג כמדווח על ידי השחקן ולא כמאומת</p>
+    </fieldset>
+    <p class="settings-note">💡 אפשר לגרור מילים כדי לסדר את הלוח (במגע: לחיצה ארוכה ואז גרירה, במקלדת: Alt + חיצים)</p>
+    <div id="accountSection"></div>
+  `;
+  renderAccountSection();
+  
+  document.getElementById('showBadgeSetting').onchange = (e) => {
+    settings.set('showBadge', e.target.checked);
+    saveBadgeToFirebase();
+  };
+  
+  modal.querySelectorAll('input[name="submitMode"]').forEach(input => {
+    input.onchange = () => {
+      settings.set('submitMode', input.value);
+      updateSubmitButton();
+    };
+  });
+  
+  modal.style.display = 'flex';
+}
+
+// Mistake counts to chart - puzzles with more lives can add buckets beyond the default 0-4
+function getMistakeBuckets(distribution) {
+  return Object.keys(distribution)
+    .filter(key => key !== 'failed')
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+// Show statistics modal
+window.showStatsModal = function() {
+  const modal = document.getElementById('statsModal') || createStatsModal();
+  updateStatsModalContent();
+  modal.style.display = 'flex';
+}
+
+// Create stats modal
+function createStatsModal() {
+  const modal = document.createElement('div');
+  modal.id = 'statsModal';
+  modal.className = 'stats-modal';
+  modal.innerHTML = `
+    <div class="stats-modal-content">
+      <span class="close-modal" onclick="document.getElementById('statsModal').style.display='none'">&times;</span>
+      <div id="statsModalBody"></div>
+    </div>
+  `;
+  document.body.appendChild(modal);
+  
+  modal.addEventListener('click', (e) => {
+    if (e.target === modal) {
+      modal.style.display = 'none';
+    }
+  });
+  
+  return modal;
+}
+
+// Update stats modal content
+async function updateStatsModalContent() {
+  checkAchievements(); // Synced or imported history may have earned badges
+  const stats = analytics.getStats();
+  const distribution = analytics.getResultsDistribution();
+  const recentGames = analytics.getRecentGames();
+  
+  const modalBody = document.getElementById('statsModalBody');
+  modalBody.innerHTML = `
+    <h2 class="hebrew-text">הסטטיסטיקות שלך 📊</h2>
+    <div class="stats-grid hebrew-text">
+      <div class="stat-box">
+        <div class="stat-number">${stats.gamesPlayed}</div>
+        <div class="stat-title">משחקים</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-number">${stats.winRate}%</div>
+        <div class="stat-title">אחוז הצלחה</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-number">${stats.currentStreak}</div>
+        <div class="stat-title">רצף נוכחי</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-number">${stats.maxStreak}</div>
+        <div class="stat-title">רצף מקסימלי</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-number">${stats.averageMistakes}</div>
+        <div class="stat-title">ממוצע טעויות</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-number">${stats.perfectGames}</div>
+        <div class="stat-title">משחקים מושלמים</div>
+      </div>
+    </div>
+    
+    ${renderStreakFreezes(stats.streakFreezes)}
+    
+    <h3 class="hebrew-text">התפלגות תוצאות</h3>
+    <div class="distribution-chart hebrew-text">
+      ${getMistakeBuckets(distribution).map(i => `
+        <div class="distribution-row">
+          <div class="distribution-label">${i} טעויות</div>
+          <div class="distribution-bar">
+            <div class="bar-fill" style="width: ${stats.gamesPlayed > 0 ? (distribution[i] / stats.gamesPlayed * 100) : 0}%">
+              ${distribution[i]}
+            </div>
+          </div>
+        </div>
+      `).join('')}
+      <div class="distribution-row">
+        <div class="distribution-label">נכשל</div>
+        <div class="distribution-bar">
+          <div class="bar-fill failed" style="width: ${stats.gamesPlayed > 0 ? (distribution.failed / stats.gamesPlayed * 100) : 0}%">
+            ${distribution.failed}
+          </div>
+        </div>
+      </div>
+    </div>
+    
+    ${renderHeatmap(stats.history)}
+    ${renderTimeHistogram(stats.history)}
+    <div id="winRateTrend">${renderWinRateTrend(stats.history)}</div>
+    ${renderColorStats(stats.history)}
+    
+    ${renderAchievementGallery()}
+    
+    <div id="globalStatsSection" class="global-stats-section hebrew-text">
+      <h3>📈 סטטיסטיקות גלובליות - היום</h3>
+      <div id="globalStatsContent">טוען...</div>
+    </div>
+    
+    <div id="leaderboardSection" class="leaderboard-section hebrew-text">
+      <h3>🏆 טבלת המובילים</h3>
+      <div id="leaderboardTabs">${renderLeaderboardTabs()}</div>
+      <div id="leaderboardContent">טוען...</div>
+    </div>
+    
+    <div id="leaguesSection" class="leaderboard-section hebrew-text">
+      <h3>👥 ליגות חברים</h3>
+      <div id="leaguesContent">טוען...</div>
+    </div>
+    
+    <div id="challengesSection" class="leaderboard-section hebrew-text">
+      <h3>⚔️ אתגרים</h3>
+      <div id="challengesContent">טוען...</div>
+    </div>
+    
+    <div class="stats-transfer-actions hebrew-text">
+      <button class="btn btn-secondary" onclick="showStatsTransferModal()">💾 גיבוי והעברת סטטיסטיקות</button>
+    </div>
+  `;
+  
+  // Newest weeks first - in RTL they're at the scroll start's far end
+  const heatmapScroll = modalBody.querySelector('.heatmap-scroll');
+  if (heatmapScroll) {
+    heatmapScroll.scrollLeft = -heatmapScroll.scrollWidth;
+  }
+  
+  // Load data asynchronously after modal content is created
+  loadGlobalStatsContent();
+  loadLeaderboardContent();
+  loadLeaguesContent();
+  loadChallengesContent();
+}
+
+// ============================================
+// PUZZLE INSIGHTS (see puzzleInsights.js)
+// ============================================
+
+// Empty until loadPuzzleInsights finds enough games to describe
+function renderPuzzleInsightsPlaceholder() {
+  return '<div id="puzzleInsights" class="puzzle-insights hebrew-text"></div>';
+}
+
+// How everyone else did on this puzzle, for the end screens
+async function loadPuzzleInsights() {
+  const date = currentPuzzleDate;
+  const groups = puzzle.groups || [];
+  if (!db || !date) return;
+  
+  try {
+    const statsSnap = await getDoc(doc(db, 'puzzleStats', date));
+    const container = document.getElementById('puzzleInsights');
+    if (!statsSnap.exists() || !container || date !== currentPuzzleDate) return;
+    
+    const lines = buildPuzzleInsights(statsSnap.data(), groups);
+    if (lines.length === 0) return;
+    container.innerHTML = `
+      <h3>🧠 איך הלך לאחרים</h3>
+      ${lines.map(line => `
+        <div class="puzzle-insight"><span aria-hidden="true">${line.icon}</span> ${line.text}</div>
+      `).join('')}
+    `;
+  } catch (error) {
+    console.log('Could not load puzzle insights:', error);
+  }
+}
+
+// ============================================
+// PERCENTILE RANKING (see percentiles.js)
+// ============================================
+
+let globalStatsWrite = null; // This game's dailyStats write - the ranking reads after it lands
+
+function formatBucketTime(seconds) {
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+// Where the game sits among the day's players. counted: the game is in dailyStats
+// (a first daily attempt); replays and archive games are compared without being added.
+async function loadPercentileRanking(timeElapsed, counted) {
+  const date = currentPuzzleDate;
+  if (!db || !date) return;
+  
+  try {
+    if (counted && globalStatsWrite) {
+      await globalStatsWrite;
+    }
+    const statsSnap = await getDoc(doc(db, 'dailyStats', date));
+    const container = document.getElementById('percentileRanking');
+    if (!statsSnap.exists() || !container || date !== currentPuzzleDate) return;
+    
+    const data = statsSnap.data();
+    const time = getTimePercentile(data.timeHistogram, timeElapsed, counted);
+    const mistakes = getMistakesPercentile(data.mistakesHistogram, mistakesCount, counted);
+    if (!time && !mistakes) return;
+    
+    const solvers = date === getPuzzleDate() ? 'הפותרים היום' : 'הפותרים באותו יום';
+    container.innerHTML = `
+      ${time ? `<div class="percentile-line">⚡ מהירים יותר מ-<strong>${time.percent}%</strong> מ${solvers}</div>` : ''}
+      ${mistakes ? `<div class="percentile-line">🎯 ${mistakes.morePercent > 0
+        ? `פחות טעויות מ-<strong>${mistakes.morePercent}%</strong> מהשחקנים`
+        : `<strong>${mistakes.samePercent}%</strong> מהשחקנים טעו בדיוק כמוכם`}</div>` : ''}
+      ${time ? renderTimeDistribution(data.timeHistogram, timeElapsed) : ''}
+    `;
+  } catch (error) {
+    console.log('Could not load percentile ranking:', error);
+  }
+}
+
+// The day's solve times as columns, with the player's own bucket marked
+function renderTimeDistribution(histogram, timeElapsed) {
+  const counts = getTimeBuckets(histogram);
+  const playerBucket = getTimeBucket(timeElapsed);
+  // Trim the empty slow end so the columns stay readable
+  const lastBucket = Math.max(playerBucket, counts.findLastIndex(count => count > 0));
+  const shown = counts.slice(0, lastBucket + 1);
+  const largest = Math.max(...shown, 1);
+  const endLabel = lastBucket === MAX_TIME_BUCKET
+    ? `${formatBucketTime(MAX_TIME_BUCKET * TIME_BUCKET_SECONDS)}+`
+    : formatBucketTime((lastBucket + 1) * TIME_BUCKET_SECONDS);
+  
+  return `
+    <div class="time-distribution" role="img" aria-label="התפלגות זמני הפתרון - אתם בעמודה המודגשת">
+      <div class="time-distribution-bars">
+        ${shown.map((count, bucket) => `
+          <div class="time-distribution-bar ${bucket === playerBucket ? 'is-player' : ''}"
+               style="height: ${Math.max(count / largest * 100, 4)}%"
+               title="${formatBucketTime(bucket * TIME_BUCKET_SECONDS)}: ${count}"></div>
+        `).join('')}
+      </div>
+      <div class="time-distribution-axis">
+        <span>0:00</span>
+        <span>${endLabel}</span>
+      </div>
+    </div>
+  `;
+}
+
+// ============================================
+// FRIEND LEAGUES (see functions/leagues.js)
+// ============================================
+
+const LEAGUE_LINK_PARAM = 'league';
+const LEAGUE_ERROR_MESSAGES = {
+  'functions/not-found': 'לא מצאנו ליגה עם הקוד הזה',
+  'functions/invalid-argument': 'קוד ליגה הוא 6 אותיות ומספרים, ושם ליגה - עד 30 אותיות בעברית או באנגלית, ספרות, רווחים ו- _ . -',
+  'functions/failed-precondition': 'אפשר להיות בעד 5 ליגות - צאו מאחת כדי להצטרף לחדשה',
+  'functions/resource-exhausted': 'הליגה מלאה',
+  'functions/permission-denied': 'רק מנהלי הליגה יכולים להסיר חברים'
+};
+// Queries with "in" take at most 30 values
+const LEAGUE_QUERY_CHUNK = 30;
+
+let myLeagues = []; // Leagues the player belongs to: [{ id, name, ownerId, admins, members }]
+let selectedLeagueId = null;
+let leagueBoardView = 'today'; // 'today' or 'week'
+
+function getLeagueCodeFromHash(hash) {
+  const match = (hash || '').match(new RegExp(`[#&]${LEAGUE_LINK_PARAM}=([A-Za-z0-9-]+)`));
+  return match ? match[1].toUpperCase() : null;
+}
+
+function getLeagueLink(leagueId) {
+  return `${location.origin}${location.pathname}#${LEAGUE_LINK_PARAM}=${leagueId}`;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+async function callLeagueFunction(name, data) {
+  if (!functions || !(await waitForAuth(5000))) {
+    throw new Error('אין חיבור לשרת - נסו שוב בעוד רגע');
+  }
+  try {
+    const { data: result } = await httpsCallable(functions, name)(data);
+    return result;
+  } catch (error) {
+    throw new Error(LEAGUE_ERROR_MESSAGES[error.code] || 'משהו השתבש - נסו שוב');
+  }
+}
+
+async function fetchMyLeagues() {
+  if (!db || !(await waitForAuth(5000))) return [];
+  const snapshot = await getDocs(query(collection(db, 'leagues'), where('members', 'array-contains', firebaseUserId)));
+  return snapshot.docs
+    .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    .sort((a, b) => a.name.localeCompare(b.name, 'he'));
+}
+
+// The leagues part of the stats modal: one tab per league, then its board
+async function loadLeaguesContent() {
+  const leaguesContent = document.getElementById('leaguesContent');
+  if (!leaguesContent) return;
+  
+  if (!db) {
+    leaguesContent.innerHTML = '<p style="text-align: center; color: #666;">Firebase לא מוגדר</p>';
+    return;
+  }
+  
+  try {
+    myLeagues = await fetchMyLeagues();
+  } catch (error) {
+    console.log('Could not load leagues:', error);
+    leaguesContent.innerHTML = '<p style="text-align: center; color: #666;">שגיאה בטעינת הליגות</p>';
+    return;
+  }
+  
+  if (myLeagues.length === 0) {
+    leaguesContent.innerHTML = `
+      <p class="settings-note">טבלה משלכם עם החברים, המשפחה או העבודה - צרו ליגה ושלחו את קוד ההזמנה.</p>
+      <button class="btn btn-secondary" onclick="showLeaguesModal()">➕ יצירת ליגה או הצטרפות</button>
+    `;
+    return;
+  }
+  
+  if (!myLeagues.some(league => league.id === selectedLeagueId)) {
+    selectedLeagueId = myLeagues[0].id;
+  }
+  leaguesContent.innerHTML = `
+    <div class="leaderboard-tabs">
+      ${myLeagues.map(league => `
+        <button class="btn btn-sm ${league.id === selectedLeagueId ? 'btn-primary' : 'btn-secondary'}" onclick="selectLeague('${league.id}')" aria-pressed="${league.id === selectedLeagueId}">${escapeHtml(league.name)}</button>
+      `).join('')}
+    </div>
+    <div class="leaderboard-tabs leaderboard-metrics">
+      ${[['today', 'היום'], ['week', 'השבוע']].map(([view, label]) => `
+        <button class="btn btn-sm ${view === leagueBoardView ? 'btn-primary' : 'btn-secondary'}" onclick="setLeagueBoardView('${view}')" aria-pressed="${view === leagueBoardView}">${label}</button>
+      `).join('')}
+    </div>
+    <div id="leagueBoard">טוען...</div>
+    <div class="nickname-buttons">
+      <button class="btn btn-secondary btn-sm" id="copyLeagueInviteBtn" onclick="copyLeagueInvite('${selectedLeagueId}', this)">🔗 הזמנת חברים</button>
+      <button class="btn btn-secondary btn-sm" onclick="showLeaguesModal()">⚙️ ניהול ליגות</button>
+    </div>
+  `;
+  loadLeagueBoard();
+}
+
+window.selectLeague = function(leagueId) {
+  selectedLeagueId = leagueId;
+  loadLeaguesContent();
+}
+
+window.setLeagueBoardView = function(view) {
+  leagueBoardView = view;
+  loadLeaguesContent();
+}
+
+async function loadLeagueBoard() {
+  const league = myLeagues.find(entry => entry.id === selectedLeagueId);
+  const view = leagueBoardView;
+  if (!league) return;
+  
+  let html;
+  try {
+    const profileMap = await fetchProfiles(league.members);
+    html = view === 'today'
+      ? await renderLeagueToday(league, profileMap)
+      : await renderLeagueWeek(league, profileMap);
+  } catch (error) {
+    console.log('Could not load league board:', error);
+    html = '<p style="text-align: center; color: #666;">שגיאה בטעינת הטבלה</p>';
+  }
+  
+  const board = document.getElementById('leagueBoard');
+  if (board && league.id === selectedLeagueId && view === leagueBoardView) {
+    board.innerHTML = html;
+  }
+}
+
+function renderLeagueName(league, uid, profileMap, fallback = 'אנונימי') {
+  const isOwner = uid === league.ownerId;
+  return `${escapeHtml(profileMap[uid]?.nickname || fallback)}${renderLeaderboardBadge(profileMap[uid]?.badge)}${isOwner ? ' <small title="מנהל הליגה">👑</small>' : ''}${uid === firebaseUserId ? ' <small>(אתה!)</small>' : ''}`;
+}
+
+// Today's verified results of the members (userDailyGames), winners by score, then the rest
+async function renderLeagueToday(league, profileMap) {
+  const today = getPuzzleDate();
+  const snapshots = await Promise.all(chunk(league.members, LEAGUE_QUERY_CHUNK).map(members =>
+    getDocs(query(collectionGroup(db, 'days'), where('date', '==', today), where('odataUri', 'in', members)))));
+  const results = snapshots.flatMap(snapshot => snapshot.docs.map(docSnap => docSnap.data()));
+  
+  if (results.length === 0) {
+    return '<p style="text-align: center; color: #666;">אף אחד מהליגה עוד לא שיחק היום</p>';
+  }
+  results.sort((a, b) => (b.won - a.won) || (a.won ? a.score - b.score : a.mistakes - b.mistakes));
+  const waiting = league.members.length - results.length;
+  
+  return `
+    <table class="leaderboard-table">
+      <thead>
+        <tr><th>דירוג</th><th>שם</th><th>טעויות</th><th>זמן</th></tr>
+      </thead>
+      <tbody>
+        ${results.map((result, index) => `
+          <tr class="${result.won && index < 3 ? 'rank-' + (index + 1) : ''} ${result.odataUri === firebaseUserId ? 'current-user' : ''}">
+            <td><span class="medal">${result.won ? getLeaderboardMedal(index + 1) : '❌'}</span></td>
+            <td class="nickname-cell">${renderLeagueName(league, result.odataUri, profileMap, result.nickname)}</td>
+            <td>${result.mistakes}</td>
+            <td>${result.won ? formatBucketTime(result.timeElapsed) : '-'}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${waiting > 0 ? `<p class="settings-note">${waiting} ${waiting === 1 ? 'חבר עוד לא שיחק' : 'חברים עוד לא שיחקו'} היום</p>` : ''}
+  `;
+}
+
+// This week's totals of every member (leaderboards/week-.../players, kept by submitDailyResult).
+// Admins can remove members from here.
+async function renderLeagueWeek(league, profileMap) {
+  const playersRef = collection(db, 'leaderboards', getLeaderboardPeriodId('week', getPuzzleDate()), 'players');
+  const snapshots = await Promise.all(chunk(league.members, LEAGUE_QUERY_CHUNK).map(members =>
+    getDocs(query(playersRef, where(documentId(), 'in', members)))));
+  const entries = {};
+  snapshots.forEach(snapshot => snapshot.docs.forEach(docSnap => {
+    entries[docSnap.id] = docSnap.data();
+  }));
+  
+  const rows = league.members
+    .map(uid => ({ uid, points: 0, wins: 0, games: 0, ...entries[uid] }))
+    .sort((a, b) => (b.points - a.points) || (b.wins - a.wins));
+  const isAdmin = (league.admins || []).includes(firebaseUserId);
+  
+  return `
+    <table class="leaderboard-table">
+      <thead>
+        <tr><th>דירוג</th><th>שם</th><th>ניקוד</th><th>ניצחונות</th>${isAdmin ? '<th></th>' : ''}</tr>
+      </thead>
+      <tbody>
+        ${rows.map((row, index) => `
+          <tr class="${row.points > 0 && index < 3 ? 'rank-' + (index + 1) : ''} ${row.uid === firebaseUserId ? 'current-user' : ''}">
+            <td><span class="medal">${row.games > 0 ? getLeaderboardMedal(index + 1) : '-'}</span></td>
+            <td class="nickname-cell">${renderLeagueName(league, row.uid, profileMap, row.nickname)}</td>
+            <td>${row.points}</td>
+            <td>${row.wins}/${row.games}</td>
+            ${isAdmin ? `<td>${row.uid !== league.ownerId && row.uid !== firebaseUserId
+              ? `<button class="btn btn-sm btn-ghost" onclick="removeLeagueMember('${league.id}', '${row.uid}')" aria-label="הסרה מהליגה" title="הסרה מהליגה">✖</button>`
+              : ''}</td>` : ''}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+window.copyLeagueInvite = function(leagueId, button) {
+  const league = myLeagues.find(entry => entry.id === leagueId);
+  const text = `הצטרפו לליגה "${league?.name || ''}" בחיבורים! קוד: ${leagueId}\n${getLeagueLink(leagueId)}`;
+  copyToClipboard(text)
+    .then(() => { button.textContent = '✅ ההזמנה הועתקה'; })
+    .catch(() => { button.textContent = `קוד: ${leagueId}`; });
+}
+
+window.removeLeagueMember = async function(leagueId, memberId) {
+  const league = myLeagues.find(entry => entry.id === leagueId);
+  const profileMap = await fetchProfiles([memberId]);
+  if (!confirm(`להסיר את ${profileMap[memberId]?.nickname || 'השחקן'} מהליגה "${league?.name}"?`)) return;
+  
+  try {
+    await callLeagueFunction('removeFromLeague', { leagueId, memberId });
+    loadLeaguesContent();
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+// Create, join and leave leagues. inviteCode: from an invite link, filled in ready to join.
+window.showLeaguesModal = function(inviteCode = null) {
+  let modal = document.getElementById('leaguesModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'leaguesModal';
+    modal.className = 'stats-modal';
+    modal.innerHTML = `
+      <div class="stats-modal-content">
+        <span class="close-modal" onclick="document.getElementById('leaguesModal').style.display='none'">&times;</span>
+        <div class="hebrew-text">
+          <h2>👥 ליגות חברים</h2>
+          <div id="leagueInviteNotice"></div>
+          <fieldset class="settings-group">
+            <legend>הצטרפות</legend>
+            <input type="text" id="leagueCodeInput" class="stats-transfer-input" maxlength="8" placeholder="קוד ליגה" dir="ltr" aria-label="קוד ליגה">
+            <button class="btn btn-primary" onclick="joinLeagueFromForm()">הצטרפות</button>
+          </fieldset>
+          <fieldset class="settings-group">
+            <legend>ליגה חדשה</legend>
+            <input type="text" id="leagueNameInput" class="stats-transfer-input" maxlength="30" placeholder="שם הליגה" aria-label="שם הליגה">
+            <button class="btn btn-secondary" onclick="createLeagueFromForm()">יצירה</button>
+          </fieldset>
+          <p id="leagueMessage" class="settings-note" role="status"></p>
+          <div id="myLeaguesList"></div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.style.display = 'none';
+      }
+    });
+  }
+  
+  document.getElementById('leagueCodeInput').value = inviteCode || '';
+  document.getElementById('leagueInviteNotice').innerHTML = inviteCode
+    ? '<div class="replay-notice">📨 הוזמנתם לליגה! לחצו "הצטרפות" כדי להיכנס לטבלה שלה</div>'
+    : '';
+  setLeagueMessage(isAccountSignedIn() ? '' : 'הליגות שמורות בחשבון - כדאי להתחבר בהגדרות כדי לא לאבד אותן בדפדפן אחר');
+  modal.style.display = 'flex';
+  renderMyLeaguesList();
+}
+
+function setLeagueMessage(text) {
+  const message = document.getElementById('leagueMessage');
+  if (message) {
+    message.textContent = text;
+  }
+}
+
+async function renderMyLeaguesList() {
+  const list = document.getElementById('myLeaguesList');
+  try {
+    myLeagues = await fetchMyLeagues();
+  } catch (error) {
+    console.log('Could not load leagues:', error);
+  }
+  if (!list) return;
+  
+  list.innerHTML = myLeagues.length === 0 ? '' : `
+    <h3>הליגות שלי</h3>
+    ${myLeagues.map(league => `
+      <div class="league-row">
+        <div>
+          <strong>${escapeHtml(league.name)}</strong>
+          <div class="settings-note">קוד: <span dir="ltr">${league.id}</span> · ${league.members.length} חברים</div>
+        </div>
+        <div class="nickname-buttons">
+          <button class="btn btn-sm btn-secondary" onclick="copyLeagueInvite('${league.id}', this)">🔗 הזמנה</button>
+          <button class="btn btn-sm btn-ghost" onclick="leaveLeagueById('${league.id}')">יציאה</button>
+        </div>
+      </div>
+    `).join('')}
+  `;
+}
+
+// After a change in the modal: refresh its list and, if it's open, the stats modal's boards
+async function runLeagueAction(action, successText) {
+  setLeagueMessage('רגע...');
+  try {
+    const result = await action();
+    setLeagueMessage(successText(result));
+    if (result?.leagueId) {
+      selectedLeagueId = result.leagueId;
+    }
+    await renderMyLeaguesList();
+    loadLeaguesContent();
+  } catch (error) {
+    setLeagueMessage(error.message);
+  }
+}
+
+window.joinLeagueFromForm = function() {
+  const code = document.getElementById('leagueCodeInput').value;
+  runLeagueAction(
+    () => callLeagueFunction('joinLeague', { code }),
+    ({ name }) => `הצטרפתם לליגה "${name}" 🎉`
+  ).then(() => {
+    document.getElementById('leagueInviteNotice').innerHTML = '';
+  });
+}
+
+window.createLeagueFromForm = function() {
+  const name = document.getElementById('leagueNameInput').value;
+  runLeagueAction(
+    () => callLeagueFunction('createLeague', { name }),
+    ({ name: leagueName, leagueId }) => `הליגה "${leagueName}" נוצרה - קוד ההזמנה: ${leagueId}`
+  ).then(() => {
+    document.getElementById('leagueNameInput').value = '';
+  });
+}
+
+window.leaveLeagueById = function(leagueId) {
+  const league = myLeagues.find(entry => entry.id === leagueId);
+  if (!confirm(`לצאת מהליגה "${league?.name}"?`)) return;
+  runLeagueAction(
+    () => callLeagueFunction('leaveLeague', { leagueId }),
+    () => `יצאתם מהליגה "${league?.name}"`
+  );
+}
+
+// ============================================
+// HEAD-TO-HEAD CHALLENGES (see challenges.js)
+// ============================================
+
+// Plenty for a record per friend, without reading a heavy player's whole history
+const CHALLENGE_QUERY_LIMIT = 200;
+
+let lastFinishedGame = null; // { date, won, mistakes, time, grid } - what a new challenge sends
+let activeChallenge = null; // Opened from a link and not played yet: { id, challengerId, date, result }
+let finishedChallenge = null; // activeChallenge once played, with the player's result as `mine`
+
+// Plays the puzzle a friend's link challenges - the daily game when it's today's
+async function openChallenge(code) {
+  const challenge = decodeChallenge(code);
+  if (!challenge || challenge.date > getPuzzleDate()) {
+    showInfoBanner('קישור האתגר לא תקין - בקשו מהחבר לשלוח אותו שוב', 'warning');
+    return;
+  }
+  
+  await todaysPuzzleLoad;
+  if (challenge.challengerId && db && (await waitForAuth(3000)) && challenge.challengerId === firebaseUserId) {
+    showInfoBanner('זה האתגר ששלחתם - שלחו את הקישור לחברים!');
+    return;
+  }
+  
+  activeChallenge = challenge;
+  if (challenge.date !== getPuzzleDate()) {
+    await loadArchivedPuzzle(challenge.date);
+  } else if (analytics.hasPlayedToday()) {
+    // Today's puzzle already played - the first result is the one that counts
+    const todayStats = analytics.getTodayStats();
+    completeChallenge({
+      date: challenge.date,
+      won: todayStats.won,
+      mistakes: todayStats.mistakes,
+      time: Math.round(todayStats.time),
+      grid: buildEmojiGrid(todayStats.guesses || [])
+    });
+    showChallengeModal();
+    return;
+  }
+  showChallengeBanner(challenge);
+}
+
+function showChallengeBanner(challenge) {
+  let banner = document.getElementById('challengeBanner');
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'challengeBanner';
+    banner.className = 'replay-notice challenge-banner hebrew-text';
+    document.querySelector('.container').prepend(banner);
+  }
+  const { nickname, mistakes, time } = challenge.result;
+  banner.textContent = `⚔️ אתגר מ${nickname} על החידה מ-${formatHebrewDate(challenge.date)}: ${mistakes} טעויות ב-${formatBucketTime(time)}. תצליחו יותר טוב?`;
+}
+
+function hideChallengeBanner() {
+  document.getElementById('challengeBanner')?.remove();
+}
+
+// Called when a game ends - if it was the challenged puzzle, the challenge is done
+function completeChallenge(mine) {
+  if (!activeChallenge || activeChallenge.date !== mine.date) return;
+  finishedChallenge = { ...activeChallenge, mine };
+  activeChallenge = null;
+  hideChallengeBanner();
+  recordChallengeResponse(finishedChallenge);
+}
+
+// Adds the player's result to challenges/{id}, so the challenger sees it in their record.
+// Each player answers a challenge once - firestore.rules refuses a second answer.
+async function recordChallengeResponse(challenge) {
+  if (!challenge.id || !db || !(await waitForAuth(5000))) return;
+  const response = cleanChallengeResult({ nickname: getNickname(), ...challenge.mine });
+  if (!response) return;
+  try {
+    await updateDoc(doc(db, 'challenges', challenge.id), {
+      [`responses.${firebaseUserId}`]: response,
+      responderIds: arrayUnion(firebaseUserId)
+    });
+  } catch (error) {
+    console.log('Could not record challenge result:', error);
+  }
+}
+
+function getChallengeVerdict(challenge) {
+  const outcome = compareChallengeResults(challenge.mine, challenge.result);
+  if (outcome > 0) return `ניצחתם את ${challenge.result.nickname}! 🎉`;
+  if (outcome < 0) return `הפעם הניצחון של ${challenge.result.nickname}`;
+  return 'תיקו!';
+}
+
+function renderChallengeSide(title, result) {
+  return `
+    <div class="challenge-side">
+      <strong>${title}</strong>
+      <div class="challenge-grid">${result.grid}</div>
+      <div>${result.won ? `${result.mistakes} טעויות` : '❌ לא נפתרה'}</div>
+      <div>${result.won ? `⏱️ ${formatBucketTime(result.time)}` : '&nbsp;'}</div>
+    </div>
+  `;
+}
+
+// Both results side by side, in the end-of-game modals of the challenged puzzle
+function renderChallengeComparison() {
+  const challenge = finishedChallenge;
+  if (!challenge || challenge.date !== currentPuzzleDate) return '';
+  return `
+    <div class="challenge-comparison hebrew-text">
+      <h3>⚔️ ${getChallengeVerdict(challenge)}</h3>
+      <div class="challenge-sides">
+        ${renderChallengeSide('אתם', challenge.mine)}
+        ${renderChallengeSide(challenge.result.nickname, challenge.result)}
+      </div>
+    </div>
+  `;
+}
+
+// The comparison on its own, for a challenge on a puzzle the player already finished
+function showChallengeModal() {
+  let modal = document.getElementById('challengeModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'challengeModal';
+    modal.className = 'stats-modal';
+    modal.innerHTML = `
+      <div class="stats-modal-content">
+        <span class="close-modal" onclick="document.getElementById('challengeModal').style.display='none'">&times;</span>
+        <div id="challengeModalBody" class="hebrew-text"></div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.style.display = 'none';
+      }
+    });
+  }
+  
+  document.getElementById('challengeModalBody').innerHTML = `
+    <p class="settings-note">כבר פתרתם את החידה הזו - משווים למשחק הראשון שלכם</p>
+    ${renderChallengeComparison()}
+  `;
+  modal.style.display = 'flex';
+}
+
+// Sends the game that just ended as a link. The challenge document is written in the
+// background - the link works without it, just without a record.
+window.createChallenge = async function(button) {
+  const game = lastFinishedGame;
+  const result = game && cleanChallengeResult({ nickname: getNickname(), ...game });
+  if (!result) {
+    showInfoBanner('לא ניתן ליצור אתגר מהמשחק הזה', 'warning');
+    return;
+  }
+  
+  button.disabled = true;
+  let id = null;
+  if (db && (await waitForAuth(5000))) {
+    const challengeRef = doc(collection(db, 'challenges'));
+    setDoc(challengeRef, {
+      date: game.date,
+      challengerId: firebaseUserId,
+      challenger: result,
+      responderIds: [],
+      responses: {},
+      createdAt: new Date()
+    }).catch(error => console.log('Could not save challenge:', error));
+    id = challengeRef.id;
+  }
+  
+  const link = buildChallengeLink(encodeChallenge({ id, challengerId: id ? firebaseUserId : null, date: game.date, result }));
+  const text = `⚔️ מאתגר אתכם בחיבורים! פתרתי את החידה מ-${formatHebrewDate(game.date)} עם ${result.mistakes} טעויות ב-${formatBucketTime(result.time)}. תצליחו יותר טוב?\n${link}`;
+  copyToClipboard(text)
+    .then(() => { button.textContent = '✅ הקישור הועתק - שלחו לחבר'; })
+    .catch(() => { window.prompt('העתיקו את קישור האתגר:', link); })
+    .finally(() => { button.disabled = false; });
+}
+
+async function fetchMyChallenges() {
+  if (!(await waitForAuth(5000))) return [];
+  const challengesRef = collection(db, 'challenges');
+  const [sent, answered] = await Promise.all([
+    getDocs(query(challengesRef, where('challengerId', '==', firebaseUserId), limit(CHALLENGE_QUERY_LIMIT))),
+    getDocs(query(challengesRef, where('responderIds', 'array-contains', firebaseUserId), limit(CHALLENGE_QUERY_LIMIT)))
+  ]);
+  return [...sent.docs, ...answered.docs].map(docSnap => docSnap.data());
+}
+
+// The head-to-head part of the stats modal: the record against each friend
+async function loadChallengesContent() {
+  const challengesContent = document.getElementById('challengesContent');
+  if (!challengesContent) return;
+  
+  if (!db) {
+    challengesContent.innerHTML = '<p style="text-align: center; color: #666;">Firebase לא מוגדר</p>';
+    return;
+  }
+  
+  let challenges;
+  try {
+    challenges = await fetchMyChallenges();
+  } catch (error) {
+    console.log('Could not load challenges:', error);
+    challengesContent.innerHTML = '<p style="text-align: center; color: #666;">שגיאה בטעינת האתגרים</p>';
+    return;
+  }
+  
+  const records = buildHeadToHead(challenges, firebaseUserId);
+  const waiting = challenges.filter(challenge =>
+    challenge.challengerId === firebaseUserId && challenge.responderIds.length === 0).length;
+  const waitingNote = waiting > 0
+    ? `<p class="settings-note">${waiting === 1 ? 'אתגר אחד עוד מחכה' : `${waiting} אתגרים עוד מחכים`} לתשובה</p>`
+    : '';
+  
+  if (records.length === 0) {
+    challengesContent.innerHTML = `
+      <p class="settings-note">אחרי ניצחון, שלחו לחבר אתגר מחלון הסיום - כאן תראו מי מוביל ביניכם.</p>
+      ${waitingNote}
+    `;
+    return;
+  }
+  
+  challengesContent.innerHTML = `
+    <table class="leaderboard-table">
+      <thead>
+        <tr><th>יריב</th><th>ניצחונות</th><th>הפסדים</th><th>תיקו</th></tr>
+      </thead>
+      <tbody>
+        ${records.map(record => `
+          <tr>
+            <td class="nickname-cell">${record.nickname}</td>
+            <td>${record.wins}</td>
+            <td>${record.losses}</td>
+            <td>${record.ties}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${waitingNote}
+  `;
+}
+
+// ============================================
+// STATS BACKUP - EXPORT & IMPORT (see statsTransfer.js)
+// ============================================
+
+const QR_LIBRARY_URL = 'https://cdn.jsdelivr.net/npm/qrcode-generator@1.4.4/qrcode.js';
+
+// Import checked and waiting for the player to confirm
+let pendingStatsImport = null;
+
+window.showStatsTransferModal = function(linkedCode = null) {
+  let modal = document.getElementById('statsTransferModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'statsTransferModal';
+    modal.className = 'stats-modal';
+    modal.innerHTML = `
+      <div class="stats-modal-content">
+        <span class="close-modal" onclick="document.getElementById('statsTransferModal').style.display='none'">&times;</span>
+        <div class="hebrew-text">
+          <h2>💾 גיבוי והעברת סטטיסטיקות</h2>
+          <p class="settings-note">הסטטיסטיקות שמורות בדפדפן הזה בלבד. שמרו גיבוי, או העבירו אותן למכשיר אחר עם קישור או QR.</p>
+          <fieldset class="settings-group">
+            <legend>ייצוא</legend>
+            <div class="nickname-buttons">
+              <button class="btn btn-secondary" onclick="downloadStatsFile()">📄 הורדת קובץ גיבוי</button>
+              <button class="btn btn-secondary" onclick="showStatsCode()">🔗 קישור ו-QR</button>
+            </div>
+            <div id="statsCodeOutput"></div>
+          </fieldset>
+          <fieldset class="settings-group">
+            <legend>ייבוא</legend>
+            <input type="file" id="statsImportFile" class="stats-transfer-input" accept="application/json,.json" aria-label="קובץ גיבוי">
+            <textarea id="statsImportCode" class="stats-transfer-input" rows="2" placeholder="או הדביקו כאן קישור או קוד"></textarea>
+            <button class="btn btn-primary" onclick="checkStatsImport()">בדיקה</button>
+            <div id="statsImportPreview" role="status"></div>
+          </fieldset>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.style.display = 'none';
+      }
+    });
+  }
+  
+  pendingStatsImport = null;
+  document.getElementById('statsCodeOutput').innerHTML = '';
+  document.getElementById('statsImportPreview').innerHTML = '';
+  document.getElementById('statsImportFile').value = '';
+  document.getElementById('statsImportCode').value = linkedCode || '';
+  modal.style.display = 'flex';
+  
+  if (linkedCode) {
+    checkStatsImport();
+  }
+}
+
+window.downloadStatsFile = function() {
+  const data = buildStatsExport(analytics.getData(), analytics.getArchiveSolvedDates());
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = getStatsFileName();
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+window.showStatsCode = async function() {
+  const output = document.getElementById('statsCodeOutput');
+  const link = buildStatsLink(await encodeStatsCode(analytics.getSyncSnapshot()));
+  output.innerHTML = `
+    <p class="settings-note">פתחו את הקישור במכשיר השני, או סרקו את ה-QR. הקישור כולל את תוצאות המשחקים בלי רשת הניחושים.</p>
+    <input type="text" class="stats-transfer-input" id="statsLinkInput" readonly dir="ltr">
+    <button class="btn btn-secondary" id="copyStatsLinkBtn">📋 העתקת הקישור</button>
+    <div id="statsQrCode" class="stats-qr-code"></div>
+  `;
+  document.getElementById('statsLinkInput').value = link;
+  const copyButton = document.getElementById('copyStatsLinkBtn');
+  copyButton.onclick = () => {
+    copyToClipboard(link)
+      .then(() => { copyButton.textContent = '✅ הקישור הועתק'; })
+      .catch(() => document.getElementById('statsLinkInput').select());
+  };
+  
+  const qrContainer = document.getElementById('statsQrCode');
+  if (link.length > MAX_QR_CODE_LENGTH) {
+    qrContainer.innerHTML = '<p class="settings-note">ההיסטוריה ארוכה מדי ל-QR - השתמשו בקישור או בקובץ הגיבוי</p>';
+    return;
+  }
+  try {
+    await loadQrLibrary();
+    const qr = window.qrcode(0, 'L');
+    qr.addData(link);
+    qr.make();
+    qrContainer.innerHTML = qr.createSvgTag({ cellSize: 3, margin: 4, scalable: true });
+  } catch (error) {
+    console.log('Could not create QR code:', error);
+    qrContainer.innerHTML = '<p class="settings-note">לא ניתן ליצור QR כרגע - השתמשו בקישור</p>';
+  }
+}
+
+function loadQrLibrary() {
+  if (window.qrcode) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = QR_LIBRARY_URL;
+    script.onload = resolve;
+    script.onerror = reject;
+    document.head.appendChild(script);
+  });
 }
 
-// Create victory modal if it doesn't exist
-function createVictoryModal() {
-  const modal = document.createElement('div');
-  modal.id = 'victoryModal';
-  modal.className = 'victory-modal';
-  modal.innerHTML = '<div class="victory-content"></div>';
-  document.body.appendChild(modal);
+window.checkStatsImport = async function() {
+  const preview = document.getElementById('statsImportPreview');
+  const file = document.getElementById('statsImportFile').files[0];
+  const text = file ? await file.text() : document.getElementById('statsImportCode').value;
+  pendingStatsImport = null;
   
-  modal.addEventListener('click', (e) => {
-    if (e.target === modal) {
-      modal.style.display = 'none';
-    }
-  });
+  if (!text.trim()) {
+    preview.innerHTML = '<p class="settings-note">בחרו קובץ גיבוי או הדביקו קישור</p>';
+    return;
+  }
   
-  return modal;
-}
-
-// Share results via WhatsApp
-window.shareResults = function() {
+  const { snapshot, issues } = await readStatsImport(text);
+  if (!snapshot) {
+    preview.innerHTML = `
+      <p>אי אפשר לייבא את הנתונים:</p>
+      <ul>${issues.slice(0, 5).map(issue => `<li>${issue}</li>`).join('')}</ul>
+    `;
+    return;
+  }
+  
+  const result = previewStatsImport(analytics.getSyncSnapshot(), snapshot);
   const stats = analytics.getStats();
-  const timeElapsed = Math.floor((Date.now() - gameStartTime) / 1000);
-  const minutes = Math.floor(timeElapsed / 60);
-  const seconds = timeElapsed % 60;
-  const timeStr = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  if (result.newGames === 0 && result.replacedGames === 0 && result.newArchiveSolved === 0 &&
+      result.totals.maxStreak === stats.maxStreak) {
+    preview.innerHTML = '<p>אין מה לייבא - כל המשחקים כבר שמורים כאן 👍</p>';
+    return;
+  }
   
-  const emoji = mistakesCount === 0 ? '🌟' : mistakesCount <= 2 ? '✨' : '💪';
-  const text = `חיבורים ${emoji}
-טעויות: ${mistakesCount}/4
-זמן: ${timeStr}
-רצף: ${stats.currentStreak} ימים
+  pendingStatsImport = result;
+  const rows = [
+    ['משחקים', stats.gamesPlayed, result.totals.gamesPlayed],
+    ['ניצחונות', analytics.getData().gamesWon, result.totals.gamesWon],
+    ['רצף נוכחי', stats.currentStreak, result.totals.currentStreak],
+    ['רצף מקסימלי', stats.maxStreak, result.totals.maxStreak],
+    ['משחקים מושלמים', stats.perfectGames, result.totals.perfectGames]
+  ];
+  preview.innerHTML = `
+    <ul class="stats-import-summary">
+      <li>${result.newGames} משחקים חדשים</li>
+      ${result.keptGames ? `<li>${result.keptGames} ימים ששוחקו גם כאן - נשאר המשחק ששוחק קודם</li>` : ''}
+      ${result.replacedGames ? `<li>${result.replacedGames} ימים יוחלפו במשחק מהגיבוי, שהסתיים קודם</li>` : ''}
+      ${result.newArchiveSolved ? `<li>${result.newArchiveSolved} פאזלים שנפתרו בארכיון</li>` : ''}
+    </ul>
+    <table class="stats-import-table">
+      <tr><th></th><th>עכשיו</th><th>אחרי הייבוא</th></tr>
+      ${rows.map(([label, before, after]) => `<tr><td>${label}</td><td>${before}</td><td>${after}</td></tr>`).join('')}
+    </table>
+    <button class="btn btn-primary" onclick="applyStatsImport()">✅ ייבוא</button>
+  `;
+}
 
-🔗 https://omry777.github.io/connectionsio/`;
+window.applyStatsImport = function() {
+  if (!pendingStatsImport) return;
+  analytics.applySyncSnapshot(pendingStatsImport.merged);
+  pendingStatsImport = null;
+  updateStatsDisplay();
+  syncAccountStats();
   
-  // Open WhatsApp with the share text
-  const whatsappUrl = `https://wa.me/?text=${encodeURIComponent(text)}`;
-  window.open(whatsappUrl, '_blank');
+  document.getElementById('statsImportPreview').innerHTML = '<p>הסטטיסטיקות יובאו בהצלחה 🎉</p>';
+  if (document.getElementById('statsModal')?.style.display === 'flex') {
+    updateStatsModalContent();
+  }
 }
 
-// Show statistics modal
-window.showStatsModal = function() {
-  const modal = document.getElementById('statsModal') || createStatsModal();
-  updateStatsModalContent();
-  modal.style.display = 'flex';
+// ============================================
+// STATS CHARTS (see statsCharts.js)
+// ============================================
+
+const HEAT_LEVEL_LABELS = {
+  m0: 'בלי טעויות',
+  m1: 'טעות אחת',
+  m2: '2 טעויות',
+  m3: '3 טעויות ומעלה',
+  lost: 'הפסד',
+  empty: 'לא שוחק'
+};
+
+let trendDays = 30; // Window of the win rate trend: 30 or 90 days
+
+// Every day since the first game, a column per week, shaded by mistakes
+function renderHeatmap(history) {
+  const weeks = buildHeatmapWeeks(history, getPuzzleDate());
+  if (weeks.length === 0) return '';
+  
+  return `
+    <h3 class="hebrew-text">📅 לוח המשחקים</h3>
+    <div class="heatmap-scroll">
+      <div class="heatmap" role="img" aria-label="לוח שנה של ${Object.keys(history).length} ימי משחק">
+        ${weeks.map(week => week.map(day => day
+          ? `<div class="heatmap-day heat-${day.level}" title="${formatHebrewDate(day.date)}: ${HEAT_LEVEL_LABELS[day.level]}"></div>`
+          : '<div class="heatmap-day"></div>').join('')).join('')}
+      </div>
+    </div>
+    <div class="heatmap-legend hebrew-text">
+      ${['m0', 'm1', 'm2', 'm3', 'lost'].map(level => `
+        <span><span class="heatmap-day heat-${level}"></span> ${HEAT_LEVEL_LABELS[level]}</span>
+      `).join('')}
+    </div>
+  `;
 }
 
-// Create stats modal
-function createStatsModal() {
-  const modal = document.createElement('div');
-  modal.id = 'statsModal';
-  modal.className = 'stats-modal';
-  modal.innerHTML = `
-    <div class="stats-modal-content">
-      <span class="close-modal" onclick="document.getElementById('statsModal').style.display='none'">&times;</span>
-      <div id="statsModalBody"></div>
+function renderTimeHistogram(history) {
+  const buckets = buildTimeHistogram(history);
+  const largest = Math.max(...buckets.map(bucket => bucket.count));
+  if (largest === 0) return '';
+  
+  return `
+    <h3 class="hebrew-text">⏱️ זמני פתרון</h3>
+    <div class="distribution-chart hebrew-text">
+      ${buckets.map(bucket => `
+        <div class="distribution-row">
+          <div class="distribution-label">${bucket.label}</div>
+          <div class="distribution-bar">
+            <div class="bar-fill" style="width: ${bucket.count / largest * 100}%">${bucket.count}</div>
+          </div>
+        </div>
+      `).join('')}
     </div>
   `;
-  document.body.appendChild(modal);
+}
+
+// 7-day win rate for each of the last 30/90 days, newest on the left (RTL)
+function renderWinRateTrend(history) {
+  const today = getPuzzleDate();
+  const points = buildWinRateTrend(history, today, trendDays);
+  const recentRate = getRecentWinRate(history, today, trendDays);
+  const width = 300;
+  const height = 80;
+  const step = width / (points.length - 1);
   
-  modal.addEventListener('click', (e) => {
-    if (e.target === modal) {
-      modal.style.display = 'none';
+  let path = '';
+  let drawing = false;
+  points.forEach((point, i) => {
+    if (point.rate === null) {
+      drawing = false;
+      return;
     }
+    path += `${drawing ? 'L' : 'M'}${(width - i * step).toFixed(1)},${(height - point.rate * height).toFixed(1)} `;
+    drawing = true;
   });
   
-  return modal;
+  return `
+    <h3 class="hebrew-text">📈 מגמת הצלחה</h3>
+    <div class="trend-toggle hebrew-text">
+      ${[30, 90].map(days => `
+        <button class="btn btn-sm ${days === trendDays ? 'btn-primary' : 'btn-secondary'}" onclick="setTrendDays(${days})" aria-pressed="${days === trendDays}">${days} ימים</button>
+      `).join('')}
+    </div>
+    ${recentRate === null
+      ? '<p class="settings-note hebrew-text">לא שיחקתם בתקופה הזו</p>'
+      : `
+        <p class="hebrew-text">${Math.round(recentRate * 100)}% ניצחונות ב-${trendDays} הימים האחרונים</p>
+        <svg class="trend-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" aria-hidden="true">
+          <line class="trend-grid" x1="0" y1="${height / 2}" x2="${width}" y2="${height / 2}"></line>
+          <path class="trend-line" d="${path}"></path>
+        </svg>
+      `}
+  `;
 }
 
-// Update stats modal content
-async function updateStatsModalContent() {
-  const stats = analytics.getStats();
-  const distribution = analytics.getResultsDistribution();
-  const recentGames = analytics.getRecentGames();
+window.setTrendDays = function(days) {
+  trendDays = days;
+  document.getElementById('winRateTrend').innerHTML = renderWinRateTrend(analytics.getStats().history);
+}
+
+// Which colours the player tends to find first, and which they miss
+function renderColorStats(history) {
+  const colors = buildColorStats(history);
+  if (colors.length === 0) return '';
+  const percent = (count, total) => total > 0 ? `${Math.round(count / total * 100)}%` : '-';
   
-  const modalBody = document.getElementById('statsModalBody');
-  modalBody.innerHTML = `
-    <h2 class="hebrew-text">הסטטיסטיקות שלך 📊</h2>
-    <div class="stats-grid hebrew-text">
-      <div class="stat-box">
-        <div class="stat-number">${stats.gamesPlayed}</div>
-        <div class="stat-title">משחקים</div>
-      </div>
-      <div class="stat-box">
-        <div class="stat-number">${stats.winRate}%</div>
-        <div class="stat-title">אחוז הצלחה</div>
-      </div>
-      <div class="stat-box">
-        <div class="stat-number">${stats.currentStreak}</div>
-        <div class="stat-title">רצף נוכחי</div>
-      </div>
-      <div class="stat-box">
-        <div class="stat-number">${stats.maxStreak}</div>
-        <div class="stat-title">רצף מקסימלי</div>
-      </div>
-      <div class="stat-box">
-        <div class="stat-number">${stats.averageMistakes}</div>
-        <div class="stat-title">ממוצע טעויות</div>
-      </div>
-      <div class="stat-box">
-        <div class="stat-number">${stats.perfectGames}</div>
-        <div class="stat-title">משחקים מושלמים</div>
-      </div>
+  return `
+    <h3 class="hebrew-text">🎨 לפי צבע קבוצה</h3>
+    <table class="color-stats-table hebrew-text">
+      <tr><th>צבע</th><th>נמצאה ראשונה</th><th>מיקום ממוצע</th><th>לא נמצאה</th></tr>
+      ${colors.map(color => {
+        const games = color.found + color.missed;
+        return `
+          <tr>
+            <td>${getTileEmoji(color.color, GROUP_COLORS.indexOf(color.color))}</td>
+            <td>${percent(color.foundFirst, games)}</td>
+            <td>${color.averagePosition === null ? '-' : color.averagePosition.toFixed(1)}</td>
+            <td>${percent(color.missed, games)}</td>
+          </tr>
+        `;
+      }).join('')}
+    </table>
+  `;
+}
+
+// Freeze balance and its latest events (see streakFreeze.js)
+function renderStreakFreezes({ tokens, earned, used }) {
+  const events = [
+    ...earned.map(date => ({ date, text: 'הרווחתם הקפאה' })),
+    ...used.map(date => ({ date, text: 'הקפאה שמרה על הרצף' }))
+  ].sort((a, b) => b.date.localeCompare(a.date)).slice(0, 5);
+  
+  return `
+    <div class="streak-freeze-section hebrew-text">
+      <div class="streak-freeze-balance">🧊 הקפאות רצף: <strong>${tokens}/${STREAK_FREEZE_CONFIG.maxTokens}</strong></div>
+      <p class="settings-note">על כל ${STREAK_FREEZE_CONFIG.earnEvery} ימים ברצף מקבלים הקפאה. יום שמפספסים משתמש בהקפאה אוטומטית, והרצף ממשיך.</p>
+      ${events.length > 0 ? `
+        <ul class="streak-freeze-history">
+          ${events.map(event => `<li>${formatHebrewDate(event.date)} - ${event.text}</li>`).join('')}
+        </ul>
+      ` : ''}
     </div>
-    
-    <h3 class="hebrew-text">התפלגות תוצאות</h3>
-    <div class="distribution-chart hebrew-text">
-      ${[0, 1, 2, 3, 4].map(i => `
-        <div class="distribution-row">
-          <div class="distribution-label">${i} טעויות</div>
-          <div class="distribution-bar">
-            <div class="bar-fill" style="width: ${stats.gamesPlayed > 0 ? (distribution[i] / stats.gamesPlayed * 100) : 0}%">
-              ${distribution[i]}
-            </div>
-          </div>
+  `;
+}
+
+// Every badge - earned ones with their date, locked ones with what it takes
+function renderAchievementGallery() {
+  const gallery = achievements.getGallery();
+  const unlockedCount = gallery.filter(achievement => achievement.unlockedAt).length;
+  return `
+    <h3 class="hebrew-text">🏅 הישגים (${unlockedCount}/${ACHIEVEMENTS.length})</h3>
+    <div class="achievement-gallery hebrew-text">
+      ${gallery.map(achievement => `
+        <div class="achievement-badge ${achievement.unlockedAt ? 'unlocked' : 'locked'}" title="${achievement.description}">
+          <div class="achievement-icon" aria-hidden="true">${achievement.unlockedAt ? achievement.icon : '🔒'}</div>
+          <div class="achievement-title">${achievement.title}</div>
+          <div class="achievement-description">${achievement.unlockedAt
+            ? formatHebrewDate(achievement.unlockedAt)
+            : achievement.description}</div>
         </div>
       `).join('')}
-      <div class="distribution-row">
-        <div class="distribution-label">נכשל</div>
-        <div class="distribution-bar">
-          <div class="bar-fill failed" style="width: ${stats.gamesPlayed > 0 ? (distribution.failed / stats.gamesPlayed * 100) : 0}%">
-            ${distribution.failed}
-          </div>
-        </div>
-      </div>
-    </div>
-    
-    <div id="globalStatsSection" class="global-stats-section hebrew-text">
-      <h3>📈 סטטיסטיקות גלובליות - היום</h3>
-      <div id="globalStatsContent">טוען...</div>
     </div>
-    
-    <div id="leaderboardSection" class="leaderboard-section hebrew-text">
-      <h3>🏆 טבלת המובילים היום</h3>
-      <div id="leaderboardContent">טוען...</div>
+  `;
+}
+
+// Load and render leaderboard content
+const LEADERBOARD_PERIOD_LABELS = { today: 'היום', week: 'השבוע', month: 'החודש', all: 'כל הזמנים' };
+const LEADERBOARD_METRIC_LABELS = { points: 'ניקוד', wins: 'ניצחונות', perfectGames: 'בלי טעויות', longestStreak: 'רצף' };
+let leaderboardPeriod = 'today'; // 'today' or one of LEADERBOARD_PERIODS
+let leaderboardMetric = 'points'; // Ranking of the period boards
+
+function renderLeaderboardTabs() {
+  const tab = (label, active, onclick) => `
+    <button class="btn btn-sm ${active ? 'btn-primary' : 'btn-secondary'}" onclick="${onclick}" aria-pressed="${active}">${label}</button>
+  `;
+  return `
+    <div class="leaderboard-tabs">
+      ${['today', ...LEADERBOARD_PERIODS].map(period =>
+        tab(LEADERBOARD_PERIOD_LABELS[period], period === leaderboardPeriod, `setLeaderboardPeriod('${period}')`)).join('')}
     </div>
+    ${leaderboardPeriod !== 'today' ? `
+      <div class="leaderboard-tabs leaderboard-metrics">
+        ${LEADERBOARD_METRICS.map(metric =>
+          tab(LEADERBOARD_METRIC_LABELS[metric], metric === leaderboardMetric, `setLeaderboardMetric('${metric}')`)).join('')}
+      </div>
+    ` : ''}
   `;
-  
-  // Load data asynchronously after modal content is created
-  loadGlobalStatsContent();
+}
+
+function refreshLeaderboard() {
+  document.getElementById('leaderboardTabs').innerHTML = renderLeaderboardTabs();
+  document.getElementById('leaderboardContent').innerHTML = 'טוען...';
   loadLeaderboardContent();
 }
 
-// Load and render leaderboard content
+window.setLeaderboardPeriod = function(period) {
+  leaderboardPeriod = period;
+  refreshLeaderboard();
+}
+
+window.setLeaderboardMetric = function(metric) {
+  leaderboardMetric = metric;
+  refreshLeaderboard();
+}
+
+function getLeaderboardMedal(rank) {
+  if (rank === 1) return '🥇';
+  if (rank === 2) return '🥈';
+  if (rank === 3) return '🥉';
+  return rank;
+}
+
 async function loadLeaderboardContent() {
+  if (leaderboardPeriod !== 'today') {
+    await loadPeriodLeaderboardContent(leaderboardPeriod, leaderboardMetric);
+    return;
+  }
+  
   const leaderboard = await loadTodayLeaderboard();
   const leaderboardContent = document.getElementById('leaderboardContent');
   
-  if (!leaderboardContent) return;
+  if (!leaderboardContent || leaderboardPeriod !== 'today') return;
   
   if (leaderboard.length === 0) {
     leaderboardContent.innerHTML = '<p style="text-align: center; color: #666;">אין עדיין תוצאות להיום</p>';
     return;
   }
   
-  const getMedal = (rank) => {
-    if (rank === 1) return '🥇';
-    if (rank === 2) return '🥈';
-    if (rank === 3) return '🥉';
-    return rank;
-  };
-  
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -1011,14 +3166,61 @@ async function loadLeaderboardContent() {
       <tbody>
         ${leaderboard.map(entry => `
           <tr class="${entry.rank <= 3 ? 'rank-' + entry.rank : ''} ${entry.isCurrentUser ? 'current-user' : ''}">
-            <td><span class="medal">${getMedal(entry.rank)}</span></td>
-            <td class="nickname-cell">${entry.nickname}${entry.isCurrentUser ? ' <small>(אתה!)</small>' : ''}</td>
+            <td><span class="medal">${getLeaderboardMedal(entry.rank)}</span></td>
+            <td class="nickname-cell">${entry.nickname}${renderLeaderboardBadge(entry.badge)}${entry.hintsUsed > 0 ? ` <span class="hint-marker" title="השתמש ב-${entry.hintsUsed} רמזים">💡${entry.hintsUsed}</span>` : ''}${entry.isCurrentUser ? ' <small>(אתה!)</small>' : ''}</td>
             <td>${entry.mistakes}</td>
             <td>${formatTime(entry.time)}</td>
           </tr>
         `).join('')}
       </tbody>
     </table>
+    ${renderBadgeNote(leaderboard)}
+  `;
+}
+
+// Week, month or all-time board ranked by one metric. The player's own row is added
+// under the top 10 when they're further down.
+async function loadPeriodLeaderboardContent(period, metric) {
+  const { entries, currentUserEntry } = await loadPeriodLeaderboard(period, metric);
+  const leaderboardContent = document.getElementById('leaderboardContent');
+  
+  // The player may have switched tabs while this loaded
+  if (!leaderboardContent || period !== leaderboardPeriod || metric !== leaderboardMetric) return;
+  
+  if (entries.length === 0) {
+    leaderboardContent.innerHTML = `<p style="text-align: center; color: #666;">אין עדיין תוצאות ל${LEADERBOARD_PERIOD_LABELS[period]}</p>`;
+    return;
+  }
+  
+  const renderRow = entry => `
+    <tr class="${entry.rank <= 3 ? 'rank-' + entry.rank : ''} ${entry.isCurrentUser ? 'current-user' : ''}">
+      <td><span class="medal">${getLeaderboardMedal(entry.rank)}</span></td>
+      <td class="nickname-cell">${entry.nickname}${renderLeaderboardBadge(entry.badge)}${entry.isCurrentUser ? ' <small>(אתה!)</small>' : ''}</td>
+      <td><strong>${entry[metric]}</strong></td>
+      <td>${entry.wins}/${entry.games}</td>
+    </tr>
+  `;
+  
+  leaderboardContent.innerHTML = `
+    <table class="leaderboard-table">
+      <thead>
+        <tr>
+          <th>דירוג</th>
+          <th>שם</th>
+          <th>${LEADERBOARD_METRIC_LABELS[metric]}</th>
+          <th>ניצחונות</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${entries.map(renderRow).join('')}
+        ${currentUserEntry ? `
+          <tr class="leaderboard-gap"><td colspan="4">⋯</td></tr>
+          ${renderRow(currentUserEntry)}
+        ` : ''}
+      </tbody>
+    </table>
+    ${metric === 'points' ? `<p class="settings-note">כל ניצחון שווה עד ${DAILY_WIN_POINTS} נקודות - פחות לפי הזמן, הטעויות והרמזים</p>` : ''}
+    ${renderBadgeNote([...entries, currentUserEntry])}
   `;
 }
 
@@ -1033,7 +3235,7 @@ async function loadGlobalStatsContent() {
   }
   
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getPuzzleDate();
     const statsRef = doc(db, 'dailyStats', today);
     const statsSnap = await getDoc(statsRef);
     
@@ -1115,12 +3317,56 @@ function showAlreadyPlayedMessage(todayStats) {
       </button>
       ${shareButton}
     </div>
+    ${renderNextPuzzleCountdown()}
   `;
   document.querySelector('.container').prepend(message);
+  startNextPuzzleCountdown();
+}
+
+// Countdown to the next daily puzzle (midnight in the puzzle timezone)
+let nextPuzzleCountdownInterval = null;
+
+function formatCountdown(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return [hours, minutes, seconds].map(n => n.toString().padStart(2, '0')).join(':');
+}
+
+function renderNextPuzzleCountdown() {
+  return `
+    <div class="next-puzzle-countdown hebrew-text">
+      ⏰ החידה הבאה בעוד <span class="countdown-time">${formatCountdown(getTimeUntilNextPuzzle())}</span>
+    </div>
+  `;
+}
+
+// Tick every visible countdown once a second until the new puzzle is out
+function startNextPuzzleCountdown() {
+  if (nextPuzzleCountdownInterval) return;
+  
+  nextPuzzleCountdownInterval = setInterval(() => {
+    const remaining = getTimeUntilNextPuzzle();
+    document.querySelectorAll('.countdown-time').forEach(el => {
+      el.textContent = formatCountdown(remaining);
+    });
+    
+    if (remaining === 0) {
+      clearInterval(nextPuzzleCountdownInterval);
+      nextPuzzleCountdownInterval = null;
+      document.querySelectorAll('.next-puzzle-countdown').forEach(el => {
+        el.innerHTML = `
+          🎉 חידה חדשה זמינה!
+          <button class="btn btn-light btn-sm" onclick="location.reload()">🔄 לחידה החדשה</button>
+        `;
+      });
+    }
+  }, 1000);
 }
 
 // Show solutions from the already played message (without removing the message)
-window.showSolutionsFromMessage = function() {
+window.showSolutionsFromMessage = async function() {
   // Check if solutions are already revealed to prevent duplicates
   const revealedGroups = document.getElementById('revealed-groups');
   if (revealedGroups && revealedGroups.children.length > 0) {
@@ -1130,7 +3376,7 @@ window.showSolutionsFromMessage = function() {
   }
   
   // Reveal all groups
-  revealRemainingGroups();
+  await revealRemainingGroups();
   
   // Clear the grid to show only the revealed groups
   const grid = document.getElementById('grid');
@@ -1175,96 +3421,163 @@ function copyToClipboard(text) {
 // Share results from the already played message via WhatsApp
 window.shareResultsFromMessage = function(mistakes, timeStr) {
   const stats = analytics.getStats();
-  const emoji = mistakes === 0 ? '🌟' : mistakes <= 2 ? '✨' : '💪';
-  const text = `חיבורים ${emoji}
-טעויות: ${mistakes}/4
-זמן: ${timeStr}
-רצף: ${stats.currentStreak} ימים
+  const todayStats = analytics.getTodayStats();
+  const text = buildShareText(mistakes, timeStr, stats.currentStreak, todayStats?.guesses);
+  
+  // Open WhatsApp with the share text
+  const whatsappUrl = `https://wa.me/?text=${encodeURIComponent(text)}`;
+  window.open(whatsappUrl, '_blank');
+}
+
+// Wait for Firebase Auth to be ready (with timeout)
+async function waitForAuth(maxWaitMs = 5000) {
+  if (firebaseUserId) return true;
+  
+  const startTime = Date.now();
+  while (!firebaseUserId && (Date.now() - startTime) < maxWaitMs) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return !!firebaseUserId;
+}
+
+// Update global statistics in Firebase
+async function updateGlobalStats(won, mistakes, timeElapsed = 0) {
+  if (!db) {
+    console.log('Firebase not configured - skipping global stats update');
+    return;
+  }
+  
+  await sendResultWrite('globalStats', {
+    date: currentPuzzleDate,
+    won,
+    mistakes,
+    timeElapsed,
+    finishedAt: Date.now()
+  });
+}
+
+// Save individual user game result to Firebase. Only the guesses are sent - won, mistakes,
+// time and score (with the hints getPuzzleHint recorded) are worked out by submitDailyResult.
+async function saveUserGameResult(guesses = []) {
+  if (!db) {
+    console.log('Firebase not configured - skipping user stats save');
+    return;
+  }
+  
+  const finishedAt = Date.now();
+  await sendResultWrite('userGameResult', {
+    date: currentPuzzleDate,
+    nickname: getNickname() || 'אנונימי',
+    guesses,
+    finishedAt
+  });
+}
+
+// Let the server clock the daily game from when it was first opened (see startDailyGame)
+async function recordDailyStart(date) {
+  if (!functions || !await waitForAuth(5000)) return;
+  
+  try {
+    await httpsCallable(functions, 'startDailyGame')({ date });
+  } catch (error) {
+    console.log('Could not record game start:', error);
+  }
+}
 
-🔗 https://omry777.github.io/connectionsio/`;
+// Result writes go through the IndexedDB outbox (offline.js): stored first, then sent,
+// and removed once Firestore has them. Anything unsent is replayed when the connection
+// or anonymous auth comes back. Payloads carry their own date so a late replay still
+// lands on the day the game was played.
+const resultWriters = {
+  globalStats: writeGlobalStats,
+  userGameResult: writeUserGameResult
+};
+
+async function sendResultWrite(type, payload) {
+  try {
+    await queueWrite(type, payload);
+  } catch (error) {
+    // No IndexedDB (e.g. private mode) - try once directly
+    console.log('Outbox unavailable, writing directly:', error);
+    try {
+      await resultWriters[type](payload);
+    } catch (writeError) {
+      console.log(`Could not write ${type}:`, writeError);
+    }
+    return;
+  }
   
-  // Open WhatsApp with the share text
-  const whatsappUrl = `https://wa.me/?text=${encodeURIComponent(text)}`;
-  window.open(whatsappUrl, '_blank');
+  if (!navigator.onLine) {
+    showInfoBanner('אין חיבור לאינטרנט - התוצאה תישלח כשהחיבור יחזור');
+  }
+  await replayOutbox();
 }
 
-// Wait for Firebase Auth to be ready (with timeout)
-async function waitForAuth(maxWaitMs = 5000) {
-  if (firebaseUserId) return true;
+async function replayOutbox() {
+  if (!db || !navigator.onLine) return;
   
-  const startTime = Date.now();
-  while (!firebaseUserId && (Date.now() - startTime) < maxWaitMs) {
-    await new Promise(resolve => setTimeout(resolve, 100));
+  const sent = await flushOutbox(resultWriters);
+  if (sent > 0) {
+    console.log(`Sent ${sent} queued result write(s)`);
   }
-  return !!firebaseUserId;
 }
 
-// Update global statistics in Firebase
-async function updateGlobalStats(won, mistakes, timeElapsed = 0) {
-  if (!db) {
-    console.log('Firebase not configured - skipping global stats update');
-    return;
+async function writeGlobalStats({ date, won, mistakes, timeElapsed, finishedAt }) {
+  // Rules require request.auth != null
+  if (!await waitForAuth(5000)) {
+    throw new Error('Auth not ready');
   }
   
-  // Wait for auth (rules require request.auth != null)
-  const authReady = await waitForAuth(5000);
-  if (!authReady) {
-    console.log('Auth timeout - could not update global stats');
-    return;
-  }
+  // The marker makes a replay safe: once this player is counted for the day, the rules
+  // refuse the whole batch (a write that landed but whose reply was lost comes back here)
+  const batch = writeBatch(db);
+  batch.set(doc(db, 'dailyStats', date), {
+    totalPlays: increment(1),
+    totalWins: increment(won ? 1 : 0),
+    totalMistakes: increment(mistakes),
+    totalTime: increment(timeElapsed),
+    lastUpdated: new Date(finishedAt),
+    ...buildHistogramUpdate({ won, mistakes, timeElapsed }, increment)
+  }, { merge: true });
+  const markerRef = doc(db, 'dailyStats', date, 'players', firebaseUserId);
+  batch.set(markerRef, {});
   
   try {
-    const today = new Date().toISOString().split('T')[0];
-    const statsRef = doc(db, 'dailyStats', today);
-    
-    await setDoc(statsRef, {
-      totalPlays: increment(1),
-      totalWins: increment(won ? 1 : 0),
-      totalMistakes: increment(mistakes),
-      totalTime: increment(timeElapsed),
-      lastUpdated: new Date()
-    }, { merge: true });
+    await batch.commit();
     console.log('Global stats updated successfully');
   } catch (error) {
-    console.log('Could not update global stats:', error);
+    // Only a refusal because of the marker means the game is in - anything else stays queued
+    if (error.code === 'permission-denied' && (await getDoc(markerRef)).exists()) {
+      console.log('Game was already counted in global stats');
+      return; // Drop it from the outbox
+    }
+    throw error;
   }
 }
 
-// Save individual user game result to Firebase
-async function saveUserGameResult(won, mistakes, timeElapsed) {
-  if (!db) {
-    console.log('Firebase not configured - skipping user stats save');
-    return;
-  }
-  
-  // Wait for auth to complete (up to 5 seconds)
-  const authReady = await waitForAuth(5000);
-  if (!authReady) {
-    console.log('Auth timeout - could not save user stats');
-    return;
+// Errors that mean the server will never accept this result - retrying can't help
+const REJECTED_RESULT_CODES = ['functions/invalid-argument', 'functions/failed-precondition', 'functions/not-found'];
+
+async function writeUserGameResult({ date, nickname, guesses }) {
+  if (!await waitForAuth(5000)) {
+    throw new Error('Auth not ready');
   }
   
+  // The function replays the guesses and writes userDailyGames/{uid}/days/{date} -
+  // security rules reject scores written from the browser
   try {
-    const today = new Date().toISOString().split('T')[0];
-    // Path: userDailyGames/{uid}/days/{date} - matches security rules
-    const userGameRef = doc(db, 'userDailyGames', firebaseUserId, 'days', today);
-    
-    const nickname = getNickname() || 'אנונימי';
-    
-    await setDoc(userGameRef, {
-      date: today,
-      odataUri: firebaseUserId,
-      nickname: nickname,
-      won: won,
-      mistakes: mistakes,
-      timeElapsed: timeElapsed,
-      timestamp: new Date(),
-      // Calculate score: lower is better (mistakes * 100 + time)
-      score: (mistakes * 500) + timeElapsed
+    const { data } = await httpsCallable(functions, 'submitDailyResult')({
+      date,
+      nickname,
+      guesses: guesses.map(entry => entry.words)
     });
-    console.log('User game result saved successfully to:', userGameRef.path);
+    console.log(data.alreadyRecorded ? 'Result was already recorded:' : 'Verified result saved:', data);
   } catch (error) {
-    console.log('Could not save user game result:', error);
+    if (REJECTED_RESULT_CODES.includes(error.code)) {
+      console.log('Result rejected by the server:', error.message);
+      return; // Drop it from the outbox
+    }
+    throw error;
   }
 }
 
@@ -1297,7 +3610,7 @@ async function updateLiveCounter() {
   if (!db) return;
   
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getPuzzleDate();
     const statsRef = doc(db, 'dailyStats', today);
     const statsSnap = await getDoc(statsRef);
     
@@ -1324,7 +3637,7 @@ async function loadTodayLeaderboard() {
   }
   
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getPuzzleDate();
     // Use collectionGroup to query across all users' "days" subcollections
     const daysRef = collectionGroup(db, 'days');
     const q = query(
@@ -1351,21 +3664,24 @@ async function loadTodayLeaderboard() {
         mistakes: data.mistakes,
         time: data.timeElapsed,
         score: data.score,
+        hintsUsed: data.hintsUsed || 0,
         fallbackNickname: data.nickname || 'אנונימי' // Use as fallback
       });
     });
     
-    // Fetch nicknames from users collection (centralized)
-    const nicknameMap = await fetchNicknames(Array.from(userIds));
+    // Fetch nicknames and badges from users collection (centralized)
+    const profileMap = await fetchProfiles(Array.from(userIds));
     
     // Build final leaderboard with centralized nicknames
     const leaderboard = entries.map((entry, index) => ({
       rank: index + 1,
       odataUri: entry.odataUri,
-      nickname: nicknameMap[entry.odataUri] || entry.fallbackNickname,
+      nickname: profileMap[entry.odataUri]?.nickname || entry.fallbackNickname,
+      badge: profileMap[entry.odataUri]?.badge || null,
       mistakes: entry.mistakes,
       time: entry.time,
       score: entry.score,
+      hintsUsed: entry.hintsUsed,
       isCurrentUser: entry.odataUri === firebaseUserId
     }));
     
@@ -1376,11 +3692,48 @@ async function loadTodayLeaderboard() {
   }
 }
 
-// Fetch nicknames from users collection
-async function fetchNicknames(userIds) {
-  const nicknameMap = {};
+// Top 10 of a period board (leaderboards/{periodId}/players, kept by submitDailyResult).
+// A player outside it gets their rank from a count of the players ahead of them.
+async function loadPeriodLeaderboard(period, metric) {
+  if (!db) {
+    return { entries: [], currentUserEntry: null };
+  }
+  
+  try {
+    const playersRef = collection(db, 'leaderboards', getLeaderboardPeriodId(period, getPuzzleDate()), 'players');
+    const snapshot = await getDocs(query(playersRef, orderBy(metric, 'desc'), limit(10)));
+    const entries = snapshot.docs.map((docSnap, index) => ({ rank: index + 1, odataUri: docSnap.id, ...docSnap.data() }));
+    
+    let currentUserEntry = null;
+    if (firebaseUserId && !entries.some(entry => entry.odataUri === firebaseUserId)) {
+      const ownSnap = await getDoc(doc(playersRef, firebaseUserId));
+      if (ownSnap.exists()) {
+        const own = ownSnap.data();
+        const ahead = await getCountFromServer(query(playersRef, where(metric, '>', own[metric])));
+        currentUserEntry = { rank: ahead.data().count + 1, odataUri: firebaseUserId, ...own };
+      }
+    }
+    
+    const allEntries = currentUserEntry ? [...entries, currentUserEntry] : entries;
+    const profileMap = await fetchProfiles(allEntries.map(entry => entry.odataUri));
+    allEntries.forEach(entry => {
+      entry.nickname = profileMap[entry.odataUri]?.nickname || entry.nickname || 'אנונימי';
+      entry.badge = profileMap[entry.odataUri]?.badge || null;
+      entry.isCurrentUser = entry.odataUri === firebaseUserId;
+    });
+    
+    return { entries, currentUserEntry };
+  } catch (error) {
+    console.log('Could not load period leaderboard:', error);
+    return { entries: [], currentUserEntry: null };
+  }
+}
+
+// Fetch nicknames and leaderboard badges from users collection
+async function fetchProfiles(userIds) {
+  const profileMap = {};
   
-  if (!db || userIds.length === 0) return nicknameMap;
+  if (!db || userIds.length === 0) return profileMap;
   
   try {
     // Fetch each user's nickname (Firebase doesn't support "in" query for doc IDs easily)
@@ -1389,7 +3742,8 @@ async function fetchNicknames(userIds) {
         const userRef = doc(db, 'users', odataUri);
         const userSnap = await getDoc(userRef);
         if (userSnap.exists()) {
-          nicknameMap[odataUri] = userSnap.data().nickname;
+          const { nickname, badge } = userSnap.data();
+          profileMap[odataUri] = { nickname, badge };
         }
       } catch (e) {
         // Ignore individual failures
@@ -1398,10 +3752,24 @@ async function fetchNicknames(userIds) {
     
     await Promise.all(promises);
   } catch (error) {
-    console.log('Could not fetch nicknames:', error);
+    console.log('Could not fetch profiles:', error);
   }
   
-  return nicknameMap;
+  return profileMap;
+}
+
+// Under a board that shows badges, so nobody takes them for verified results
+function renderBadgeNote(entries) {
+  return entries.some(entry => entry && getAchievement(entry.badge))
+    ? '<p class="settings-note">🏅 תגי ההישגים מדווחים על ידי השחקנים ולא נבדקים בשרת</p>'
+    : '';
+}
+
+// Badge ids come from other players' profiles - only known ones are shown, and as
+// self-reported: nothing on the server checks that the achievement was earned
+function renderLeaderboardBadge(badgeId) {
+  const achievement = badgeId && getAchievement(badgeId);
+  return achievement ? ` <span class="leaderboard-badge" title="${achievement.title} (מדווח על ידי השחקן, לא מאומת)">${achievement.icon}</span>` : '';
 }
 
 // Load global statistics from Firebase
@@ -1416,7 +3784,7 @@ async function loadGlobalStats() {
   }
   
   try {
-    const today = new Date().toISOString().split('T')[0];
+    const today = getPuzzleDate();
     const statsRef = doc(db, 'dailyStats', today);
     const statsSnap = await getDoc(statsRef);
     
@@ -1469,7 +3837,7 @@ async function loadGlobalStats() {
 }
 
 // Initialize Firebase
-let app, db, auth;
+let app, db, auth, functions;
 try {
   // Access firebaseConfig from window object (loaded via script tag)
   const config = window.firebaseConfig;
@@ -1477,18 +3845,31 @@ try {
     app = initializeApp(config);
     db = getFirestore(app);
     auth = getAuth(app);
-    signInAnonymously(auth).catch((err) => {
-      console.error("Anon auth failed", err);
-    });
+    functions = getFunctions(app);
     
+    // No saved session (first visit or signed out): play as an anonymous user.
+    // A signed-in Google/email session is kept - signing in anonymously would replace it.
     onAuthStateChanged(auth, (user) => {
       if (user) {
         firebaseUserId = user.uid;
         console.log("Firebase Auth UID:", firebaseUserId);
+        replayOutbox(); // Results finished while signed out / offline
+        syncAccountStats();
       } else {
         firebaseUserId = null;
         console.log("Signed out");
+        signInAnonymously(auth).catch((err) => console.error("Anon auth failed", err));
+      }
+      renderAccountSection();
+    });
+    
+    // Back online: finish the anonymous sign-in if it failed, then send queued results
+    window.addEventListener('online', () => {
+      if (!auth.currentUser) {
+        signInAnonymously(auth).catch((err) => console.error("Anon auth failed", err));
       }
+      replayOutbox();
+      syncAccountStats();
     });
     console.log('Firebase initialized successfully');
   } else {
@@ -1499,6 +3880,198 @@ try {
 }
 // const database = firebase.database();
 
+// ============================================
+// ACCOUNTS & CROSS-DEVICE SYNC (see statsSync.js)
+// ============================================
+
+// Everyone starts as an anonymous user. Signing in with Google or email links that same
+// account (same uid, nothing lost). If the sign-in already belongs to another account -
+// one made on another device - we switch to it and this device's history merges in.
+
+const ACCOUNT_ERROR_MESSAGES = {
+  'auth/popup-blocked': 'הדפדפן חסם את חלון ההתחברות - אפשרו חלונות קופצים ונסו שוב',
+  'auth/invalid-email': 'כתובת האימייל לא תקינה',
+  'auth/weak-password': 'הסיסמה צריכה להכיל לפחות 6 תווים',
+  'auth/wrong-password': 'האימייל או הסיסמה שגויים',
+  'auth/invalid-credential': 'האימייל או הסיסמה שגויים',
+  'auth/invalid-login-credentials': 'האימייל או הסיסמה שגויים',
+  'auth/too-many-requests': 'יותר מדי ניסיונות - נסו שוב בעוד כמה דקות',
+  'auth/network-request-failed': 'אין חיבור לאינטרנט - נסו שוב כשתתחברו'
+};
+
+// Closing the popup is not an error worth showing
+const QUIET_ACCOUNT_ERRORS = ['auth/popup-closed-by-user', 'auth/cancelled-popup-request'];
+
+function isAccountSignedIn() {
+  return !!auth?.currentUser && !auth.currentUser.isAnonymous;
+}
+
+let statsSyncRun = null;
+let statsSyncQueued = false;
+
+// Merges local stats with the account's Firestore copy and keeps the result on both
+// sides. Calls made while a sync runs queue one more, so a game that just ended isn't missed.
+function syncAccountStats() {
+  if (!db || !isAccountSignedIn()) return Promise.resolve(false);
+  if (statsSyncRun) {
+    statsSyncQueued = true;
+    return statsSyncRun;
+  }
+  statsSyncRun = runStatsSync().finally(() => {
+    statsSyncRun = null;
+    if (statsSyncQueued) {
+      statsSyncQueued = false;
+      syncAccountStats();
+    }
+  });
+  return statsSyncRun;
+}
+
+async function runStatsSync() {
+  const uid = auth.currentUser.uid;
+  try {
+    const statsRef = doc(db, 'userStats', uid);
+    const merged = await runTransaction(db, async (transaction) => {
+      const statsSnap = await transaction.get(statsRef);
+      const remote = statsSnap.exists() ? statsSnap.data() : null;
+      const merged = mergeSnapshots(analytics.getSyncSnapshot(), remote);
+      if (hasSnapshotChanged(merged, remote)) {
+        transaction.set(statsRef, { ...merged, updatedAt: new Date() });
+      }
+      return merged;
+    });
+    
+    // Signed out or switched accounts while the transaction ran
+    if (auth.currentUser?.uid !== uid) return false;
+    
+    analytics.applySyncSnapshot(merged);
+    updateStatsDisplay();
+    await syncAccountNickname(uid);
+    return true;
+  } catch (error) {
+    console.log('Could not sync stats:', error);
+    return false;
+  }
+}
+
+// The account's nickname follows it to a new device; a nickname picked before
+// signing in fills an account that has none
+async function syncAccountNickname(uid) {
+  const userSnap = await getDoc(doc(db, 'users', uid));
+  const accountNickname = userSnap.exists() ? userSnap.data().nickname : null;
+  if (accountNickname) {
+    if (accountNickname !== getNickname()) {
+      localStorage.setItem('connections_nickname', accountNickname);
+      updateNicknameDisplay();
+    }
+  } else if (getNickname()) {
+    saveNicknameToFirebase(getNickname());
+  }
+}
+
+function setAccountMessage(text) {
+  const message = document.getElementById('accountMessage');
+  if (message) {
+    message.textContent = text;
+  }
+}
+
+// Runs a sign-in step, then syncs and redraws the account section
+async function runAccountAction(action) {
+  if (!auth || !(await waitForAuth(5000))) {
+    setAccountMessage(ACCOUNT_ERROR_MESSAGES['auth/network-request-failed']);
+    return;
+  }
+  setAccountMessage('מתחבר...');
+  try {
+    await action();
+    setAccountMessage('מסנכרן סטטיסטיקות...');
+    await syncAccountStats();
+    renderAccountSection();
+  } catch (error) {
+    console.log('Account sign-in failed:', error);
+    setAccountMessage(QUIET_ACCOUNT_ERRORS.includes(error.code)
+      ? ''
+      : ACCOUNT_ERROR_MESSAGES[error.code] || 'ההתחברות נכשלה, נסו שוב');
+  }
+}
+
+window.signInWithGoogle = function() {
+  runAccountAction(async () => {
+    const provider = new GoogleAuthProvider();
+    try {
+      await linkWithPopup(auth.currentUser, provider);
+    } catch (error) {
+      if (error.code !== 'auth/credential-already-in-use') throw error;
+      await signInWithCredential(auth, GoogleAuthProvider.credentialFromError(error));
+    }
+  });
+}
+
+// One form for both: a new email links to this account, a known one signs in to its account
+window.signInWithEmail = function(event) {
+  event.preventDefault();
+  const email = document.getElementById('accountEmail').value.trim();
+  const password = document.getElementById('accountPassword').value;
+  
+  runAccountAction(async () => {
+    try {
+      await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+    } catch (error) {
+      if (!['auth/email-already-in-use', 'auth/credential-already-in-use'].includes(error.code)) throw error;
+      await signInWithEmailAndPassword(auth, email, password);
+    }
+  });
+}
+
+// Local stats stay on this device; onAuthStateChanged starts a new anonymous session
+window.signOutAccount = async function() {
+  try {
+    await signOut(auth);
+  } catch (error) {
+    console.log('Sign out failed:', error);
+  }
+  renderAccountSection();
+}
+
+// Account part of the settings modal
+function renderAccountSection() {
+  const section = document.getElementById('accountSection');
+  if (!section) return;
+  if (!auth) {
+    section.innerHTML = '';
+    return;
+  }
+  
+  if (isAccountSignedIn()) {
+    section.innerHTML = `
+      <fieldset class="settings-group">
+        <legend>חשבון</legend>
+        <p>מחוברים כ-<strong id="accountLabel"></strong></p>
+        <p class="settings-note">הסטטיסטיקות והפאזלים שפתרתם בארכיון מסונכרנים בין כל המכשירים שמחוברים לחשבון</p>
+        <button class="btn btn-ghost" onclick="signOutAccount()">התנתקות</button>
+        <p id="accountMessage" class="account-message" role="status"></p>
+      </fieldset>
+    `;
+    const user = auth.currentUser;
+    document.getElementById('accountLabel').textContent = user.email || user.displayName || 'חשבון Google';
+  } else {
+    section.innerHTML = `
+      <fieldset class="settings-group">
+        <legend>חשבון</legend>
+        <p class="settings-note">משחקים כאורחים - הסטטיסטיקות נשמרות רק במכשיר הזה. התחברו כדי לשמור אותן ולהמשיך ממכשיר אחר.</p>
+        <button class="btn btn-secondary" onclick="signInWithGoogle()">התחברות עם Google</button>
+        <form class="account-email-form" onsubmit="signInWithEmail(event)">
+          <input type="email" id="accountEmail" placeholder="אימייל" autocomplete="email" required>
+          <input type="password" id="accountPassword" placeholder="סיסמה (6 תווים לפחות)" autocomplete="current-password" minlength="6" required>
+          <button type="submit" class="btn btn-secondary">התחברות או הרשמה עם אימייל</button>
+        </form>
+        <p id="accountMessage" class="account-message" role="status"></p>
+      </fieldset>
+    `;
+  }
+}
+
 // ============================================
 // PUZZLE ARCHIVE FEATURE
 // ============================================
@@ -1538,7 +4111,7 @@ window.showArchiveModal = async function() {
 
 // Populate archive list with all available puzzles
 function populateArchiveList(container) {
-  const today = new Date().toISOString().split('T')[0];
+  const today = getPuzzleDate();
   
   // Filter out future puzzles and sort by date (newest first)
   const sortedPuzzles = [...allPuzzles]
@@ -1597,7 +4170,7 @@ function formatHebrewDate(dateString) {
 
 // Load archived puzzle
 window.loadArchivedPuzzle = async function(dateString) {
-  const today = new Date().toISOString().split('T')[0];
+  const today = getPuzzleDate();
   
   // If selecting today's puzzle, just reload normally
   if (dateString === today) {
@@ -1622,6 +4195,7 @@ window.loadArchivedPuzzle = async function(dateString) {
   
   // Close modal
   document.getElementById('archiveModal').style.display = 'none';
+  stopMarathon();
   
   // Remove any "already played" message
   const alreadyPlayedMsg = document.querySelector('.already-played-message');
@@ -1642,6 +4216,7 @@ window.loadArchivedPuzzle = async function(dateString) {
     group.guessed = false;
     group.index = index;
   });
+  applyPuzzleShape();
   
   // Show archive banner
   showArchiveBanner(dateString);
@@ -1653,13 +4228,17 @@ window.loadArchivedPuzzle = async function(dateString) {
   gameStartTime = Date.now();
   gameActive = true;
   
-  shuffleGrid();
+  if (!(await resumeSavedGame())) {
+    shuffleGrid();
+  }
   
   console.log(`Loaded archived puzzle from ${dateString} in practice mode`);
 }
 
 // Return to daily puzzle
 window.returnToDailyPuzzle = function() {
+  stopMarathon();
+  
   // Remove any "already played" message that might have been shown
   const alreadyPlayedMsg = document.querySelector('.already-played-message');
   if (alreadyPlayedMsg) {
@@ -1673,17 +4252,309 @@ window.returnToDailyPuzzle = function() {
   loadTodaysPuzzle();
 }
 
+// ============================================
+// MARATHON CHALLENGE (random archive boards against the clock)
+// ============================================
+
+let marathonTimerInterval = null;
+
+// Start a marathon run from the archive
+window.startMarathon = async function() {
+  if (allPuzzles.length === 0) {
+    allPuzzles = await loadArchivePuzzles();
+  }
+  
+  // Today's puzzle is left out so the daily game stays unspoiled
+  const today = getPuzzleDate();
+  const pool = allPuzzles.filter(p => p.date < today);
+  if (pool.length === 0) {
+    alert('אין עדיין חידות בארכיון למרתון');
+    return;
+  }
+  
+  document.getElementById('archiveModal').style.display = 'none';
+  document.getElementById('marathonModal')?.style.setProperty('display', 'none');
+  document.querySelector('.already-played-message')?.remove();
+  hideArchiveBanner();
+  stopMarathon();
+  
+  isMarathonMode = true;
+  isPracticeMode = true;
+  marathonRun = createMarathonRun();
+  document.getElementById('game-container')?.classList.add('practice-mode');
+  document.getElementById('marathonBanner').style.display = 'flex';
+  
+  marathonTimerInterval = setInterval(updateMarathonBanner, 1000);
+  loadNextMarathonBoard();
+  announce(`המרתון התחיל! ${Math.round(MARATHON_CONFIG.durationSeconds / 60)} דקות ו-${MARATHON_CONFIG.lives} נקודות חיים לכל הלוחות`);
+}
+
+// Load a random archive board, carrying the run's mistakes over
+function loadNextMarathonBoard() {
+  const today = getPuzzleDate();
+  const next = pickMarathonPuzzle(allPuzzles.filter(p => p.date < today), marathonRun.playedDates);
+  marathonRun.playedDates.push(next.date);
+  
+  resetGameState();
+  currentPuzzleDate = next.date;
+  puzzle = JSON.parse(JSON.stringify(next)); // Deep copy
+  puzzle.groups.forEach((group, index) => {
+    group.guessed = false;
+    group.index = index;
+  });
+  applyPuzzleShape();
+  
+  mistakesCount = marathonRun.mistakes;
+  for (let i = 0; i < mistakesCount; i++) {
+    dots[i].classList.add('red');
+  }
+  updateMistakesLabel();
+  
+  gameStartTime = Date.now();
+  gameActive = true;
+  shuffleGrid();
+  updateMarathonBanner();
+}
+
+// Called from endGame while a marathon is running
+function handleMarathonBoardEnd(won) {
+  if (!marathonRun || marathonRun.finished) return;
+  
+  marathonRun.mistakes = mistakesCount;
+  if (won) {
+    marathonRun.boardsSolved++;
+    marathonRun.groupsSolved += puzzle.groups.length;
+    showInfoBanner(`לוח ${marathonRun.boardsSolved} נפתר! ממשיכים...`);
+    loadNextMarathonBoard();
+  } else {
+    marathonRun.groupsSolved += puzzle.groups.filter(g => g.guessed).length;
+    finishMarathon('lives');
+  }
+}
+
+// Tick the banner and stop the run when the clock hits zero
+function updateMarathonBanner() {
+  if (!marathonRun) return;
+  
+  const secondsLeft = getMarathonTimeLeft(marathonRun);
+  const minutes = Math.floor(secondsLeft / 60);
+  document.getElementById('marathonTimeText').textContent = `${minutes}:${(secondsLeft % 60).toString().padStart(2, '0')}`;
+  document.getElementById('marathonBoardsText').textContent = marathonRun.boardsSolved;
+  
+  if (secondsLeft === 0 && !marathonRun.finished) {
+    // Groups found on the unfinished board still count
+    marathonRun.mistakes = mistakesCount;
+    marathonRun.groupsSolved += puzzle.groups.filter(g => g.guessed).length;
+    if (puzzle.groups.every(g => g.guessed)) {
+      marathonRun.boardsSolved++; // Cleared just before the buzzer
+    }
+    gameActive = false;
+    finishMarathon('time');
+  }
+}
+
+function finishMarathon(reason) {
+  marathonRun.finished = true;
+  marathonRun.reason = reason;
+  clearInterval(marathonTimerInterval);
+  marathonTimerInterval = null;
+  
+  const result = {
+    score: getMarathonScore(marathonRun),
+    boardsSolved: marathonRun.boardsSolved,
+    groupsSolved: marathonRun.groupsSolved,
+    mistakes: marathonRun.mistakes,
+    livesLeft: getMarathonLivesLeft(marathonRun),
+    reason
+  };
+  const bests = analytics.recordMarathonRun(result);
+  revealSolutions(); // Show the last board's answers and clear the grid
+  
+  announce(`המרתון הסתיים. ${result.boardsSolved} לוחות, ${result.groupsSolved} קבוצות, ${result.score} נקודות`);
+  showMarathonResults(result, bests);
+  saveMarathonScore(result);
+}
+
+// Leave marathon mode (quit button, archive or daily puzzle)
+function stopMarathon() {
+  if (!isMarathonMode) return;
+  
+  clearInterval(marathonTimerInterval);
+  marathonTimerInterval = null;
+  isMarathonMode = false;
+  isPracticeMode = false;
+  marathonRun = null;
+  document.getElementById('marathonBanner').style.display = 'none';
+  document.getElementById('game-container')?.classList.remove('practice-mode');
+}
+
+function showMarathonResults(result, bests) {
+  let modal = document.getElementById('marathonModal');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'marathonModal';
+    modal.className = 'stats-modal';
+    modal.innerHTML = `
+      <div class="stats-modal-content">
+        <span class="close-modal" onclick="document.getElementById('marathonModal').style.display='none'">&times;</span>
+        <div id="marathonModalBody" class="hebrew-text"></div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        modal.style.display = 'none';
+      }
+    });
+  }
+  
+  document.getElementById('marathonModalBody').innerHTML = `
+    <h2>🏃 ${result.reason === 'time' ? 'נגמר הזמן!' : 'נגמרו נקודות החיים!'}</h2>
+    ${bests.isNewBest ? '<div class="replay-notice">🏆 שיא אישי חדש!</div>' : ''}
+    <div class="stats-grid">
+      <div class="stat-box">
+        <div class="stat-number">${result.score}</div>
+        <div class="stat-title">ניקוד</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-number">${result.boardsSolved}</div>
+        <div class="stat-title">לוחות שנפתרו</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-number">${result.groupsSolved}</div>
+        <div class="stat-title">קבוצות</div>
+      </div>
+    </div>
+    
+    <h3>⭐ שיאים אישיים</h3>
+    <div class="stats-grid">
+      <div class="stat-box">
+        <div class="stat-number">${bests.bestScore}</div>
+        <div class="stat-title">ניקוד שיא</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-number">${bests.mostBoards}</div>
+        <div class="stat-title">הכי הרבה לוחות</div>
+      </div>
+      <div class="stat-box">
+        <div class="stat-number">${bests.runs}</div>
+        <div class="stat-title">ריצות</div>
+      </div>
+    </div>
+    
+    <div class="leaderboard-section">
+      <h3>🏆 שיאי המרתון</h3>
+      <div id="marathonLeaderboardContent">טוען...</div>
+    </div>
+    
+    <div class="share-section">
+      <button class="btn btn-primary" onclick="startMarathon()">🔄 מרתון נוסף</button>
+      <button class="btn btn-secondary" onclick="document.getElementById('marathonModal').style.display='none'; returnToDailyPuzzle();">⬅️ חזרה לחידה היומית</button>
+    </div>
+  `;
+  
+  modal.style.display = 'flex';
+  loadMarathonLeaderboardContent();
+}
+
+// Keep each player's best marathon in Firestore (optional - skipped without Firebase)
+async function saveMarathonScore(result) {
+  if (!db) return;
+  
+  const authReady = await waitForAuth(5000);
+  if (!authReady) return;
+  
+  try {
+    const scoreRef = doc(db, 'marathonScores', firebaseUserId);
+    const existing = await getDoc(scoreRef);
+    if (existing.exists() && existing.data().score >= result.score) return;
+    
+    await setDoc(scoreRef, {
+      nickname: getNickname() || 'אנונימי',
+      score: result.score,
+      boardsSolved: result.boardsSolved,
+      groupsSolved: result.groupsSolved,
+      mistakes: result.mistakes,
+      timestamp: new Date()
+    });
+    console.log('Marathon high score saved');
+    loadMarathonLeaderboardContent();
+  } catch (error) {
+    console.log('Could not save marathon score:', error);
+  }
+}
+
+async function loadMarathonLeaderboardContent() {
+  const content = document.getElementById('marathonLeaderboardContent');
+  if (!content) return;
+  
+  if (!db) {
+    content.innerHTML = '<p style="text-align: center; color: #666;">Firebase לא מוגדר</p>';
+    return;
+  }
+  
+  try {
+    const q = query(collection(db, 'marathonScores'), orderBy('score', 'desc'), limit(10));
+    const snapshot = await getDocs(q);
+    
+    if (snapshot.empty) {
+      content.innerHTML = '<p style="text-align: center; color: #666;">אין עדיין שיאים</p>';
+      return;
+    }
+    
+    const rows = [];
+    snapshot.forEach((docSnap) => {
+      const data = docSnap.data();
+      const rank = rows.length + 1;
+      const isCurrentUser = docSnap.id === firebaseUserId;
+      rows.push(`
+        <tr class="${rank <= 3 ? 'rank-' + rank : ''} ${isCurrentUser ? 'current-user' : ''}">
+          <td>${rank}</td>
+          <td class="nickname-cell">${escapeHtml(data.nickname)}${isCurrentUser ? ' <small>(אתה!)</small>' : ''}</td>
+          <td>${data.boardsSolved}</td>
+          <td>${data.score}</td>
+        </tr>
+      `);
+    });
+    
+    content.innerHTML = `
+      <table class="leaderboard-table">
+        <thead>
+          <tr>
+            <th>דירוג</th>
+            <th>שם</th>
+            <th>לוחות</th>
+            <th>ניקוד</th>
+          </tr>
+        </thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.log('Could not load marathon leaderboard:', error);
+    content.innerHTML = '<p style="text-align: center; color: #666;">שגיאה בטעינת הנתונים</p>';
+  }
+}
+
 // Reset game state for new puzzle
 function resetGameState() {
   selectedItems = [];
   mistakesCount = 0;
   gameActive = false;
   previousGuesses = new Set(); // Reset previous guesses tracking
+  solvedGroupOrder = [];
+  hintsUsed = [];
+  guessLog = [];
+  pencilMarks = {};
+  pencilMode = false;
+  renderHintLog();
 
   // Reset mistake dots
   document.querySelectorAll('.dot').forEach(dot => {
     dot.classList.remove('red');
   });
+  updateMistakesLabel();
 
   // Clear revealed groups
   const revealedGroups = document.getElementById('revealed-groups');
@@ -1737,6 +4608,10 @@ const difficulty = parseInt(document.getElementById("difficulty").value);
 
     try {
       if (db) {
+        // Rules only accept ideas from signed-in (anonymous) players
+        if (!await waitForAuth(5000)) {
+          throw new Error('Auth not ready');
+        }
         await addDoc(collection(db, "suggested_ideas"), {
           words: words,
           connection: connection,
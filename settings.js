@@ -0,0 +1,34 @@
+// Player Settings
+// Small preferences kept in localStorage, with defaults for anything not set yet
+export class GameSettings {
+  constructor() {
+    this.storageKey = 'connections_settings';
+    this.defaults = {
+      submitMode: 'auto', // 'auto' = guess on the fourth tile, 'explicit' = Submit button
+      showBadge: true // Hardest unlocked achievement next to the nickname on the leaderboard
+    };
+  }
+
+  getAll() {
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      return { ...this.defaults, ...(data ? JSON.parse(data) : {}) };
+    } catch (error) {
+      console.log('Could not read settings:', error);
+      return { ...this.defaults };
+    }
+  }
+
+  get(key) {
+    return this.getAll()[key];
+  }
+
+  set(key, value) {
+    const data = this.getAll();
+    data[key] = value;
+    localStorage.setItem(this.storageKey, JSON.stringify(data));
+  }
+}
+
+// Export singleton instance
+export const settings = new GameSettings();
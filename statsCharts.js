@@ -0,0 +1,130 @@
+// Personal Stats Charts
+// Data for the charts in the stats modal, worked out from the daily history
+// (analytics.js). Games recorded before solveOrder/missed existed still count in
+// the heatmap, histogram and trend; their found-first colour comes from the guesses.
+import { addDays } from './puzzleDate.js';
+import { GROUP_COLORS } from './puzzleShape.js';
+
+// Solve-time buckets in seconds, upper bound exclusive
+export const TIME_BUCKETS = [
+  { max: 60, label: 'עד דקה' },
+  { max: 120, label: '1-2 דק׳' },
+  { max: 180, label: '2-3 דק׳' },
+  { max: 300, label: '3-5 דק׳' },
+  { max: 600, label: '5-10 דק׳' },
+  { max: Infinity, label: '10+ דק׳' }
+];
+
+// Heatmap shade of a played day: perfect, 1, 2, 3+ mistakes, or lost
+export function getHeatLevel(game) {
+  if (!game) return 'empty';
+  if (!game.won) return 'lost';
+  return game.mistakes >= 3 ? 'm3' : `m${game.mistakes}`;
+}
+
+function getWeekday(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Calendar weeks (Sunday first) from the week of the first game up to today.
+ * Returns [[{ date, level, game } | null, ...7], ...] - null pads the days after today
+ */
+export function buildHeatmapWeeks(history, today) {
+  const dates = Object.keys(history).sort();
+  if (dates.length === 0) return [];
+
+  const weeks = [];
+  let date = addDays(dates[0], -getWeekday(dates[0]));
+  while (date <= today) {
+    const week = [];
+    for (let day = 0; day < 7; day++) {
+      week.push(date <= today ? { date, level: getHeatLevel(history[date]), game: history[date] || null } : null);
+      date = addDays(date, 1);
+    }
+    weeks.push(week);
+  }
+  return weeks;
+}
+
+// Won games per solve-time bucket
+export function buildTimeHistogram(history) {
+  const counts = TIME_BUCKETS.map(bucket => ({ ...bucket, count: 0 }));
+  Object.values(history).forEach(game => {
+    if (!game.won) return;
+    counts.find(bucket => (game.time || 0) < bucket.max).count++;
+  });
+  return counts;
+}
+
+/**
+ * Win rate over a trailing window for each of the last `days` days, to draw as a trend line.
+ * Returns [{ date, rate (0-1) | null when nothing was played in the window }]
+ */
+export function buildWinRateTrend(history, today, days, windowDays = 7) {
+  const points = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = addDays(today, -i);
+    let played = 0;
+    let won = 0;
+    for (let back = 0; back < windowDays; back++) {
+      const game = history[addDays(date, -back)];
+      if (game) {
+        played++;
+        if (game.won) won++;
+      }
+    }
+    points.push({ date, rate: played > 0 ? won / played : null });
+  }
+  return points;
+}
+
+// Win rate of the games played in the last `days` days, or null
+export function getRecentWinRate(history, today, days) {
+  const since = addDays(today, -(days - 1));
+  const games = Object.entries(history).filter(([date]) => date >= since && date <= today).map(([, game]) => game);
+  return games.length > 0 ? games.filter(game => game.won).length / games.length : null;
+}
+
+// Colours of the groups found, in order - older entries only have their guesses
+function getSolveOrder(game) {
+  if (Array.isArray(game.solveOrder)) return game.solveOrder;
+  return (game.guesses || []).filter(guess => guess.correct && guess.colors?.[0]).map(guess => guess.colors[0]);
+}
+
+/**
+ * Per group colour: how often it was found, found first and missed, and its average
+ * position in the solve order. Sorted by the palette order (roughly easiest first).
+ */
+export function buildColorStats(history) {
+  const stats = {};
+  const entry = color => {
+    if (!stats[color]) {
+      stats[color] = { color, found: 0, foundFirst: 0, missed: 0, positionTotal: 0 };
+    }
+    return stats[color];
+  };
+
+  Object.values(history).forEach(game => {
+    getSolveOrder(game).forEach((color, index) => {
+      const colorStats = entry(color);
+      colorStats.found++;
+      colorStats.positionTotal += index + 1;
+      if (index === 0) colorStats.foundFirst++;
+    });
+    (game.missed || []).forEach(color => {
+      entry(color).missed++;
+    });
+  });
+
+  const paletteIndex = color => {
+    const index = GROUP_COLORS.indexOf(color);
+    return index === -1 ? GROUP_COLORS.length : index;
+  };
+  return Object.values(stats)
+    .map(({ positionTotal, ...colorStats }) => ({
+      ...colorStats,
+      averagePosition: colorStats.found > 0 ? positionTotal / colorStats.found : null
+    }))
+    .sort((a, b) => paletteIndex(a.color) - paletteIndex(b.color));
+}
@@ -0,0 +1,72 @@
+// Cross-Device Stats Sync
+// Players who sign in with Google or email keep a copy of their history in
+// Firestore (userStats/{uid}). The local and remote copies are merged, never
+// overwritten, so games played on any device survive:
+// - history: union of dates. When both copies have the same date, the game that
+//   finished first wins - the same "only the first attempt counts" rule as on one device
+// - archive solved dates: union
+// - totals, streaks and streak freezes: recomputed from the merged history
+import { computeStreaks } from './streakFreeze.js';
+
+// Same-date conflict: keep the game that finished first. The local game stays unless
+// the remote one has a known, strictly earlier finish time - entries recorded before
+// timestamps existed (and code imports, which carry none) never replace it.
+export function pickFirstGame(local, remote) {
+  if (!local) return remote;
+  if (!remote) return local;
+  const localTime = typeof local.timestamp === 'number' ? local.timestamp : Infinity;
+  return typeof remote.timestamp === 'number' && remote.timestamp < localTime ? remote : local;
+}
+
+export function mergeHistories(local = {}, remote = {}) {
+  const merged = {};
+  const dates = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  [...dates].sort().forEach(date => {
+    merged[date] = pickFirstGame(local[date], remote[date]);
+  });
+  return merged;
+}
+
+export function mergeSolvedDates(local = [], remote = []) {
+  return [...new Set([...local, ...remote])].sort();
+}
+
+// Totals as recordGameEnd would have counted them, with streaks (and the freezes
+// covering their gaps) from streakFreeze.js. knownMaxStreak keeps a record from
+// before the history was complete.
+export function rebuildTotals(history, knownMaxStreak = 0) {
+  const games = Object.values(history);
+  const wins = games.filter(game => game.won);
+  const streaks = computeStreaks(history);
+
+  return {
+    gamesPlayed: games.length,
+    gamesWon: wins.length,
+    currentStreak: streaks.currentStreak,
+    maxStreak: Math.max(knownMaxStreak || 0, streaks.maxStreak),
+    lastPlayedDate: Object.keys(history).sort().pop() || null,
+    totalMistakes: games.reduce((sum, game) => sum + (game.mistakes || 0), 0),
+    averageTime: wins.length > 0 ? wins.reduce((sum, game) => sum + (game.time || 0), 0) / wins.length : 0,
+    perfectGames: wins.filter(game => game.mistakes === 0).length
+  };
+}
+
+// snapshot: { history, archiveSolved, maxStreak } - remote may be missing (first sync)
+export function mergeSnapshots(local, remote) {
+  remote = remote || {};
+  return {
+    history: mergeHistories(local.history, remote.history),
+    archiveSolved: mergeSolvedDates(local.archiveSolved, remote.archiveSolved),
+    maxStreak: Math.max(local.maxStreak || 0, remote.maxStreak || 0)
+  };
+}
+
+// Whether a merge added anything the remote copy is missing. Merged entries are
+// the remote objects themselves wherever the remote copy won.
+export function hasSnapshotChanged(merged, remote) {
+  if (!remote) return true;
+  const remoteHistory = remote.history || {};
+  return Object.keys(merged.history).some(date => merged.history[date] !== remoteHistory[date])
+    || merged.archiveSolved.length !== (remote.archiveSolved || []).length
+    || merged.maxStreak !== (remote.maxStreak || 0);
+}
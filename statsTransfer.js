@@ -0,0 +1,275 @@
+// Personal Stats Export & Import
+// The same data in two formats:
+// - File: the full analytics blob plus archive solved dates, as versioned JSON
+// - Code: a compressed summary short enough for a link or a QR code. It leaves out
+//   guess grids and finish times, so imported days never replace a game played here
+// Imports merge through statsSync.js: totals and streaks are recomputed from the
+// merged history, so a game present on both sides is only counted once.
+import { getPuzzleDate, addDays, daysBetween } from './puzzleDate.js';
+import { mergeSnapshots, mergeHistories, rebuildTotals } from './statsSync.js';
+import { computeStreaks } from './streakFreeze.js';
+import { MAX_GROUP_COUNT, MAX_GROUP_SIZE, MAX_LIVES } from './puzzleShape.js';
+
+export const STATS_EXPORT_FORMAT = 'connections-stats';
+export const STATS_EXPORT_VERSION = 1;
+
+// Codes look like "S1z<base64url>": version, then z (deflated) or j (plain JSON)
+const STATS_CODE_VERSION = 1;
+const STATS_LINK_PARAM = 'stats';
+
+// Past this length a QR code gets too dense to scan from a phone screen
+export const MAX_QR_CODE_LENGTH = 1800;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Group colours as puzzles store them: "#f44336" or a name such as "red"
+const COLOR_PATTERN = /^(#[0-9a-f]{6}|[a-z]{1,12})$/i;
+// Every group found plus every life lost, on the largest board
+const MAX_GUESSES = MAX_GROUP_COUNT + MAX_LIVES;
+
+export function buildStatsExport(analyticsData, archiveSolved, now = new Date()) {
+  return {
+    format: STATS_EXPORT_FORMAT,
+    version: STATS_EXPORT_VERSION,
+    exportedAt: now.toISOString(),
+    analytics: analyticsData,
+    archiveSolved
+  };
+}
+
+export function getStatsFileName(date = getPuzzleDate()) {
+  return `connections-stats-${date}.json`;
+}
+
+// ============================================
+// COMPACT CODE
+// ============================================
+
+function toGaps(start, dates) {
+  let previous = start;
+  return dates.map(date => {
+    const gap = daysBetween(previous, date);
+    previous = date;
+    return gap;
+  });
+}
+
+function fromGaps(start, gaps) {
+  let date = start;
+  return gaps.map(gap => (date = addDays(date, gap)));
+}
+
+// Dates become day gaps, games become [gap, won, mistakes, seconds, hints]
+function toCompactPayload(snapshot) {
+  const dates = Object.keys(snapshot.history).sort();
+  const archiveSolved = [...snapshot.archiveSolved].sort();
+  const start = [...dates, ...archiveSolved].sort()[0] || getPuzzleDate();
+  return {
+    s: start,
+    d: toGaps(start, dates).map((gap, i) => {
+      const game = snapshot.history[dates[i]];
+      return [gap, game.won ? 1 : 0, game.mistakes, Math.round(game.time), game.hints || 0];
+    }),
+    a: toGaps(start, archiveSolved),
+    m: snapshot.maxStreak || 0
+  };
+}
+
+function fromCompactPayload(payload) {
+  if (!payload || !DATE_PATTERN.test(payload.s) || !Array.isArray(payload.d) || !Array.isArray(payload.a)) {
+    return null;
+  }
+  const history = {};
+  const dates = fromGaps(payload.s, payload.d.map(game => game[0]));
+  payload.d.forEach(([, won, mistakes, time, hints], i) => {
+    history[dates[i]] = { won: won === 1, mistakes, time, hints, guesses: [] };
+  });
+  return { history, archiveSolved: fromGaps(payload.s, payload.a), maxStreak: payload.m };
+}
+
+// Also used by challenge links (challenges.js)
+export function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+async function transformBytes(bytes, stream) {
+  const transformed = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(transformed).arrayBuffer());
+}
+
+// Browsers without CompressionStream still get a (longer) working code
+export async function encodeStatsCode(snapshot) {
+  const json = new TextEncoder().encode(JSON.stringify(toCompactPayload(snapshot)));
+  if (typeof CompressionStream === 'undefined') {
+    return `S${STATS_CODE_VERSION}j${toBase64Url(json)}`;
+  }
+  const deflated = await transformBytes(json, new CompressionStream('deflate-raw'));
+  return `S${STATS_CODE_VERSION}z${toBase64Url(deflated)}`;
+}
+
+async function decodeStatsCode(code) {
+  const match = code.match(/^S(\d+)([zj])([A-Za-z0-9_-]+)$/);
+  if (!match) return { issues: ['הקוד לא תקין - העתיקו אותו שוב במלואו'] };
+  if (Number(match[1]) > STATS_CODE_VERSION) return { issues: ['הקוד נוצר בגרסה חדשה יותר של המשחק - רעננו את הדף ונסו שוב'] };
+
+  try {
+    let bytes = fromBase64Url(match[3]);
+    if (match[2] === 'z') {
+      bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    }
+    const snapshot = fromCompactPayload(JSON.parse(new TextDecoder().decode(bytes)));
+    return snapshot ? { snapshot } : { issues: ['הקוד לא תקין - העתיקו אותו שוב במלואו'] };
+  } catch (error) {
+    return { issues: ['הקוד לא תקין - העתיקו אותו שוב במלואו'] };
+  }
+}
+
+export function buildStatsLink(code, base = `${location.origin}${location.pathname}`) {
+  return `${base}#${STATS_LINK_PARAM}=${code}`;
+}
+
+// The code from a link's hash ("#stats=S1z...") - null when there is none
+export function getStatsCodeFromHash(hash) {
+  const match = (hash || '').match(new RegExp(`[#&]${STATS_LINK_PARAM}=([^&]+)`));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+function isValidDate(date) {
+  return typeof date === 'string' && DATE_PATTERN.test(date) &&
+    new Date(`${date}T00:00:00Z`).toISOString().startsWith(date);
+}
+
+function isCount(value) {
+  return Number.isFinite(value) && value >= 0;
+}
+
+// A guess as recordGameEnd keeps it: { groups: [tile's group index], colors, correct }
+function isGuessEntry(entry) {
+  return !!entry && typeof entry.correct === 'boolean' &&
+    Array.isArray(entry.groups) && entry.groups.length <= MAX_GROUP_SIZE &&
+    entry.groups.every(index => Number.isInteger(index) && index >= -1 && index < MAX_GROUP_COUNT) &&
+    Array.isArray(entry.colors) && entry.colors.length === entry.groups.length &&
+    entry.colors.every(color => color === null || (typeof color === 'string' && COLOR_PATTERN.test(color)));
+}
+
+// A grid that doesn't look like the game's is left out - the game itself still imports
+function cleanGuesses(guesses) {
+  if (!Array.isArray(guesses) || guesses.length > MAX_GUESSES || !guesses.every(isGuessEntry)) return [];
+  return guesses.map(({ groups, colors, correct }) => ({ groups, colors, correct }));
+}
+
+// Only the fields the game records, so nothing unexpected reaches localStorage or Firestore
+function cleanGame(game) {
+  const clean = { won: game.won, mistakes: game.mistakes, time: game.time, hints: game.hints || 0 };
+  clean.guesses = cleanGuesses(game.guesses);
+  ['solveOrder', 'missed'].forEach(key => {
+    if (Array.isArray(game[key]) && game[key].every(color => typeof color === 'string')) {
+      clean[key] = game[key];
+    }
+  });
+  if (isCount(game.lives)) {
+    clean.lives = game.lives;
+  }
+  if (typeof game.timestamp === 'number') {
+    clean.timestamp = game.timestamp;
+  }
+  return clean;
+}
+
+// Checks a snapshot from a file or a code - returns { snapshot, issues }
+export function validateStatsSnapshot(snapshot, today = getPuzzleDate()) {
+  const issues = [];
+  const history = {};
+
+  if (!snapshot.history || typeof snapshot.history !== 'object' || Array.isArray(snapshot.history)) {
+    return { issues: ['חסרה היסטוריית משחקים'] };
+  }
+  for (const [date, game] of Object.entries(snapshot.history)) {
+    if (!isValidDate(date) || date > today) {
+      issues.push(`תאריך לא תקין: ${date}`);
+    } else if (!game || typeof game.won !== 'boolean' || !isCount(game.mistakes) || !isCount(game.time) ||
+        (game.hints !== undefined && !isCount(game.hints))) {
+      issues.push(`משחק לא תקין בתאריך ${date}`);
+    } else {
+      history[date] = cleanGame(game);
+    }
+  }
+
+  const archiveSolved = snapshot.archiveSolved || [];
+  if (!Array.isArray(archiveSolved) || !archiveSolved.every(date => isValidDate(date) && date <= today)) {
+    issues.push('רשימת הפאזלים שנפתרו בארכיון לא תקינה');
+  }
+  const maxStreak = snapshot.maxStreak || 0;
+  if (!Number.isInteger(maxStreak) || maxStreak < 0) {
+    issues.push('הרצף המקסימלי לא תקין');
+  }
+
+  return issues.length > 0
+    ? { issues }
+    : { snapshot: { history, archiveSolved: [...new Set(archiveSolved)], maxStreak }, issues };
+}
+
+function readStatsFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { issues: ['הקובץ אינו JSON תקין'] };
+  }
+  if (!data || data.format !== STATS_EXPORT_FORMAT || !data.analytics) {
+    return { issues: ['זה לא קובץ סטטיסטיקות של המשחק'] };
+  }
+  if (!Number.isInteger(data.version) || data.version > STATS_EXPORT_VERSION) {
+    return { issues: ['הקובץ נוצר בגרסה חדשה יותר של המשחק - רעננו את הדף ונסו שוב'] };
+  }
+  return {
+    snapshot: {
+      history: data.analytics.history,
+      archiveSolved: data.archiveSolved,
+      maxStreak: data.analytics.maxStreak
+    }
+  };
+}
+
+// Reads an export file's text, a code or a whole link - returns { snapshot, issues }
+export async function readStatsImport(text) {
+  const input = (text || '').trim();
+  const read = input.startsWith('{')
+    ? readStatsFile(input)
+    : await decodeStatsCode(getStatsCodeFromHash(input) || input);
+  return read.snapshot ? validateStatsSnapshot(read.snapshot) : read;
+}
+
+// What an import would change. Same-date conflicts follow statsSync.js: the game that
+// finished first is kept, and code imports (no finish times) never replace a local game.
+export function previewStatsImport(local, imported) {
+  // An imported record can't be longer than the longest streak the merged history shows
+  const longestStreak = computeStreaks(mergeHistories(local.history, imported.history)).maxStreak;
+  const merged = mergeSnapshots(local, { ...imported, maxStreak: Math.min(imported.maxStreak || 0, longestStreak) });
+  const importedDates = Object.keys(imported.history);
+  const conflicts = importedDates.filter(date => local.history[date]);
+  const localSolved = new Set(local.archiveSolved);
+
+  const replacedGames = conflicts.filter(date =>
+    JSON.stringify(merged.history[date]) !== JSON.stringify(local.history[date])).length;
+
+  return {
+    merged,
+    totals: rebuildTotals(merged.history, merged.maxStreak),
+    newGames: importedDates.length - conflicts.length,
+    replacedGames,
+    keptGames: conflicts.length - replacedGames,
+    newArchiveSolved: merged.archiveSolved.filter(date => !localSolved.has(date)).length
+  };
+}
@@ -0,0 +1,59 @@
+// Streak Freezes
+// Players earn a freeze token for every 7 days of a winning streak, up to a cap.
+// A missed day uses one up automatically, so the streak carries on past the gap.
+// Tokens are not stored anywhere: they are worked out from the daily history, so
+// synced and imported histories always agree on the balance.
+import { addDays, daysBetween } from './puzzleDate.js';
+
+export const STREAK_FREEZE_CONFIG = {
+  earnEvery: 7, // Streak days per token
+  maxTokens: 2
+};
+
+/**
+ * Walk the history in date order and work out the streaks and the freeze tokens.
+ * With `today`, days missed since the last game use tokens too - the streak shown
+ * before today's game is the one that will continue.
+ * Returns { currentStreak, maxStreak, tokens, earned: [date], used: [missed date] }
+ */
+export function computeStreaks(history, today = null) {
+  let streak = 0;
+  let maxStreak = 0;
+  let tokens = 0;
+  let lastDate = null;
+  const earned = [];
+  const used = [];
+
+  // Covers the days missed between two dates; a gap bigger than the balance ends the streak
+  // and keeps the tokens, and a streak that's already broken never spends any
+  function coverGap(fromDate, toDate) {
+    const missed = daysBetween(fromDate, toDate) - 1;
+    if (missed <= 0) return true;
+    if (streak === 0 || missed > tokens) return false;
+    for (let day = 1; day <= missed; day++) {
+      used.push(addDays(fromDate, day));
+    }
+    tokens -= missed;
+    return true;
+  }
+
+  Object.keys(history).sort().forEach(date => {
+    if (history[date].won) {
+      streak = lastDate && coverGap(lastDate, date) ? streak + 1 : 1;
+      maxStreak = Math.max(maxStreak, streak);
+      if (streak % STREAK_FREEZE_CONFIG.earnEvery === 0 && tokens < STREAK_FREEZE_CONFIG.maxTokens) {
+        tokens++;
+        earned.push(date);
+      }
+    } else {
+      streak = 0;
+    }
+    lastDate = date;
+  });
+
+  if (today && lastDate && lastDate < today && !coverGap(lastDate, today)) {
+    streak = 0;
+  }
+
+  return { currentStreak: streak, maxStreak, tokens, earned, used };
+}
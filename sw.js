@@ -0,0 +1,111 @@
+// Service Worker
+// Caches the app shell so the game opens without a network. Today's puzzle is stored
+// by the page itself in the 'connections-puzzles' cache (see offline.js).
+//
+// Bump SHELL_CACHE when files are added to or renamed in APP_SHELL.
+
+const SHELL_CACHE = 'connections-shell-v12';
+const PUZZLE_CACHE = 'connections-puzzles';
+
+const APP_SHELL = [
+  './',
+  './index.html',
+  './style.css?v=4',
+  './script.js?v=4',
+  './analytics.js?v=4',
+  './firebase_config.js',
+  './favicon.svg',
+  './background.jpg',
+  './accessibility.js',
+  './achievements.js',
+  './challenges.js',
+  './decoys.js',
+  './gameState.js',
+  './guessLog.js',
+  './hints.js',
+  './leaderboards.js',
+  './marathon.js',
+  './offline.js',
+  './pencilMarks.js',
+  './percentiles.js',
+  './puzzleDate.js',
+  './puzzleGenerator.js',
+  './puzzleInsights.js',
+  './puzzleLock.js',
+  './puzzleShape.js',
+  './settings.js',
+  './statsCharts.js',
+  './statsSync.js',
+  './streakFreeze.js',
+  './statsTransfer.js',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0-alpha3/dist/css/bootstrap.min.css',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0-alpha3/dist/js/bootstrap.bundle.min.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js',
+  'https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js'
+];
+
+// Hosts whose GET responses are static and safe to serve from cache.
+// Firestore and auth traffic (googleapis.com) always goes to the network.
+const CACHEABLE_HOSTS = [self.location.host, 'cdn.jsdelivr.net', 'www.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop old shell versions, but keep the puzzle cache
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key !== SHELL_CACHE && key !== PUZZLE_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (!CACHEABLE_HOSTS.includes(url.host)) return;
+
+  // Pages: network first so a new deploy shows up straight away
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match(request, { ignoreSearch: true })
+          .then(cached => cached || caches.match('./index.html')))
+    );
+    return;
+  }
+
+  // Everything else: serve from cache, refresh in the background
+  event.respondWith(
+    caches.match(request).then(cached => {
+      const network = fetch(request)
+        .then(response => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+          }
+          return response;
+        })
+        .catch(() => cached);
+      return cached || network;
+    })
+  );
+});